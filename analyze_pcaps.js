@@ -0,0 +1,35 @@
+const fs = require("fs");
+const path = require("path");
+const { analyzePcaps } = require("./lib/c2_pcap");
+const rules = require("./lib/rules");
+
+const target = process.argv[2];
+if (!target || !fs.existsSync(target)) {
+  console.error("Usage: node analyze_pcaps.js <capture.pcap | capture_dir>");
+  console.error("  writes <name>.network.json next to each capture");
+  process.exit(1);
+}
+
+(async () => {
+  const ruleSet = rules.getRuleSet();
+  const captures = await analyzePcaps(target);
+  for (const c of captures) {
+    if (c.error) {
+      console.error(`${c.pkg}: ${c.error}`);
+      continue;
+    }
+    c.rules = rules.ruleReport(ruleSet, rules.matchDomains(ruleSet, c.domains));
+    const outPath = c.file.replace(/\.(pcap|pcapng)$/, ".network.json");
+    fs.writeFileSync(outPath, JSON.stringify(c, null, 2), "utf8");
+    const external = c.connections.filter((x) => x.scope === "public");
+    console.log(
+      `${c.pkg}: ${c.domains.length} domains` +
+        ` (${c.unexpectedDomains.length} unexpected),` +
+        ` ${external.length} external endpoints,` +
+        ` ${c.rules.matched.length} rule matches -> ${path.basename(outPath)}`
+    );
+  }
+})().catch((e) => {
+  console.error(`pcap analysis failed: ${e.message}`);
+  process.exit(1);
+});
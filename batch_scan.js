@@ -3,68 +3,112 @@ const path = require("path");
 const axios = require("axios");
 
 const ROOT = path.resolve(__dirname);
-const baseDir = path.join(ROOT, "downloaded_packages");
 const outDir = path.join(ROOT, "results");
 const pkgFile = path.join(ROOT, "packages.txt");
-const CONCURRENCY = 5;
+const SERVER = process.env.SCAN_SERVER || "http://localhost:3050";
+const POLL_MS = 5000;
+const PAGE = 100;
+
+// scan type -> result file suffix (obfuscation keeps <safe>.json)
+const MODES = {
+  obfuscation: { suffix: "" },
+  lifecycle: { suffix: ".lifecycle" },
+  secrets: { suffix: ".secrets" },
+  artifacts: { suffix: ".artifacts" },
+  ioc: { suffix: ".ioc" },
+  metadata: { suffix: ".metadata" },
+  provenance: { suffix: ".provenance" },
+  score: { suffix: ".score" },
+};
+const mode = process.argv[2] || "obfuscation";
+// an existing job id reattaches instead of submitting packages.txt again
+const resumeId = process.argv[3];
+if (!MODES[mode]) {
+  console.error(
+    `Usage: node batch_scan.js [${Object.keys(MODES).join("|")}] [jobId]`
+  );
+  process.exit(1);
+}
+const { suffix } = MODES[mode];
 
 if (!fs.existsSync(outDir)) fs.mkdirSync(outDir);
-const pkgs = fs
-  .readFileSync(pkgFile, "utf8")
-  .split(/\r?\n/)
-  .map((s) => s.trim())
-  .filter(Boolean);
 
-let idx = 0;
-let active = 0;
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
-async function scanOne(pkg) {
-  const safe = pkg.replace(/\//g, "+");
-  const target = path.join(baseDir, safe, "package");
-  const outPath = path.join(outDir, `${safe}.json`);
-  const errPath = path.join(outDir, `${safe}.error.json`);
+async function submit() {
+  const packages = fs
+    .readFileSync(pkgFile, "utf8")
+    .split(/\r?\n/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+  const { data } = await axios.post(`${SERVER}/jobs`, {
+    scans: [mode],
+    packages,
+  });
+  console.log(`submitted job ${data.id} (${data.total} packages, ${mode})`);
+  return data.id;
+}
 
-  if (!fs.existsSync(target)) {
-    fs.writeFileSync(
-      errPath,
-      JSON.stringify({ pkg, error: "target not found", target }, null, 2)
-    );
-    console.warn("target not found", pkg);
-    return;
-  }
-
-  try {
-    const url = `http://localhost:3050/scan/obfuscation?dir=${encodeURIComponent(
-      target
-    )}`;
-    const resp = await axios.get(url, { timeout: 300000 });
-    fs.writeFileSync(outPath, JSON.stringify(resp.data, null, 2));
-    console.log("scanned", pkg);
-  } catch (e) {
-    fs.writeFileSync(
-      errPath,
-      JSON.stringify({ pkg, error: e.message }, null, 2)
-    );
-    console.error("failed", pkg, e.message);
+async function waitFor(id) {
+  let last = null;
+  for (;;) {
+    const { data: job } = await axios.get(`${SERVER}/jobs/${id}`);
+    const line = `${job.status} ${job.progress}% ${JSON.stringify(job.counts)}`;
+    if (line !== last) console.log(line);
+    last = line;
+    if (!["queued", "running"].includes(job.status)) return job;
+    await sleep(POLL_MS);
   }
 }
 
-async function worker() {
-  while (true) {
-    let pkg;
-    // atomic get next
-    if (idx < pkgs.length) {
-      pkg = pkgs[idx++];
-    } else break;
-
-    await scanOne(pkg);
-    // tiny backoff
-    await new Promise((r) => setTimeout(r, 100));
+async function writeResults(id) {
+  let written = 0;
+  for (let skip = 0; ; skip += PAGE) {
+    const { data } = await axios.get(`${SERVER}/jobs/${id}/results`, {
+      params: { skip, limit: PAGE },
+    });
+    for (const item of data.items) {
+      const safe = item.pkg.replace(/\//g, "+");
+      const result = item.results[mode];
+      if (item.status === "done" && result) {
+        fs.writeFileSync(
+          path.join(outDir, `${safe}${suffix}.json`),
+          JSON.stringify(result, null, 2)
+        );
+        written++;
+      } else {
+        fs.writeFileSync(
+          path.join(outDir, `${safe}${suffix}.error.json`),
+          JSON.stringify(
+            { pkg: item.pkg, status: item.status, error: item.error },
+            null,
+            2
+          )
+        );
+        console.error("failed", item.pkg, item.error || item.status);
+      }
+    }
+    if (data.items.length < PAGE) return written;
   }
 }
 
 (async () => {
-  const workers = new Array(CONCURRENCY).fill(0).map(() => worker());
-  await Promise.all(workers);
-  console.log("All done. Results in", outDir);
+  let id = resumeId;
+  try {
+    if (!id) id = await submit();
+    // the job lives in the server; stopping here does not stop it
+    process.on("SIGINT", () => {
+      console.log(
+        `\njob ${id} keeps running; reattach with: node batch_scan.js ${mode} ${id}`
+      );
+      process.exit(130);
+    });
+    const job = await waitFor(id);
+    const written = await writeResults(id);
+    console.log(`Job ${id} ${job.status}: ${written} results in ${outDir}`);
+  } catch (e) {
+    const details = e.response ? JSON.stringify(e.response.data) : e.message;
+    console.error(`batch scan failed${id ? ` (job ${id})` : ""}: ${details}`);
+    process.exit(1);
+  }
 })();
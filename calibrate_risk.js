@@ -0,0 +1,89 @@
+// node calibrate_risk.js <labels.txt> [c2Dir] [outFile]
+// labels.txt: one "<package> <bad|good>" per line, # for comments; each
+// package must already be in DOWNLOAD_DIR (download-packages.js)
+const fs = require("fs");
+const path = require("path");
+const { connectDb } = require("./lib/db");
+const { safeName } = require("./lib/registry");
+const { scorePackageDir, calibrate } = require("./lib/risk_score");
+
+const labelsFile = process.argv[2];
+const c2Dir = process.argv[3] || "c2_results";
+const outFile =
+  process.argv[4] || path.join("results", "risk_calibration.json");
+const baseDir = process.env.DOWNLOAD_DIR || "downloaded_packages";
+const LABELS = { bad: "bad", malicious: "bad", good: "good", benign: "good" };
+
+if (!labelsFile || !fs.existsSync(labelsFile)) {
+  console.error("Usage: node calibrate_risk.js <labels.txt> [c2Dir] [outFile]");
+  process.exit(1);
+}
+
+const labelled = [];
+for (const line of fs.readFileSync(labelsFile, "utf8").split(/\r?\n/)) {
+  const [pkg, label] = line
+    .replace(/#.*$/, "")
+    .trim()
+    .split(/[\s,]+/);
+  if (!pkg) continue;
+  if (!LABELS[label]) {
+    console.error(`${labelsFile}: "${label}" for ${pkg} is not bad/good`);
+    process.exit(1);
+  }
+  labelled.push({ pkg, label: LABELS[label] });
+}
+
+(async () => {
+  // advisories only count when the local store is reachable
+  let client = null;
+  let db = null;
+  try {
+    ({ client, db } = await connectDb());
+  } catch (e) {
+    console.error(`MongoDB unavailable, advisories not scored: ${e.message}`);
+  }
+  try {
+    const samples = [];
+    for (const { pkg, label } of labelled) {
+      const dir = path.join(baseDir, safeName(pkg));
+      try {
+        const result = await scorePackageDir(dir, { c2Dir, db });
+        samples.push({ pkg, label, result });
+        console.log(
+          `${label.padEnd(4)} ${result.score} ${result.band}  ${pkg}`
+        );
+      } catch (e) {
+        console.error(`skipped ${pkg}: ${e.message}`);
+      }
+    }
+    const report = calibrate(samples);
+    fs.mkdirSync(path.dirname(outFile), { recursive: true });
+    fs.writeFileSync(
+      outFile,
+      JSON.stringify(
+        {
+          ...report,
+          packages: samples.map((s) => ({
+            pkg: s.pkg,
+            label: s.label,
+            score: s.result.score,
+            band: s.result.band,
+          })),
+        },
+        null,
+        2
+      ),
+      "utf8"
+    );
+    console.log({
+      ...report.counts,
+      auc: report.auc,
+      bestThreshold: report.bestThreshold,
+      misses: report.misses.length,
+    });
+    if (report.suggested) console.log("suggested:", report.suggested);
+    console.log(`Report: ${outFile}`);
+  } finally {
+    if (client) await client.close();
+  }
+})();
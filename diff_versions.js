@@ -0,0 +1,41 @@
+const fs = require("fs");
+const path = require("path");
+const { diffVersions } = require("./lib/version_diff");
+const { safeName } = require("./lib/registry");
+
+const pkg = process.argv[2];
+const from = process.argv[3];
+const to = process.argv[4];
+const outDir = process.argv[5] || "diff_results";
+const baseDir = process.env.DOWNLOAD_DIR || "downloaded_packages";
+
+if (!pkg) {
+  console.error(
+    "Usage: node diff_versions.js <package> [fromVersion] [toVersion] [outDir]"
+  );
+  console.error("  (defaults: to = latest, from = the release before it)");
+  process.exit(1);
+}
+
+if (!fs.existsSync(outDir)) fs.mkdirSync(outDir, { recursive: true });
+
+(async () => {
+  try {
+    const report = await diffVersions(pkg, from, to, baseDir);
+    const outPath = path.join(
+      outDir,
+      `${safeName(pkg)}@${report.from}..${report.to}.json`
+    );
+    fs.writeFileSync(outPath, JSON.stringify(report, null, 2), "utf8");
+    console.log(
+      `${pkg} ${report.from} -> ${report.to}: suspicion ${report.suspicionScore}`
+    );
+    for (const d of report.deltas.slice(0, 10)) {
+      console.log(`  [${d.severity}] ${d.description}`);
+    }
+    console.log(`Report: ${outPath}`);
+  } catch (e) {
+    console.error(`diff failed for ${pkg}: ${e.message}`);
+    process.exit(1);
+  }
+})();
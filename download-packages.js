@@ -1,10 +1,7 @@
 const fs = require("fs");
 const fsp = require("fs").promises;
 const path = require("path");
-const https = require("https");
-const { exec } = require("child_process");
-const util = require("util");
-const execAsync = util.promisify(exec);
+const { downloadPackage } = require("./lib/download");
 
 const inputFile = process.argv[2];
 const outDir = process.argv[3] || "downloaded_packages";
@@ -33,117 +30,13 @@ const lines = fs
   .map((l) => l.trim())
   .filter(Boolean);
 
-// safe name for filesystem (scoped packages: @scope/name -> @scope+name)
-function safeName(pkg) {
-  return pkg.replace(/\//g, "+");
-}
-
-function fetchJSON(url) {
-  return new Promise((resolve, reject) => {
-    https
-      .get(url, { headers: { "User-Agent": "npm-downloader/1.0" } }, (res) => {
-        let data = "";
-        res.on("data", (c) => (data += c));
-        res.on("end", () => {
-          try {
-            resolve(JSON.parse(data));
-          } catch (e) {
-            reject(
-              new Error(
-                `Invalid JSON from ${url}: ${e.message} - raw: ${data.slice(
-                  0,
-                  200
-                )}`
-              )
-            );
-          }
-        });
-      })
-      .on("error", reject);
-  });
-}
-
-function downloadFile(url, dest) {
-  return new Promise((resolve, reject) => {
-    const file = fs.createWriteStream(dest);
-    https
-      .get(url, (res) => {
-        if (res.statusCode !== 200) {
-          reject(new Error(`HTTP ${res.statusCode} for ${url}`));
-          return;
-        }
-        res.pipe(file);
-        file.on("finish", () => file.close(resolve));
-      })
-      .on("error", (err) => {
-        try {
-          fs.unlinkSync(dest);
-        } catch (_) {}
-        reject(err);
-      });
-  });
-}
-
 async function processPackage(pkgName) {
-  const logPrefix = `[${pkgName}]`;
   try {
-    const metaUrl = `https://registry.npmjs.org/${encodeURIComponent(pkgName)}`;
-    const meta = await fetchJSON(metaUrl);
-
-    // Build list of versions with times
-    const timeMap = meta.time || {};
-    const versionEntries = Object.entries(timeMap)
-      .filter(([ver]) => ver !== "created" && ver !== "modified")
-      .map(([ver, t]) => ({ ver, time: new Date(t) }))
-      .filter(({ time }) => time <= cutoffDate);
-
-    if (versionEntries.length === 0) {
-      throw new Error("NO_VERSION_BEFORE_CUTOFF");
-    }
-
-    // pick the latest version before cutoff
-    versionEntries.sort((a, b) => a.time - b.time);
-    const selected = versionEntries[versionEntries.length - 1].ver;
-    const selectedMeta = meta.versions && meta.versions[selected];
-    if (!selectedMeta || !selectedMeta.dist || !selectedMeta.dist.tarball) {
-      throw new Error("NO_TARBALL_FOR_SELECTED_VERSION");
-    }
-    const tarballUrl = selectedMeta.dist.tarball;
-
-    const pkgOutBase = path.join(outDir, safeName(pkgName));
-    await fsp.mkdir(pkgOutBase, { recursive: true });
-    const tgzPath = path.join(
-      pkgOutBase,
-      `${safeName(pkgName)}-${selected}.tgz`
-    );
-
-    // download with retries
-    const MAX_DL_TRIES = 3;
-    let dlOk = false;
-    for (let attempt = 1; attempt <= MAX_DL_TRIES; attempt++) {
-      try {
-        await downloadFile(tarballUrl, tgzPath);
-        dlOk = true;
-        break;
-      } catch (e) {
-        if (attempt < MAX_DL_TRIES) {
-          await new Promise((r) => setTimeout(r, 1000 * attempt)); // backoff
-        } else {
-          throw new Error(`DOWNLOAD_FAILED: ${e.message}`);
-        }
-      }
-    }
-
-    // extract
-    try {
-      // extract into pkgOutBase (tarball structure -> package/...)
-      await execAsync(`tar -xzf "${tgzPath}" -C "${pkgOutBase}"`);
-    } catch (e) {
-      throw new Error(`EXTRACT_FAILED: ${e.message}`);
-    }
-
-    // success object
-    return { ok: true, pkg: pkgName, version: selected, dir: pkgOutBase };
+    // the latest version before cutoff
+    const { version, dir } = await downloadPackage(pkgName, outDir, {
+      cutoffDate,
+    });
+    return { ok: true, pkg: pkgName, version, dir };
   } catch (err) {
     return { ok: false, pkg: pkgName, error: err.message || String(err) };
   }
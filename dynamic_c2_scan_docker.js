@@ -1,10 +1,25 @@
 const fs = require("fs");
 const path = require("path");
-const { spawnSync } = require("child_process");
+const {
+  BASELINE_NAME,
+  noiseFilter,
+  unexpectedDomains,
+} = require("./lib/c2_baseline");
+const { defaultThreatIntel } = require("./lib/threat_intel");
+const { connectDb } = require("./lib/db");
+const { buildTimeline } = require("./lib/trace");
+const { analyzeCapture } = require("./lib/c2_pcap");
+const { summarizeSinkhole } = require("./lib/sinkhole");
+const {
+  ensureImages,
+  cleanupOrphans,
+  openRunState,
+  createSandboxRunner,
+} = require("./lib/sandbox_runner");
 
 if (process.argv.length < 4) {
   console.error(
-    "Usage: node dynamic_c2_scan_docker.js <packages_file> <out_dir> [cap_seconds]"
+    "Usage: node dynamic_c2_scan_docker.js <packages_file> <out_dir> [cap_seconds] [parallel]"
   );
   process.exit(1);
 }
@@ -12,6 +27,12 @@ if (process.argv.length < 4) {
 const pkgsFile = process.argv[2];
 const outDir = process.argv[3];
 const CAP = Number(process.argv[4] || process.env.CAP_DURATION || 40);
+const PARALLEL = Number(process.argv[5] || process.env.SANDBOX_PARALLEL || 2);
+const IMPORT_TIMEOUT = Number(process.env.IMPORT_TIMEOUT || 20);
+// attempts per package before a failing one is left alone on resume
+const MAX_ATTEMPTS = Number(process.env.SANDBOX_ATTEMPTS || 2);
+// answer all DNS/HTTP(S)/TCP from sandbox/sinkhole.js instead of the internet
+const SINKHOLE = process.env.SANDBOX_SINKHOLE === "1";
 
 if (!fs.existsSync(pkgsFile)) {
   console.error("packages file not found:", pkgsFile);
@@ -32,35 +53,21 @@ const pkgs = fs
   .filter(Boolean);
 
 console.log(
-  `Starting dynamic C2 Docker scan: ${pkgs.length} packages, cap=${CAP}s, outDir=${outDir}`
+  `Starting dynamic C2 Docker scan: ${pkgs.length} packages, cap=${CAP}s, parallel=${PARALLEL}, sinkhole=${SINKHOLE}, outDir=${outDir}`
 );
 
-for (let i = 0; i < pkgs.length; i++) {
-  const pkg = pkgs[i];
-  const safe = safeName(pkg);
-  const base = path.join(outDir, safe);
-
-  const outPcap = `${base}.pcap`;
-  const outTxt = `${base}.txt`;
-  const outJson = `${base}.json`;
-  const outStart = `${base}.start.txt`;
-  const outEnd = `${base}.end.txt`;
-
-  if (fs.existsSync(outJson)) {
-    console.log(`[${i + 1}/${pkgs.length}] SKIP existing: ${pkg}`);
-    continue;
-  }
-
-  console.log(`\n[${i + 1}/${pkgs.length}] RUN: ${pkg}`);
-  const scriptInsideContainer = `
-set -e
-apt-get update -qq || true
-DEBIAN_FRONTEND=noninteractive apt-get install -y -qq tshark dnsutils >/dev/null 2>&1 || true
-mkdir -p /work && cd /work
-date -Iseconds > /out/${safe}.start.txt
-tshark -i any -a duration:${CAP} -w /out/${safe}.pcap 2>/dev/null &
-TSHARK_PID=$!
-sleep 1
+// runs in the untrusted container while the sidecar captures its network
+// namespace; the nslookups and npm's own registry traffic are the noise the
+// baseline records. Every node process loads sandbox/trace_hook.js, which
+// writes the runtime events of the install phase and then of require()ing
+// `importPkg`.
+function sandboxScript(install, importPkg) {
+  const importPhase = importPkg
+    ? `cp /trace/import_entry.js ./.import_entry.js
+TRACE_PHASE=import timeout ${IMPORT_TIMEOUT} node ./.import_entry.js '${importPkg}' >/dev/null 2>&1 || true`
+    : "";
+  return `
+cd /work
 
 # --- manually import ---
 nslookup github.com >/dev/null 2>&1 || true
@@ -68,58 +75,239 @@ nslookup www.npmjs.com >/dev/null 2>&1 || true
 # ---------------------------------------
 
 npm init -y >/dev/null 2>&1 || true
-npm i ${pkg} --no-audit --no-fund >/dev/null 2>&1 || true
-wait $TSHARK_PID || true
-date -Iseconds > /out/${safe}.end.txt
-tshark -r /out/${safe}.pcap -Y 'dns or tls.handshake.extensions_server_name' -T fields -e dns.qry.name -e tls.handshake.extensions_server_name > /out/${safe}.txt 2>/dev/null || true
+export TRACE_FILE=/out/trace.jsonl
+export NODE_OPTIONS="--require /trace/trace_hook.js"
+export TRACE_PHASE=install
+${install}
+${importPhase}
+unset NODE_OPTIONS
+date -Iseconds > /out/done.txt
+# anything the package left running stays up until the capture ends
+sleep ${CAP + 60}
 `;
+}
 
-  const dockerArgs = [
-    "run",
-    "--rm",
-    "--cap-add=NET_ADMIN",
-    "--cap-add=NET_RAW",
-    "-v",
-    `${path.resolve(outDir)}:/out`,
-    "node:18",
-    "bash",
-    "-lc",
-    scriptInsideContainer,
-  ];
-
-  const r = spawnSync("docker", dockerArgs, { stdio: "inherit" });
-  if (r.error) {
-    console.error(`docker run failed for ${pkg}: ${r.error.message}`);
+// with the sinkhole there is no registry either: the package is fetched
+// with scripts off first, then its lifecycle scripts run via `npm rebuild`
+function runInSandbox(runner, safe, spec, importPkg, setup = "") {
+  const quiet = "--no-audit --no-fund >/dev/null 2>&1 || true";
+  if (!SINKHOLE) {
+    return runner.run(
+      safe,
+      sandboxScript(`${setup}npm i ${spec} ${quiet}`, importPkg)
+    );
   }
+  return runner.run(safe, sandboxScript(`npm rebuild ${quiet}`, importPkg), {
+    fetch: `cd /work && npm init -y >/dev/null 2>&1
+${setup}npm i ${spec} --ignore-scripts ${quiet}`,
+  });
+}
 
+// move the sandbox outputs into the <safe>.* layout of outDir; the domains
+// come from the capture, requests the package made from the sinkhole log
+function collectOutputs(safe, result) {
+  const base = path.join(outDir, safe);
+  fs.writeFileSync(`${base}.start.txt`, `${result.startedAt}\n`, "utf8");
+  fs.writeFileSync(`${base}.end.txt`, `${result.endedAt}\n`, "utf8");
+  if (fs.existsSync(result.trace)) {
+    fs.renameSync(result.trace, `${base}.trace.jsonl`);
+  }
   let domains = [];
-  if (fs.existsSync(outTxt)) {
-    const lines = fs.readFileSync(outTxt, "utf8").split(/\r?\n/);
-    const seen = new Set();
-    for (const line of lines) {
-      if (!line.trim()) continue;
-      const parts = line
-        .split("\t")
-        .map((x) => x.trim())
-        .filter(Boolean);
-      const name = parts[0] || parts[1];
-      if (name && !seen.has(name)) {
-        seen.add(name);
-        domains.push(name);
-      }
+  if (fs.existsSync(result.pcap)) {
+    fs.renameSync(result.pcap, `${base}.pcap`);
+    try {
+      domains = analyzeCapture(fs.readFileSync(`${base}.pcap`)).domains;
+    } catch (e) {
+      console.error(`unreadable capture for ${safe}: ${e.message}`);
     }
   }
+  fs.writeFileSync(`${base}.txt`, domains.map((d) => `${d}\n`).join(""));
+  let sinkhole = null;
+  if (result.sinkholeLog && fs.existsSync(result.sinkholeLog)) {
+    fs.renameSync(result.sinkholeLog, `${base}.sinkhole.jsonl`);
+    sinkhole = {
+      file: `${safe}.sinkhole.jsonl`,
+      ...summarizeSinkhole(fs.readFileSync(`${base}.sinkhole.jsonl`, "utf8")),
+    };
+  }
+  fs.rmSync(result.dir, { recursive: true, force: true });
+  return { domains, sinkhole };
+}
 
-  const record = {
-    pkg,
-    domains,
-    vt: {},
-    timestamp: new Date().toISOString(),
+function sandboxSummary(result, attempts) {
+  return {
+    status: result.status,
+    oomKilled: result.oomKilled,
+    exitCode: result.exitCode,
+    durationMs: result.durationMs,
+    attempts,
+    sinkhole: SINKHOLE,
   };
-  fs.writeFileSync(outJson, JSON.stringify(record, null, 2), "utf8");
-  console.log(`WROTE: ${path.basename(outJson)} (domains: ${domains.length})`);
+}
 
-  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 500);
+// <safe>.trace.jsonl from the hook -> <safe>.trace.json timeline; the record
+// keeps just the headline findings
+function writeTimeline(safe) {
+  const raw = path.join(outDir, `${safe}.trace.jsonl`);
+  if (!fs.existsSync(raw)) return null;
+  const timeline = buildTimeline(fs.readFileSync(raw, "utf8"));
+  const outTrace = path.join(outDir, `${safe}.trace.json`);
+  fs.writeFileSync(outTrace, JSON.stringify(timeline, null, 2), "utf8");
+  const { summary } = timeline;
+  return {
+    file: path.basename(outTrace),
+    eventCount: timeline.eventCount,
+    phases: Object.keys(timeline.phases),
+    spawned: summary.spawned.length,
+    connections: summary.connections.length,
+    filesWritten: summary.filesWritten.length,
+    sensitiveFiles: summary.sensitiveFiles,
+    sensitiveEnv: summary.sensitiveEnv,
+    envEnumerated: summary.envEnumerated,
+  };
 }
 
-console.log("\nDone.");
+(async () => {
+  await ensureImages({ sinkhole: SINKHOLE });
+  const orphans = await cleanupOrphans();
+  if (orphans.containers || orphans.networks) {
+    console.log(
+      `removed ${orphans.containers} orphaned containers, ${orphans.networks} networks`
+    );
+  }
+  const runner = createSandboxRunner({
+    workDir: path.join(outDir, ".sandbox"),
+    capSeconds: CAP,
+    sinkhole: SINKHOLE,
+  });
+  const state = openRunState(outDir, { maxAttempts: MAX_ATTEMPTS });
+  state.markInterrupted();
+
+  let stopping = false;
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.on(signal, async () => {
+      if (stopping) return;
+      stopping = true;
+      console.log(`\n${signal}: removing this run's containers ...`);
+      await runner.cleanup();
+      state.markInterrupted();
+      process.exit(130);
+    });
+  }
+
+  // baseline: the same sandbox flow installing an empty local package
+  const baselineJson = path.join(outDir, `${BASELINE_NAME}.json`);
+  if (!fs.existsSync(baselineJson)) {
+    console.log("\nRUN: baseline (empty package)");
+    const result = await runInSandbox(
+      runner,
+      BASELINE_NAME,
+      "./empty-pkg",
+      null,
+      "mkdir -p empty-pkg && (cd empty-pkg && npm init -y >/dev/null 2>&1) || true\n"
+    );
+    const { domains, sinkhole } = collectOutputs(BASELINE_NAME, result);
+    fs.writeFileSync(
+      baselineJson,
+      JSON.stringify(
+        {
+          pkg: null,
+          baseline: true,
+          domains,
+          trace: writeTimeline(BASELINE_NAME),
+          sinkhole,
+          sandbox: sandboxSummary(result, 1),
+          timestamp: new Date().toISOString(),
+        },
+        null,
+        2
+      ),
+      "utf8"
+    );
+    console.log(
+      `WROTE: ${path.basename(baselineJson)} (domains: ${domains.length})`
+    );
+  }
+  const noise = noiseFilter(outDir);
+
+  // the Mongo cache only matters when remote lookups are configured
+  const conn = process.env.VIRUSTOTAL_API_KEY
+    ? await connectDb().catch((e) => {
+        console.error(`reputation cache unavailable: ${e.message}`);
+        return {};
+      })
+    : {};
+  // no per-run cap here: the cache and VT_MIN_INTERVAL_MS pace the batch
+  const intel = defaultThreatIntel(conn.db || null, { maxLookups: Infinity });
+
+  async function scanPackage(i) {
+    const pkg = pkgs[i];
+    const safe = safeName(pkg);
+    const outJson = path.join(outDir, `${safe}.json`);
+
+    const skip = state.skipReason(pkg, outJson);
+    if (skip) {
+      console.log(`[${i + 1}/${pkgs.length}] SKIP (${skip}): ${pkg}`);
+      return;
+    }
+    const attempts = ((state.packages[pkg] || {}).attempts || 0) + 1;
+    state.update(pkg, {
+      status: "running",
+      attempts,
+      startedAt: new Date().toISOString(),
+      error: null,
+    });
+    console.log(`[${i + 1}/${pkgs.length}] RUN: ${pkg} (attempt ${attempts})`);
+
+    try {
+      const result = await runInSandbox(runner, safe, pkg, pkg);
+      const { domains, sinkhole } = collectOutputs(safe, result);
+      const unexpected = unexpectedDomains(domains, noise);
+      const record = {
+        pkg,
+        domains,
+        unexpectedDomains: unexpected,
+        // normalized verdicts (lib/threat_intel) for the unexpected domains
+        reputation: await intel.lookupMany(unexpected),
+        trace: writeTimeline(safe),
+        // what the package sent once every host answered (SANDBOX_SINKHOLE=1)
+        sinkhole,
+        sandbox: sandboxSummary(result, attempts),
+        timestamp: new Date().toISOString(),
+      };
+      fs.writeFileSync(outJson, JSON.stringify(record, null, 2), "utf8");
+      state.update(pkg, {
+        status: result.status,
+        finishedAt: new Date().toISOString(),
+      });
+      console.log(
+        `WROTE: ${path.basename(outJson)} (${result.status}, domains: ${
+          domains.length
+        }, unexpected: ${unexpected.length})`
+      );
+    } catch (e) {
+      if (stopping) return;
+      state.update(pkg, {
+        status: "failed",
+        error: e.message,
+        finishedAt: new Date().toISOString(),
+      });
+      console.error(`FAILED: ${pkg}: ${e.message}`);
+    }
+  }
+
+  // N workers pull the next package index until the list is exhausted
+  let next = 0;
+  const worker = async () => {
+    while (next < pkgs.length && !stopping) await scanPackage(next++);
+  };
+  await Promise.all(
+    Array.from({ length: Math.max(1, Math.min(PARALLEL, pkgs.length)) }, worker)
+  );
+
+  console.log("\nDone.");
+  if (conn.client) await conn.client.close();
+})().catch((e) => {
+  console.error(e.message);
+  process.exit(1);
+});
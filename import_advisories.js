@@ -0,0 +1,34 @@
+// node import_advisories.js <osv-or-ghsa-dump (file or dir)>
+// e.g. a checkout of github/advisory-database (advisories/github-reviewed)
+// or an unzipped https://osv-vulnerabilities.storage.googleapis.com/npm/all.zip
+const fs = require("fs");
+const { connectDb } = require("./lib/db");
+const { importAdvisories } = require("./lib/advisories");
+
+const target = process.argv[2];
+
+if (!target) {
+  console.error("Usage: node import_advisories.js <dump file or directory>");
+  process.exit(1);
+}
+if (!fs.existsSync(target)) {
+  console.error("Dump not found:", target);
+  process.exit(1);
+}
+
+(async () => {
+  const { client, db } = await connectDb();
+  try {
+    const stats = await importAdvisories(db, target, ({ files, imported }) =>
+      console.log(`  ${files} files, ${imported} advisories so far`)
+    );
+    console.log(
+      `✅ imported ${stats.imported} npm advisories from ${stats.files} files (${stats.skipped} unreadable)`
+    );
+  } catch (e) {
+    console.error("Import failed:", e.message);
+    process.exitCode = 1;
+  } finally {
+    await client.close();
+  }
+})();
@@ -0,0 +1,209 @@
+const fs = require("fs").promises;
+const path = require("path");
+const semver = require("semver");
+
+const COLLECTION = "advisories";
+const SEVERITIES = ["low", "moderate", "high", "critical"];
+
+function normalizeSeverity(sev) {
+  const s = String(sev || "").toLowerCase();
+  if (s === "medium") return "moderate";
+  return SEVERITIES.includes(s) ? s : "unknown";
+}
+
+// OSV events -> semver ranges: introduced/fixed/last_affected pairs
+function osvEventsToRanges(events) {
+  const ranges = [];
+  let lower = null;
+  for (const ev of events) {
+    if (ev.introduced !== undefined) {
+      lower = ev.introduced === "0" ? "0.0.0-0" : ev.introduced;
+    } else if (ev.fixed !== undefined) {
+      ranges.push(`>=${lower || "0.0.0-0"} <${ev.fixed}`);
+      lower = null;
+    } else if (ev.last_affected !== undefined) {
+      ranges.push(`>=${lower || "0.0.0-0"} <=${ev.last_affected}`);
+      lower = null;
+    }
+  }
+  if (lower) ranges.push(`>=${lower}`);
+  return ranges;
+}
+
+// OSV record (what both osv.dev and github/advisory-database ship)
+function fromOsv(record) {
+  const out = [];
+  for (const affected of record.affected || []) {
+    const pkg = affected.package || {};
+    if (String(pkg.ecosystem).toLowerCase() !== "npm") continue;
+    const ranges = [];
+    for (const r of affected.ranges || []) {
+      if (r.type === "SEMVER" || r.type === "ECOSYSTEM") {
+        ranges.push(...osvEventsToRanges(r.events || []));
+      }
+    }
+    out.push({
+      id: record.id,
+      aliases: record.aliases || [],
+      package: pkg.name,
+      summary: record.summary || (record.details || "").slice(0, 300),
+      severity: normalizeSeverity(
+        (affected.database_specific && affected.database_specific.severity) ||
+          (record.database_specific && record.database_specific.severity)
+      ),
+      ranges,
+      versions: affected.versions || [],
+      withdrawn: record.withdrawn || null,
+      modified: record.modified || null,
+      source: "osv",
+    });
+  }
+  return out;
+}
+
+// GitHub GraphQL securityVulnerabilities node:
+// { package: { name }, vulnerableVersionRange: ">= 1.0, < 1.2", advisory }
+function fromGhsaNode(node) {
+  const adv = node.advisory || {};
+  return [
+    {
+      id: adv.ghsaId || adv.id || null,
+      aliases: (adv.identifiers || []).map((i) => i.value),
+      package: node.package && node.package.name,
+      summary: adv.summary || "",
+      severity: normalizeSeverity(node.severity || adv.severity),
+      ranges: [String(node.vulnerableVersionRange || "").replace(/,/g, " ")],
+      versions: [],
+      withdrawn: adv.withdrawnAt || null,
+      modified: adv.updatedAt || null,
+      source: "ghsa",
+    },
+  ];
+}
+
+function normalizeRecord(record) {
+  if (record && Array.isArray(record.affected)) return fromOsv(record);
+  if (record && record.vulnerableVersionRange !== undefined) {
+    return fromGhsaNode(record);
+  }
+  return [];
+}
+
+// a dump file may hold one record, an array, a GraphQL response, or JSONL
+function recordsFromText(text) {
+  const trimmed = text.trim();
+  if (!trimmed) return [];
+  try {
+    const parsed = JSON.parse(trimmed);
+    if (Array.isArray(parsed)) return parsed;
+    const nodes = parsed?.data?.securityVulnerabilities?.nodes;
+    if (Array.isArray(nodes)) return nodes;
+    return [parsed];
+  } catch (e) {
+    return trimmed
+      .split(/\r?\n/)
+      .filter((l) => l.trim())
+      .map((l) => JSON.parse(l));
+  }
+}
+
+async function* dumpFiles(target) {
+  const st = await fs.stat(target);
+  if (st.isFile()) {
+    yield target;
+    return;
+  }
+  const entries = await fs.readdir(target, { withFileTypes: true });
+  for (const e of entries) {
+    const full = path.join(target, e.name);
+    if (e.isDirectory()) yield* dumpFiles(full);
+    else if (/\.jsonl?$/.test(e.name)) yield full;
+  }
+}
+
+// read an OSV/GHSA dump (file or directory tree) and upsert it into MongoDB
+async function importAdvisories(db, target, onProgress = () => {}) {
+  const collection = db.collection(COLLECTION);
+  await collection.createIndex({ package: 1 });
+  await collection.createIndex({ id: 1, package: 1 }, { unique: true });
+
+  let files = 0;
+  let imported = 0;
+  let skipped = 0;
+  for await (const file of dumpFiles(target)) {
+    files++;
+    let records;
+    try {
+      records = recordsFromText(await fs.readFile(file, "utf8"));
+    } catch (e) {
+      skipped++;
+      continue;
+    }
+    const docs = records.flatMap(normalizeRecord).filter((d) => d.package);
+    if (docs.length === 0) continue;
+    await collection.bulkWrite(
+      docs.map((d) => ({
+        updateOne: {
+          filter: { id: d.id, package: d.package },
+          update: { $set: { ...d, importedAt: new Date() } },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+    imported += docs.length;
+    if (files % 1000 === 0) onProgress({ files, imported });
+  }
+  return { files, imported, skipped };
+}
+
+function affects(advisory, version) {
+  if (advisory.withdrawn) return false;
+  if (!semver.valid(version)) return false;
+  if ((advisory.versions || []).includes(version)) return true;
+  return (advisory.ranges || []).some((r) => {
+    const range = semver.validRange(r, { includePrerelease: true });
+    return (
+      range && semver.satisfies(version, range, { includePrerelease: true })
+    );
+  });
+}
+
+// advisories for name that actually cover the resolved version
+async function findAdvisories(db, name, version) {
+  if (!db) return [];
+  const docs = await db
+    .collection(COLLECTION)
+    .find({ package: name })
+    .project({ _id: 0 })
+    .toArray();
+  return docs
+    .filter((d) => affects(d, version))
+    .map((d) => ({
+      id: d.id,
+      aliases: d.aliases,
+      summary: d.summary,
+      severity: d.severity,
+      ranges: d.ranges,
+      source: d.source,
+    }));
+}
+
+// [{ name, version }] -> same entries with the advisories affecting each
+async function matchInstalled(db, packages) {
+  const out = [];
+  for (const p of packages) {
+    const advisories = await findAdvisories(db, p.name, p.version);
+    if (advisories.length > 0) out.push({ ...p, advisories });
+  }
+  return out;
+}
+
+module.exports = {
+  importAdvisories,
+  findAdvisories,
+  matchInstalled,
+  normalizeRecord,
+  affects,
+  osvEventsToRanges,
+};
@@ -0,0 +1,468 @@
+const fs = require("fs").promises;
+const fsSync = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { collectFiles } = require("./files");
+
+const MAX_FILES = 5000;
+const MAX_DEPTH = 20;
+// binaries are read whole for strings up to this size, then only the head
+const MAX_STRINGS_BYTES = 32 * 1024 * 1024;
+const MAX_TEXT_BYTES = 2 * 1024 * 1024;
+const MIN_STRING = 6;
+const MAX_LIST = 50;
+const SEVERITY_ORDER = { critical: 4, high: 3, medium: 2, low: 1, info: 0 };
+
+// magic bytes -> type; checked in order against the file head
+const MAGIC = [
+  [[0x7f, 0x45, 0x4c, 0x46], "elf"],
+  [[0x4d, 0x5a], "pe"],
+  [[0xcf, 0xfa, 0xed, 0xfe], "macho"],
+  [[0xce, 0xfa, 0xed, 0xfe], "macho"],
+  [[0xfe, 0xed, 0xfa, 0xcf], "macho"],
+  [[0xfe, 0xed, 0xfa, 0xce], "macho"],
+  [[0xca, 0xfe, 0xba, 0xbe], "macho-universal"],
+  [[0x00, 0x61, 0x73, 0x6d], "wasm"],
+  [[0x1f, 0x8b], "gzip"],
+  [[0x50, 0x4b, 0x03, 0x04], "zip"],
+  [[0x42, 0x5a, 0x68], "bzip2"],
+  [[0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00], "xz"],
+  [[0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c], "7z"],
+].map(([bytes, type]) => [Buffer.from(bytes), type]);
+const EXECUTABLE = new Set(["elf", "pe", "macho", "macho-universal"]);
+const ARCHIVE = new Set(["gzip", "zip", "bzip2", "xz", "7z"]);
+
+const SCRIPT_EXT = {
+  ".sh": "shell",
+  ".bash": "shell",
+  ".zsh": "shell",
+  ".command": "shell",
+  ".ps1": "powershell",
+  ".psm1": "powershell",
+  ".bat": "batch",
+  ".cmd": "batch",
+  ".vbs": "vbscript",
+  ".py": "python",
+  ".pl": "perl",
+  ".rb": "ruby",
+  ".js": "javascript",
+  ".mjs": "javascript",
+  ".cjs": "javascript",
+};
+const SHEBANG = [
+  [/\b(ba|z|da|k)?sh\b/, "shell"],
+  [/\bpwsh\b|powershell/, "powershell"],
+  [/\bnode\b/, "javascript"],
+  [/\bpython[0-9.]*\b/, "python"],
+  [/\bperl\b/, "perl"],
+  [/\bruby\b/, "ruby"],
+];
+
+// what a native build or prebuilt-binary setup looks like in package.json
+const NATIVE_DEPS = [
+  "node-gyp",
+  "node-gyp-build",
+  "prebuild-install",
+  "prebuildify",
+  "node-pre-gyp",
+  "@mapbox/node-pre-gyp",
+  "bindings",
+  "napi-build-utils",
+  "node-addon-api",
+  "nan",
+  "cmake-js",
+];
+const NATIVE_SCRIPT = /node-gyp|prebuild|node-pre-gyp|cmake-js|napi/;
+// where those setups put their output
+const NATIVE_PATHS =
+  /(^|\/)(prebuilds|build\/(Release|Debug)|lib\/binding|bin\/(linux|darwin|win32)[^/]*|binding)\//;
+
+// strings inside binaries that are worth showing an analyst
+const SUSPICIOUS_STRINGS = [
+  [/\/bin\/(ba)?sh\b/, "shell"],
+  [/\bcmd\.exe\b/i, "cmd.exe"],
+  [/\bpowershell(\.exe)?\b/i, "powershell"],
+  [/\b(curl|wget)\b/, "downloader"],
+  [/chmod\s+\+?[0-7x]+/, "chmod"],
+  [
+    /\b(VirtualAlloc(Ex)?|WriteProcessMemory|CreateRemoteThread)\b/,
+    "injection API",
+  ],
+  [/\bURLDownloadToFile[AW]?\b/, "URLDownloadToFile"],
+  [/\b(ptrace|LD_PRELOAD)\b/, "process tampering"],
+  [
+    /\.(npmrc|ssh\/id_[a-z0-9]+|aws\/credentials|bash_history)\b/,
+    "credential path",
+  ],
+  [/\bcrontab\b|\/etc\/cron/, "persistence"],
+  [/stratum\+tcp|xmrig|cryptonight/i, "miner"],
+];
+
+const URL_RE =
+  /\b(?:https?|ftp|wss?):\/\/[A-Za-z0-9.-]+(?::\d+)?(?:\/[^\s"'<>\\]*)?/g;
+const IPV4_RE =
+  /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/g;
+
+// "MZ" alone is two printable letters; a PE has its header where e_lfanew says
+function isPe(head) {
+  if (head.length < 0x40) return false;
+  const at = head.readUInt32LE(0x3c);
+  return (
+    at + 4 > head.length || head.toString("latin1", at, at + 4) === "PE\0\0"
+  );
+}
+
+function detectType(head, rel) {
+  for (const [magic, type] of MAGIC) {
+    if (
+      head.length >= magic.length &&
+      head.subarray(0, magic.length).equals(magic)
+    ) {
+      if (type === "pe" && !isPe(head)) continue;
+      // 0xcafebabe is also a Java class file
+      if (type === "macho-universal" && rel.endsWith(".class"))
+        return "java-class";
+      return type;
+    }
+  }
+  if (head.subarray(0, 2).toString("latin1") === "#!") {
+    const line = head.toString("latin1").split("\n")[0];
+    const hit = SHEBANG.find(([re]) => re.test(line));
+    return hit ? hit[1] : "script";
+  }
+  const ext = path.posix.extname(rel).toLowerCase();
+  if (SCRIPT_EXT[ext]) return SCRIPT_EXT[ext];
+  if (ext === ".node") return "node-addon"; // .node that isn't a known binary
+  return head.subarray(0, 8000).includes(0) ? "binary" : "text";
+}
+
+// printable ASCII runs, plus UTF-16LE runs (Windows binaries keep most
+// of their strings that way)
+function printableStrings(buf, min = MIN_STRING) {
+  const out = [];
+  let cur = "";
+  for (let i = 0; i < buf.length; i++) {
+    const b = buf[i];
+    if (b >= 0x20 && b < 0x7f) cur += String.fromCharCode(b);
+    else {
+      if (cur.length >= min) out.push(cur);
+      cur = "";
+    }
+  }
+  if (cur.length >= min) out.push(cur);
+  cur = "";
+  for (let i = 0; i + 1 < buf.length; i += 2) {
+    const b = buf[i];
+    if (buf[i + 1] === 0 && b >= 0x20 && b < 0x7f)
+      cur += String.fromCharCode(b);
+    else {
+      if (cur.length >= min) out.push(cur);
+      cur = "";
+    }
+  }
+  if (cur.length >= min) out.push(cur);
+  return out;
+}
+
+function isPrivateIp(ip) {
+  const [a, b] = ip.split(".").map(Number);
+  return (
+    a === 10 ||
+    a === 127 ||
+    a === 0 ||
+    (a === 172 && b >= 16 && b < 32) ||
+    (a === 192 && b === 168) ||
+    (a === 169 && b === 254)
+  );
+}
+
+function indicators(strings) {
+  const urls = new Set();
+  const ips = new Set();
+  const suspicious = new Map();
+  for (const s of strings) {
+    for (const m of s.match(URL_RE) || []) urls.add(m);
+    for (const m of s.match(IPV4_RE) || []) {
+      if (!isPrivateIp(m)) ips.add(m);
+    }
+    for (const [re, label] of SUSPICIOUS_STRINGS) {
+      if (!suspicious.has(label) && re.test(s))
+        suspicious.set(label, s.slice(0, 200));
+    }
+  }
+  return {
+    urls: [...urls].slice(0, MAX_LIST),
+    ips: [...ips].slice(0, MAX_LIST),
+    suspicious: [...suspicious].map(([label, sample]) => ({ label, sample })),
+  };
+}
+
+// one logical command per entry: line continuations joined, comments dropped
+function commandLines(text, type) {
+  const comment = type === "batch" ? /^\s*(rem\b|::)/i : /^\s*#/;
+  const lines = text.split(/\r?\n/);
+  const out = [];
+  for (let i = 0; i < lines.length; i++) {
+    const start = i;
+    let line = lines[i];
+    const cont =
+      type === "powershell" ? /`\s*$/ : type === "batch" ? /\^\s*$/ : /\\\s*$/;
+    while (cont.test(line) && i + 1 < lines.length) {
+      line = line.replace(cont, " ") + lines[++i];
+    }
+    if (!comment.test(line) && line.trim())
+      out.push({ line: start + 1, text: line });
+  }
+  return out;
+}
+
+// download-and-execute chains in shell / PowerShell / batch scripts:
+// piping a download into an interpreter, or saving one and running it
+function scriptChains(text, type) {
+  const found = [];
+  const downloaded = new Map(); // saved file -> line of the download
+  const add = (id, severity, line, detail) =>
+    found.push({ id, severity, line, detail: detail.trim().slice(0, 300) });
+  const base = (f) =>
+    f
+      .replace(/[;&|]+$/, "")
+      .replace(/^["']|["']$/g, "")
+      .split(/[\\/]/)
+      .pop();
+
+  for (const { line, text: cmd } of commandLines(text, type)) {
+    // what follows a download on its own line: `curl -o p && chmod +x p && p`
+    let rest = null;
+    const saved = (m) => {
+      downloaded.set(base(m[1]), line);
+      // skip the download's own remaining arguments (its URL, say), unless
+      // the match already ran up to the separator: `-OutFile a.exe; ...`
+      const tail = cmd.slice(m.index + m[0].length);
+      rest = (/[;&|]$/.test(m[0]) ? tail : tail.replace(/^[^;&|]*/, ""))
+        .replace(/^[\s;&|]+/, "")
+        .split(/\s*(?:&&|\|\||;)\s*/);
+      add("download", "medium", line, cmd);
+    };
+    if (type === "shell" || type === "script") {
+      // curl x | sh, sh -c "$(wget -O- x)", bash <(curl x), source <(curl x)
+      if (
+        /\b(curl|wget|fetch)\b[^|;&]*\|\s*(sudo\s+)?(ba|z|da|k)?sh\b|\b(ba|z|da|k)?sh\s+-c\s+["']?\$\(\s*(curl|wget)\b|(\b(ba|z|da|k)?sh|\bsource|(^|[;&|]\s*)\.)\s+<\(\s*(curl|wget)\b|\beval\s+["']?\$\(\s*(curl|wget)\b/.test(
+          cmd
+        )
+      ) {
+        add("download-pipe-exec", "critical", line, cmd);
+        continue;
+      }
+      const save =
+        /\bcurl\b.*?\s-(?:o|-output)\s+(\S+)/.exec(cmd) ||
+        /\bwget\b.*?\s-(?:O|-output-document)\s*(\S+)/.exec(cmd) ||
+        /\bwget\b\s+(?:-\S+\s+)*\S*\/([^/\s?]+)(?:\s|$)/.exec(cmd);
+      if (save && save[1] !== "-") saved(save);
+    } else if (type === "powershell") {
+      if (
+        /\b(iex|Invoke-Expression)\b/i.test(cmd) &&
+        /DownloadString|Invoke-WebRequest|\biwr\b|Invoke-RestMethod|\birm\b/i.test(
+          cmd
+        )
+      ) {
+        add("download-pipe-exec", "critical", line, cmd);
+        continue;
+      }
+      if (/-e(nc(odedcommand)?)?\s+[A-Za-z0-9+/=]{40,}/i.test(cmd)) {
+        add("encoded-command", "high", line, cmd);
+      }
+      const save =
+        /-OutFile\s+(\S+)/i.exec(cmd) ||
+        /DownloadFile\s*\([^,]+,\s*([^)]+)\)/i.exec(cmd);
+      if (save) saved(save);
+    } else if (type === "batch") {
+      const save =
+        /certutil\b.*-urlcache\b.*\s(\S+)\s*$/i.exec(cmd) ||
+        /bitsadmin\b.*\/transfer\b.*\s(\S+)\s*$/i.exec(cmd) ||
+        /\bcurl\b.*?\s-o\s+(\S+)/i.exec(cmd);
+      if (save) saved(save);
+    }
+    // running something downloaded earlier, or earlier on this line
+    for (const [file, from] of downloaded) {
+      const esc = file.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      const runs = new RegExp(
+        `(chmod\\s+\\+?[0-7x]+|\\b(ba|z)?sh|\\bnode|\\bpython3?|Start-Process|\\bstart|\\bcall|&|^\\s*\\.)[^\\n]*${esc}\\b|^\\s*\\S*[\\\\/]?${esc}(\\s|$)`,
+        "i"
+      );
+      const after = from === line ? rest || [] : [cmd];
+      if (after.some((c) => runs.test(c))) {
+        add(
+          "download-then-exec",
+          "critical",
+          line,
+          `${file} (downloaded at line ${from}): ${cmd}`
+        );
+      }
+    }
+  }
+  return found;
+}
+
+// is there a native build / prebuilt-binary setup that accounts for
+// binaries in this package?
+function nativeSetup(root, pkg) {
+  const reasons = [];
+  if (fsSync.existsSync(path.join(root, "binding.gyp")))
+    reasons.push("binding.gyp");
+  if (pkg.gypfile) reasons.push("gypfile");
+  if (pkg.binary && pkg.binary.module_name) reasons.push("node-pre-gyp binary");
+  const deps = {
+    ...pkg.dependencies,
+    ...pkg.optionalDependencies,
+    ...pkg.devDependencies,
+  };
+  for (const d of NATIVE_DEPS) if (deps[d]) reasons.push(d);
+  for (const [name, cmd] of Object.entries(pkg.scripts || {})) {
+    if (NATIVE_SCRIPT.test(cmd)) reasons.push(`scripts.${name}`);
+  }
+  return reasons;
+}
+
+function sha256(buf) {
+  return crypto.createHash("sha256").update(buf).digest("hex");
+}
+
+async function readHead(file, size) {
+  const fd = await fs.open(file, "r");
+  try {
+    const buf = Buffer.alloc(Math.min(size, MAX_STRINGS_BYTES));
+    const { bytesRead } = await fd.read(buf, 0, buf.length, 0);
+    return buf.subarray(0, bytesRead);
+  } finally {
+    await fd.close();
+  }
+}
+
+// every file in the package typed by its magic bytes; binaries get their
+// strings/URLs/IPs, scripts their download-and-execute chains, and
+// executables nothing in package.json accounts for are flagged
+async function analyzeArtifacts(realRoot) {
+  const files = await collectFiles(realRoot, () => true, MAX_FILES, MAX_DEPTH);
+  let pkg = {};
+  try {
+    pkg = JSON.parse(
+      await fs.readFile(path.join(realRoot, "package.json"), "utf8")
+    );
+  } catch (_) {}
+  const setup = nativeSetup(realRoot, pkg);
+  const binFiles = new Set(
+    Object.values(
+      typeof pkg.bin === "string" ? { [pkg.name]: pkg.bin } : pkg.bin || {}
+    ).map((f) => path.posix.normalize(f))
+  );
+
+  const byType = {};
+  const artifacts = [];
+  const findings = [];
+  const errors = [];
+  const finding = (id, severity, file, extra = {}) =>
+    findings.push({ id, severity, file, ...extra });
+
+  for (const file of files) {
+    const rel = path.relative(realRoot, file).split(path.sep).join("/");
+    try {
+      const { size, mode } = await fs.stat(file);
+      const buf = await readHead(file, size);
+      const type = detectType(buf, rel);
+      byType[type] = (byType[type] || 0) + 1;
+      // JavaScript (.js/.mjs/.cjs) is scanSources' job
+      if (type === "text" || type === "javascript") continue;
+
+      const entry = {
+        file: rel,
+        type,
+        size,
+        sha256: sha256(buf.length === size ? buf : await fs.readFile(file)),
+      };
+      if (
+        EXECUTABLE.has(type) ||
+        type === "wasm" ||
+        type === "binary" ||
+        type === "node-addon"
+      ) {
+        entry.strings = indicators(printableStrings(buf));
+        if (EXECUTABLE.has(type)) {
+          entry.explained =
+            setup.length > 0 &&
+            (NATIVE_PATHS.test(rel) ||
+              rel.endsWith(".node") ||
+              setup.includes("node-pre-gyp binary"));
+          if (!entry.explained) {
+            finding("unexplained-executable", "high", rel, {
+              detail: `${type} binary with no native build or prebuild setup${
+                setup.length
+                  ? ` matching its path (setup: ${setup.join(", ")})`
+                  : ""
+              }`,
+            });
+          }
+          if (binFiles.has(rel))
+            finding("executable-bin", "medium", rel, {
+              detail: `package.json bin points at a ${type} binary`,
+            });
+        }
+        const labels = entry.strings.suspicious.map((s) => s.label);
+        if (labels.length && type !== "wasm") {
+          finding(
+            "suspicious-strings",
+            entry.explained ? "low" : "medium",
+            rel,
+            { detail: labels.join(", ") }
+          );
+        }
+        if (entry.strings.ips.length) {
+          finding("embedded-ip", "medium", rel, {
+            detail: entry.strings.ips.slice(0, 5).join(", "),
+          });
+        }
+      } else if (ARCHIVE.has(type)) {
+        finding("nested-archive", "low", rel, { detail: type });
+      } else if (
+        ["shell", "powershell", "batch", "script"].includes(type) &&
+        size <= MAX_TEXT_BYTES
+      ) {
+        entry.executable = Boolean(mode & 0o111);
+        entry.chains = scriptChains(buf.toString("utf8"), type);
+        for (const c of entry.chains) {
+          finding(c.id, c.severity, rel, { line: c.line, detail: c.detail });
+        }
+        const strings = indicators([buf.toString("utf8")]);
+        entry.urls = strings.urls;
+        entry.ips = strings.ips;
+      }
+      artifacts.push(entry);
+    } catch (e) {
+      errors.push({ file: rel, error: e.message });
+    }
+  }
+
+  findings.sort(
+    (a, b) => SEVERITY_ORDER[b.severity] - SEVERITY_ORDER[a.severity]
+  );
+  return {
+    name: pkg.name || null,
+    version: pkg.version || null,
+    dir: realRoot,
+    files: files.length,
+    truncated: files.length >= MAX_FILES,
+    byType,
+    nativeSetup: setup,
+    artifacts,
+    findings,
+    errors,
+  };
+}
+
+module.exports = {
+  MAGIC,
+  EXECUTABLE,
+  detectType,
+  printableStrings,
+  scriptChains,
+  analyzeArtifacts,
+};
@@ -0,0 +1,60 @@
+const acorn = require("acorn");
+
+// files bigger than this are only checked lexically
+const MAX_AST_BYTES = 5 * 1024 * 1024;
+
+const BASE_OPTIONS = {
+  ecmaVersion: "latest",
+  locations: true,
+  allowHashBang: true,
+  allowReturnOutsideFunction: true,
+  allowAwaitOutsideFunction: true,
+  allowImportExportEverywhere: true,
+};
+
+// parse as ES module first, then fall back to sloppy script (with / octal etc.)
+function parseSource(code) {
+  if (code.length > MAX_AST_BYTES) {
+    return { ast: null, error: "file too large for AST parsing" };
+  }
+  try {
+    return {
+      ast: acorn.parse(code, { ...BASE_OPTIONS, sourceType: "module" }),
+      error: null,
+    };
+  } catch (_) {}
+  try {
+    return {
+      ast: acorn.parse(code, { ...BASE_OPTIONS, sourceType: "script" }),
+      error: null,
+    };
+  } catch (e) {
+    return { ast: null, error: e.message };
+  }
+}
+
+// offset -> { line (1-based), column (0-based) } for lexical fallbacks
+function makeLocator(code) {
+  const lineStarts = [0];
+  for (let i = 0; i < code.length; i++) {
+    if (code.charCodeAt(i) === 10) lineStarts.push(i + 1);
+  }
+  return (offset) => {
+    let lo = 0;
+    let hi = lineStarts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (lineStarts[mid] <= offset) lo = mid;
+      else hi = mid - 1;
+    }
+    return { line: lo + 1, column: offset - lineStarts[lo] };
+  };
+}
+
+function locOf(node) {
+  return node.loc
+    ? { line: node.loc.start.line, column: node.loc.start.column }
+    : null;
+}
+
+module.exports = { parseSource, makeLocator, locOf, MAX_AST_BYTES };
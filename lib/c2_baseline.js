@@ -0,0 +1,60 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { domainMatches } = require("./rules");
+
+const ALLOWLIST_FILE =
+  process.env.C2_ALLOWLIST ||
+  path.join(__dirname, "..", "config", "c2_allowlist.yaml");
+// record/capture name of the empty-package run in a results dir
+const BASELINE_NAME = "__baseline__";
+
+function normalizeDomain(d) {
+  return String(d).toLowerCase().replace(/\.$/, "");
+}
+
+function loadAllowlist(file = ALLOWLIST_FILE) {
+  if (!fs.existsSync(file)) return [];
+  const doc = yaml.load(fs.readFileSync(file, "utf8")) || {};
+  if (!Array.isArray(doc.domains)) {
+    throw new Error(`${file}: "domains" must be a list`);
+  }
+  return doc.domains.map(String);
+}
+
+// domains seen when installing an empty package in the same container
+function loadBaseline(dir) {
+  const file = path.join(dir, `${BASELINE_NAME}.json`);
+  if (!fs.existsSync(file)) return [];
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  return Array.isArray(data.domains) ? data.domains.map(normalizeDomain) : [];
+}
+
+// baseline entries match exactly, allowlist entries as domain patterns
+function noiseFilter(dir, allowlist = loadAllowlist()) {
+  const baseline = new Set(dir ? loadBaseline(dir) : []);
+  return {
+    allowlist,
+    baseline: [...baseline],
+    isExpected: (domain) =>
+      baseline.has(normalizeDomain(domain)) ||
+      allowlist.some((p) => domainMatches(p, domain)),
+  };
+}
+
+function unexpectedDomains(domains, filter) {
+  return (domains || []).filter((d) => d && !filter.isExpected(d));
+}
+
+function isBaselineFile(file) {
+  return path.basename(file).startsWith(`${BASELINE_NAME}.`);
+}
+
+module.exports = {
+  BASELINE_NAME,
+  loadAllowlist,
+  loadBaseline,
+  noiseFilter,
+  unexpectedDomains,
+  isBaselineFile,
+};
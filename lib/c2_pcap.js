@@ -0,0 +1,344 @@
+const fs = require("fs").promises;
+const fsSync = require("fs");
+const path = require("path");
+const {
+  readPackets,
+  decodePacket,
+  captureFormat,
+  ipv4String,
+  ipv6String,
+} = require("./pcap");
+const {
+  noiseFilter,
+  unexpectedDomains,
+  isBaselineFile,
+} = require("./c2_baseline");
+
+const DNS_PORT = 53;
+const HTTP_METHOD_RE =
+  /^(GET|POST|PUT|HEAD|DELETE|OPTIONS|PATCH|CONNECT) (\S+) HTTP\/1\.[01]\r\n/;
+const CAPTURE_EXT_RE = /\.(pcap|pcapng)$/;
+
+function normalizeName(name) {
+  return String(name).toLowerCase().replace(/\.$/, "");
+}
+
+// DNS name at off, following compression pointers; -> { name, next }
+function readDnsName(buf, off) {
+  const labels = [];
+  let next = null;
+  let jumps = 0;
+  while (off < buf.length) {
+    const len = buf[off];
+    if (len === 0) {
+      off++;
+      break;
+    }
+    if ((len & 0xc0) === 0xc0) {
+      if (off + 1 >= buf.length || ++jumps > 16) return null;
+      if (next === null) next = off + 2;
+      off = ((len & 0x3f) << 8) | buf[off + 1];
+      continue;
+    }
+    if (off + 1 + len > buf.length) return null;
+    labels.push(buf.toString("latin1", off + 1, off + 1 + len));
+    off += 1 + len;
+  }
+  return { name: labels.join("."), next: next === null ? off : next };
+}
+
+// -> { response, questions: [{ name, type }], answers: [{ name, type, data }] }
+function parseDns(buf) {
+  if (buf.length < 12) return null;
+  const flags = buf.readUInt16BE(2);
+  const qdCount = buf.readUInt16BE(4);
+  const anCount = buf.readUInt16BE(6);
+  const out = { response: (flags & 0x8000) !== 0, questions: [], answers: [] };
+  let off = 12;
+  for (let i = 0; i < qdCount; i++) {
+    const n = readDnsName(buf, off);
+    if (!n || n.next + 4 > buf.length) return out;
+    out.questions.push({ name: n.name, type: buf.readUInt16BE(n.next) });
+    off = n.next + 4;
+  }
+  for (let i = 0; i < anCount; i++) {
+    const n = readDnsName(buf, off);
+    if (!n || n.next + 10 > buf.length) return out;
+    const type = buf.readUInt16BE(n.next);
+    const rdLen = buf.readUInt16BE(n.next + 8);
+    const rd = n.next + 10;
+    if (rd + rdLen > buf.length) return out;
+    let data = null;
+    if (type === 1 && rdLen === 4) {
+      data = ipv4String(buf, rd);
+    } else if (type === 28 && rdLen === 16) {
+      data = ipv6String(buf, rd);
+    } else if (type === 5) {
+      const c = readDnsName(buf, rd);
+      data = c && c.name;
+    }
+    out.answers.push({ name: n.name, type, data });
+    off = rd + rdLen;
+  }
+  return out;
+}
+
+// server_name from a TLS ClientHello at the start of a TCP payload
+function tlsSni(buf) {
+  if (buf.length < 43 || buf[0] !== 0x16 || buf[1] !== 0x03 || buf[5] !== 1) {
+    return null;
+  }
+  let off = 9 + 2 + 32; // record + handshake headers, client_version, random
+  off += 1 + buf[off]; // session id
+  if (off + 2 > buf.length) return null;
+  off += 2 + buf.readUInt16BE(off); // cipher suites
+  if (off + 1 > buf.length) return null;
+  off += 1 + buf[off]; // compression methods
+  if (off + 2 > buf.length) return null;
+  const end = Math.min(buf.length, off + 2 + buf.readUInt16BE(off));
+  off += 2;
+  while (off + 4 <= end) {
+    const type = buf.readUInt16BE(off);
+    const len = buf.readUInt16BE(off + 2);
+    if (type === 0 && off + 9 <= end) {
+      const nameLen = buf.readUInt16BE(off + 7);
+      if (buf[off + 6] === 0 && off + 9 + nameLen <= end) {
+        return buf.toString("latin1", off + 9, off + 9 + nameLen);
+      }
+      return null;
+    }
+    off += 4 + len;
+  }
+  return null;
+}
+
+// { method, path, host } from the first segment of a plain HTTP request
+function httpRequest(buf) {
+  if (buf.length < 16) return null;
+  const head = buf.toString("latin1", 0, Math.min(buf.length, 4096));
+  const m = HTTP_METHOD_RE.exec(head);
+  if (!m) return null;
+  const host = /\r\nhost:[ \t]*([^\r\n]+)/i.exec(head);
+  return {
+    method: m[1],
+    path: m[2].slice(0, 200),
+    host: host ? host[1].trim() : null,
+  };
+}
+
+function addressScope(ip) {
+  if (/^127\.|^::1$/.test(ip)) return "loopback";
+  if (
+    /^(10\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.|169\.254\.|f[cd]|fe80:)/i.test(
+      ip
+    )
+  ) {
+    return "private";
+  }
+  return "public";
+}
+
+function bump(map, key, init) {
+  let entry = map.get(key);
+  if (!entry) {
+    entry = { ...init, count: 0 };
+    map.set(key, entry);
+  }
+  entry.count++;
+  return entry;
+}
+
+// parse one capture file; everything is kept in first-seen order
+function analyzeCapture(buf) {
+  const dns = new Map();
+  const sni = new Map();
+  const http = new Map();
+  const flows = new Map();
+  const resolved = new Map(); // ip -> names from DNS answers
+  let packets = 0;
+  let decoded = 0;
+  let firstSeen = null;
+  let lastSeen = null;
+
+  for (const frame of readPackets(buf)) {
+    packets++;
+    if (frame.ts !== null) {
+      if (firstSeen === null || frame.ts < firstSeen) firstSeen = frame.ts;
+      if (lastSeen === null || frame.ts > lastSeen) lastSeen = frame.ts;
+    }
+    const p = decodePacket(frame.linkType, frame.data);
+    if (!p) continue;
+    decoded++;
+
+    // the first packet of a flow (or its SYN) decides which side is the server
+    const a = `${p.src}|${p.sport}`;
+    const b = `${p.dst}|${p.dport}`;
+    const key = `${p.protocol}|${a < b ? `${a}|${b}` : `${b}|${a}`}`;
+    let flow = flows.get(key);
+    if (!flow || (p.syn && !p.ack && !flow.syn)) {
+      flow = {
+        protocol: p.protocol,
+        ip: p.dst,
+        port: p.dport,
+        syn: p.syn && !p.ack,
+        packets: flow ? flow.packets : 0,
+        bytes: flow ? flow.bytes : 0,
+        names: flow ? flow.names : new Set(),
+      };
+      flows.set(key, flow);
+    }
+    flow.packets++;
+    flow.bytes += p.payload.length;
+    if (p.payload.length === 0) continue;
+
+    if (p.sport === DNS_PORT || p.dport === DNS_PORT) {
+      // DNS over TCP is prefixed with a two-byte length
+      const msg = parseDns(
+        p.protocol === "tcp" ? p.payload.subarray(2) : p.payload
+      );
+      if (!msg) continue;
+      for (const q of msg.questions) {
+        const name = normalizeName(q.name);
+        if (!name) continue;
+        // count queries; a response only adds names whose query was missed
+        if (!msg.response) bump(dns, name, { name });
+        else if (!dns.has(name)) dns.set(name, { name, count: 0 });
+      }
+      for (const ans of msg.answers) {
+        if ((ans.type === 1 || ans.type === 28) && ans.data) {
+          const names = resolved.get(ans.data) || new Set();
+          names.add(
+            normalizeName(msg.questions[0] ? msg.questions[0].name : ans.name)
+          );
+          resolved.set(ans.data, names);
+        }
+      }
+      continue;
+    }
+    if (p.protocol !== "tcp") continue;
+
+    const serverName = tlsSni(p.payload);
+    if (serverName) {
+      const name = normalizeName(serverName);
+      bump(sni, name, { name });
+      flow.names.add(name);
+      continue;
+    }
+    const req = httpRequest(p.payload);
+    if (req && req.host) {
+      const host = normalizeName(req.host.replace(/:\d+$/, ""));
+      const entry = bump(http, host, { host, requests: [] });
+      if (entry.requests.length < 10) {
+        entry.requests.push({ method: req.method, path: req.path });
+      }
+      flow.names.add(host);
+    }
+  }
+
+  // aggregate flows by destination; DNS traffic itself is not a C2 candidate
+  const connections = new Map();
+  for (const flow of flows.values()) {
+    if (flow.port === DNS_PORT) continue;
+    const entry = bump(
+      connections,
+      `${flow.protocol}|${flow.ip}|${flow.port}`,
+      {
+        protocol: flow.protocol,
+        ip: flow.ip,
+        port: flow.port,
+        scope: addressScope(flow.ip),
+        packets: 0,
+        bytes: 0,
+        domains: new Set(resolved.get(flow.ip) || []),
+      }
+    );
+    entry.packets += flow.packets;
+    entry.bytes += flow.bytes;
+    for (const n of flow.names) entry.domains.add(n);
+  }
+
+  const dnsQueries = [...dns.values()];
+  const tlsSniNames = [...sni.values()];
+  const httpHosts = [...http.values()];
+  const domains = [
+    ...new Set([
+      ...dnsQueries.map((d) => d.name),
+      ...tlsSniNames.map((s) => s.name),
+      ...httpHosts.map((h) => h.host),
+    ]),
+  ];
+  return {
+    format: captureFormat(buf),
+    packets,
+    decoded,
+    firstSeen: firstSeen === null ? null : new Date(firstSeen).toISOString(),
+    lastSeen: lastSeen === null ? null : new Date(lastSeen).toISOString(),
+    dnsQueries,
+    tlsSni: tlsSniNames,
+    httpHosts,
+    connections: [...connections.values()].map((c) => ({
+      protocol: c.protocol,
+      ip: c.ip,
+      port: c.port,
+      scope: c.scope,
+      flows: c.count,
+      packets: c.packets,
+      bytes: c.bytes,
+      domains: [...c.domains],
+    })),
+    domains,
+  };
+}
+
+// <safe>.pcap -> package name, preferring the pkg recorded in <safe>.json
+function packageForCapture(file) {
+  const base = path.basename(file).replace(CAPTURE_EXT_RE, "");
+  const record = path.join(path.dirname(file), `${base}.json`);
+  if (fsSync.existsSync(record)) {
+    try {
+      const data = JSON.parse(fsSync.readFileSync(record, "utf8"));
+      if (data.pkg) return data.pkg;
+    } catch (_) {}
+  }
+  return base.replace(/\+/g, "/");
+}
+
+async function analyzePcapFile(file) {
+  const buf = await fs.readFile(file);
+  return { pkg: packageForCapture(file), file, ...analyzeCapture(buf) };
+}
+
+// a single capture or a directory of them (c2_results_verified/ layout);
+// the directory's baseline + the allowlist give each capture unexpectedDomains
+async function analyzePcaps(target) {
+  const st = await fs.stat(target);
+  const dir = st.isFile() ? path.dirname(target) : target;
+  const files = st.isFile()
+    ? [target]
+    : (await fs.readdir(target))
+        .filter((f) => CAPTURE_EXT_RE.test(f) && !isBaselineFile(f))
+        .sort()
+        .map((f) => path.join(target, f));
+  const noise = noiseFilter(dir);
+  const out = [];
+  for (const file of files) {
+    try {
+      const capture = await analyzePcapFile(file);
+      capture.unexpectedDomains = unexpectedDomains(capture.domains, noise);
+      out.push(capture);
+    } catch (e) {
+      out.push({ pkg: packageForCapture(file), file, error: e.message });
+    }
+  }
+  return out;
+}
+
+module.exports = {
+  analyzeCapture,
+  analyzePcapFile,
+  analyzePcaps,
+  packageForCapture,
+  parseDns,
+  tlsSni,
+  httpRequest,
+};
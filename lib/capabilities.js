@@ -0,0 +1,303 @@
+const walk = require("acorn-walk");
+const { locOf } = require("./ast");
+
+const CAPABILITIES = [
+  "child_process",
+  "fs_write",
+  "network",
+  "eval",
+  "env",
+  "dynamic_require",
+];
+
+// module -> capability that importing it implies
+const MODULE_CAPABILITY = {
+  child_process: "child_process",
+  net: "network",
+  http: "network",
+  https: "network",
+  http2: "network",
+  dns: "network",
+  "dns/promises": "network",
+  tls: "network",
+  dgram: "network",
+  vm: "eval",
+};
+
+const FS_MODULES = new Set(["fs", "fs/promises", "fs-extra", "graceful-fs"]);
+const FS_WRITE_METHODS = new Set([
+  "writeFile",
+  "writeFileSync",
+  "appendFile",
+  "appendFileSync",
+  "createWriteStream",
+  "copyFile",
+  "copyFileSync",
+  "cp",
+  "cpSync",
+  "rename",
+  "renameSync",
+  "unlink",
+  "unlinkSync",
+  "rm",
+  "rmSync",
+  "rmdir",
+  "rmdirSync",
+  "mkdir",
+  "mkdirSync",
+  "chmod",
+  "chmodSync",
+  "symlink",
+  "symlinkSync",
+  "outputFile",
+  "outputFileSync",
+  "remove",
+  "removeSync",
+]);
+const GLOBAL_NETWORK_CALLS = new Set(["fetch", "XMLHttpRequest", "WebSocket"]);
+const MAX_ENTRIES_PER_FILE = 50;
+
+function bareModule(name) {
+  return name.startsWith("node:") ? name.slice(5) : name;
+}
+
+function requiredModule(node) {
+  if (
+    node &&
+    node.type === "CallExpression" &&
+    node.callee.type === "Identifier" &&
+    node.callee.name === "require" &&
+    node.arguments.length === 1 &&
+    node.arguments[0].type === "Literal" &&
+    typeof node.arguments[0].value === "string"
+  ) {
+    return bareModule(node.arguments[0].value);
+  }
+  return null;
+}
+
+function memberName(node) {
+  if (node.type !== "MemberExpression") return null;
+  if (!node.computed) return node.property.name;
+  return node.property.type === "Literal" ? String(node.property.value) : null;
+}
+
+function isStaticSpecifier(arg) {
+  if (!arg) return false;
+  if (arg.type === "Literal") return typeof arg.value === "string";
+  return arg.type === "TemplateLiteral" && arg.expressions.length === 0;
+}
+
+// code that runs when the module is loaded: not inside a function, unless
+// that function is invoked on the spot (IIFE)
+function runsAtImport(ancestors) {
+  for (let i = ancestors.length - 2; i >= 0; i--) {
+    const a = ancestors[i];
+    if (!a.type.includes("Function")) continue;
+    const parent = ancestors[i - 1];
+    const iife =
+      parent &&
+      (parent.type === "CallExpression" || parent.type === "NewExpression") &&
+      parent.callee === a;
+    if (!iife) return false;
+  }
+  return true;
+}
+
+// name -> { module, member } for `const x = require("m")`,
+// `const { y } = require("m")`, `import x from "m"`, `import { y } from "m"`
+function collectBindings(ast) {
+  const bindings = new Map();
+  const bindPattern = (pattern, mod, member) => {
+    if (pattern.type === "Identifier") {
+      bindings.set(pattern.name, { module: mod, member });
+    } else if (pattern.type === "ObjectPattern" && !member) {
+      for (const prop of pattern.properties) {
+        if (prop.type !== "Property") continue;
+        const key = prop.key.name || prop.key.value;
+        if (prop.value.type === "Identifier") {
+          bindings.set(prop.value.name, { module: mod, member: key });
+        } else if (prop.value.type === "AssignmentPattern") {
+          bindings.set(prop.value.left.name, { module: mod, member: key });
+        }
+      }
+    }
+  };
+
+  walk.simple(ast, {
+    VariableDeclarator(node) {
+      if (!node.init) return;
+      let mod = requiredModule(node.init);
+      let member = null;
+      if (!mod && node.init.type === "MemberExpression") {
+        mod = requiredModule(node.init.object);
+        member = memberName(node.init);
+      }
+      if (mod) bindPattern(node.id, mod, member);
+    },
+    ImportDeclaration(node) {
+      const mod = bareModule(node.source.value);
+      for (const spec of node.specifiers) {
+        const member =
+          spec.type === "ImportSpecifier"
+            ? spec.imported.name || spec.imported.value
+            : null;
+        bindings.set(spec.local.name, { module: mod, member });
+      }
+    },
+  });
+  return bindings;
+}
+
+function analyzeCapabilities(code, ast, file) {
+  if (!ast) return [];
+  const bindings = collectBindings(ast);
+  const entries = [];
+  // kind "import" only loads the module; importTime is about the API
+  // actually being used while the module loads, so only "use" entries get it
+  const add = (capability, api, node, ancestors, kind = "use") => {
+    if (entries.length >= MAX_ENTRIES_PER_FILE) return;
+    entries.push({
+      capability,
+      api,
+      kind,
+      file,
+      ...locOf(node),
+      importTime: kind === "use" && runsAtImport(ancestors),
+    });
+  };
+
+  // resolve the callee of x(), x.y(), require("m").y()
+  const resolveCallee = (callee) => {
+    if (callee.type === "Identifier") {
+      const b = bindings.get(callee.name);
+      return b ? { module: b.module, method: b.member } : null;
+    }
+    if (callee.type === "MemberExpression") {
+      const method = memberName(callee);
+      const obj = callee.object;
+      let mod = requiredModule(obj);
+      if (!mod && obj.type === "Identifier") {
+        const b = bindings.get(obj.name);
+        // `const { promises } = require("fs")` -> promises.writeFile
+        if (b) mod = b.member ? `${b.module}/${b.member}` : b.module;
+      }
+      if (!mod && obj.type === "MemberExpression") {
+        const inner = requiredModule(obj.object);
+        if (inner) mod = `${inner}/${memberName(obj)}`;
+      }
+      return mod ? { module: mod, method } : null;
+    }
+    return null;
+  };
+
+  walk.fullAncestor(ast, (node, _state, ancestors) => {
+    if (node.type === "CallExpression" || node.type === "NewExpression") {
+      const callee = node.callee;
+
+      if (callee.type === "Identifier" && callee.name === "require") {
+        const arg = node.arguments[0];
+        if (node.arguments.length > 0 && !isStaticSpecifier(arg)) {
+          add("dynamic_require", "require(<expr>)", node, ancestors);
+          return;
+        }
+        const mod = requiredModule(node);
+        if (mod && MODULE_CAPABILITY[mod]) {
+          add(
+            MODULE_CAPABILITY[mod],
+            `require("${mod}")`,
+            node,
+            ancestors,
+            "import"
+          );
+        }
+        return;
+      }
+      if (callee.type === "Identifier" && callee.name === "eval") {
+        add("eval", "eval", node, ancestors);
+        return;
+      }
+      if (callee.type === "Identifier" && callee.name === "Function") {
+        add("eval", "Function", node, ancestors);
+        return;
+      }
+      if (
+        callee.type === "Identifier" &&
+        GLOBAL_NETWORK_CALLS.has(callee.name) &&
+        !bindings.has(callee.name)
+      ) {
+        add("network", callee.name, node, ancestors);
+        return;
+      }
+
+      const target = resolveCallee(callee);
+      if (!target || !target.method) return;
+      const base = target.module.split("/")[0];
+      if (target.module.startsWith("child_process")) {
+        add("child_process", `child_process.${target.method}`, node, ancestors);
+      } else if (
+        (FS_MODULES.has(target.module) || FS_MODULES.has(base)) &&
+        FS_WRITE_METHODS.has(target.method)
+      ) {
+        add("fs_write", `${target.module}.${target.method}`, node, ancestors);
+      } else if (base === "vm") {
+        add("eval", `vm.${target.method}`, node, ancestors);
+      } else if (MODULE_CAPABILITY[base] === "network") {
+        add("network", `${base}.${target.method}`, node, ancestors);
+      }
+      return;
+    }
+
+    if (node.type === "ImportExpression" && !isStaticSpecifier(node.source)) {
+      add("dynamic_require", "import(<expr>)", node, ancestors);
+      return;
+    }
+
+    if (node.type === "ImportDeclaration") {
+      const mod = bareModule(node.source.value);
+      if (MODULE_CAPABILITY[mod]) {
+        add(
+          MODULE_CAPABILITY[mod],
+          `import "${mod}"`,
+          node,
+          ancestors,
+          "import"
+        );
+      }
+      return;
+    }
+
+    // process.env / process["env"]; skip the inner node of process.env.X
+    if (
+      node.type === "MemberExpression" &&
+      node.object.type === "Identifier" &&
+      node.object.name === "process" &&
+      memberName(node) === "env"
+    ) {
+      const parent = ancestors[ancestors.length - 2];
+      const key =
+        parent && parent.type === "MemberExpression" && parent.object === node
+          ? memberName(parent)
+          : null;
+      add("env", key ? `process.env.${key}` : "process.env", node, ancestors);
+    }
+  });
+  return entries;
+}
+
+// per-package rollup stored with the scan so it can be queried later
+function summarizeCapabilities(entries) {
+  const counts = {};
+  const importTime = new Set();
+  for (const e of entries) {
+    counts[e.capability] = (counts[e.capability] || 0) + 1;
+    if (e.importTime) importTime.add(e.capability);
+  }
+  return {
+    found: CAPABILITIES.filter((c) => counts[c]),
+    importTime: CAPABILITIES.filter((c) => importTime.has(c)),
+    counts,
+  };
+}
+
+module.exports = { analyzeCapabilities, summarizeCapabilities, CAPABILITIES };
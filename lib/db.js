@@ -0,0 +1,12 @@
+const { MongoClient } = require("mongodb");
+
+const mongoUrl = process.env.MONGO_URL || "mongodb://localhost:27017";
+const dbName = process.env.MONGO_DB || "supplyChainSecurity";
+
+// for the CLI scripts; the server keeps its own long-lived connection
+async function connectDb() {
+  const client = await MongoClient.connect(mongoUrl);
+  return { client, db: client.db(dbName) };
+}
+
+module.exports = { mongoUrl, dbName, connectDb };
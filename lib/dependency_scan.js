@@ -0,0 +1,90 @@
+const fsSync = require("fs");
+const path = require("path");
+const { parseLockfile } = require("./lockfile");
+const { findAdvisories } = require("./advisories");
+const { scanSources } = require("./static_scan");
+
+// newest stored obfuscation scan for name@version, if any
+async function storedObfuscation(db, name, version) {
+  if (!db) return null;
+  const doc = await db
+    .collection("scanResults")
+    .find({
+      type: "obfuscationScan",
+      "data.name": name,
+      "data.version": version,
+    })
+    .sort({ timestamp: -1 })
+    .limit(1)
+    .project({ "data.score": 1, "data.obfuscated": 1, timestamp: 1 })
+    .next();
+  return doc
+    ? {
+        score: doc.data.score,
+        obfuscated: doc.data.obfuscated,
+        scannedAt: doc.timestamp,
+        source: "stored",
+      }
+    : null;
+}
+
+function installedVersion(dir) {
+  try {
+    return JSON.parse(
+      fsSync.readFileSync(path.join(dir, "package.json"), "utf8")
+    ).version;
+  } catch (_) {
+    return null;
+  }
+}
+
+// lockfile -> per-dependency report with root path, advisories, obfuscation.
+// scanInstalled: also scan node_modules under projectDir when nothing is stored
+async function scanDependencyTree(
+  db,
+  {
+    filename,
+    content,
+    pkgJson = null,
+    projectDir = null,
+    scanInstalled = false,
+  }
+) {
+  const { type, dependencies } = parseLockfile(filename, content, pkgJson);
+  const report = [];
+  for (const dep of dependencies) {
+    const advisories = await findAdvisories(db, dep.name, dep.version);
+    let obfuscation = await storedObfuscation(db, dep.name, dep.version);
+    if (!obfuscation && scanInstalled && projectDir) {
+      const dir = path.join(projectDir, dep.installPath);
+      // yarn/pnpm paths are where the name would be hoisted to; whatever
+      // version sits there only speaks for itself
+      if (installedVersion(dir) === dep.version) {
+        const scan = await scanSources(dir);
+        obfuscation = {
+          score: scan.score,
+          obfuscated: scan.obfuscated,
+          source: "installed",
+        };
+      }
+    }
+    report.push({ ...dep, advisories, obfuscation });
+  }
+
+  return {
+    lockfile: path.basename(filename || "uploaded"),
+    lockfileType: type,
+    summary: {
+      total: report.length,
+      direct: report.filter((d) => d.direct).length,
+      transitive: report.filter((d) => !d.direct).length,
+      withAdvisories: report.filter((d) => d.advisories.length > 0).length,
+      obfuscated: report.filter(
+        (d) => d.obfuscation && d.obfuscation.obfuscated
+      ).length,
+    },
+    dependencies: report,
+  };
+}
+
+module.exports = { scanDependencyTree };
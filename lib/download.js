@@ -0,0 +1,98 @@
+const fs = require("fs");
+const fsp = require("fs").promises;
+const path = require("path");
+const {
+  safeName,
+  fetchPackument,
+  selectVersionBefore,
+  fetchVersion,
+} = require("./registry");
+const {
+  trimPackument,
+  tarballDigests,
+  analyzePackument,
+} = require("./metadata");
+const { checkManifest } = require("./manifest");
+
+// "left-pad@1.3.0" / "@scope/name@1.0.0" / "left-pad" -> { name, version }
+function parseSpec(spec) {
+  const s = String(spec).trim();
+  const at = s.lastIndexOf("@");
+  return at > 0
+    ? { name: s.slice(0, at), version: s.slice(at + 1) || null }
+    : { name: s, version: null };
+}
+
+function installedVersion(dir) {
+  try {
+    return JSON.parse(
+      fs.readFileSync(path.join(dir, "package", "package.json"), "utf8")
+    ).version;
+  } catch (_) {
+    return null;
+  }
+}
+
+// the download-packages.js layout: <outDir>/<safe>/{package/,
+// <safe>-<v>.tgz, packument.json, metadata.json, extraction.json,
+// manifest.json}. A pinned version always gets its own <safe>@<version>/, so
+// jobs downloading several versions of one package never share a directory.
+// With `reuse` an existing download of the right version is returned as is.
+async function downloadPackage(
+  pkgName,
+  outDir,
+  { version = null, cutoffDate = null, reuse = false } = {}
+) {
+  const pkgOutBase = path.join(
+    outDir,
+    version ? `${safeName(pkgName)}@${version}` : safeName(pkgName)
+  );
+  if (reuse) {
+    const have = installedVersion(pkgOutBase);
+    if (have && (!version || have === version)) {
+      return { pkg: pkgName, version: have, dir: pkgOutBase, reused: true };
+    }
+  }
+
+  const meta = await fetchPackument(pkgName);
+  if (meta.error) throw new Error(`${pkgName}: ${meta.error}`);
+  const selected =
+    version ||
+    (cutoffDate
+      ? selectVersionBefore(meta, cutoffDate)
+      : meta["dist-tags"].latest);
+  const fetched = await fetchVersion(pkgName, meta, selected, pkgOutBase);
+  await fsp.writeFile(
+    path.join(pkgOutBase, "extraction.json"),
+    JSON.stringify(fetched.extraction, null, 2),
+    "utf8"
+  );
+
+  // registry manifest vs the package.json that actually got installed
+  const manifest = await checkManifest(fetched.meta, fetched.root);
+  await fsp.writeFile(
+    path.join(pkgOutBase, "manifest.json"),
+    JSON.stringify(manifest, null, 2),
+    "utf8"
+  );
+
+  // keep what the metadata analysis needs instead of dropping the packument
+  await fsp.writeFile(
+    path.join(pkgOutBase, "packument.json"),
+    JSON.stringify(trimPackument(meta)),
+    "utf8"
+  );
+  const metadata = analyzePackument(meta, {
+    version: selected,
+    digests: await tarballDigests(fetched.tgzPath),
+    manifest,
+  });
+  await fsp.writeFile(
+    path.join(pkgOutBase, "metadata.json"),
+    JSON.stringify(metadata, null, 2),
+    "utf8"
+  );
+  return { pkg: pkgName, version: selected, dir: pkgOutBase, reused: false };
+}
+
+module.exports = { parseSpec, downloadPackage };
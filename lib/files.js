@@ -0,0 +1,125 @@
+const fs = require("fs").promises;
+const fsSync = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// deobfuscated copies the scanner wrote next to package sources (see
+// static_scan.js), as abs path -> { sha256, mtimeMs }. It lives outside any
+// package, so a package can't pass its own files off as scanner output; a
+// lost record only means those copies get scanned too.
+const RECORD_FILE =
+  process.env.UNPACKED_RECORD ||
+  path.join(__dirname, "..", "unpacked_record.json");
+let cached = { mtimeMs: null, entries: {} };
+
+// re-read whenever another process (server, job worker) has written it
+function loadRecord() {
+  let mtimeMs = null;
+  try {
+    mtimeMs = fsSync.statSync(RECORD_FILE).mtimeMs;
+  } catch (_) {}
+  if (mtimeMs !== cached.mtimeMs) {
+    let entries = {};
+    try {
+      entries = JSON.parse(fsSync.readFileSync(RECORD_FILE, "utf8"));
+    } catch (_) {}
+    cached = { mtimeMs, entries };
+  }
+  return cached.entries;
+}
+
+// read-modify-write in one synchronous step so scans in this process can't
+// interleave; the rename means no one reads half a file
+function updateRecord(change) {
+  const entries = { ...loadRecord() };
+  change(entries);
+  const tmp = `${RECORD_FILE}.${process.pid}.tmp`;
+  fsSync.writeFileSync(tmp, JSON.stringify(entries), "utf8");
+  fsSync.renameSync(tmp, RECORD_FILE);
+  cached = { mtimeMs: fsSync.statSync(RECORD_FILE).mtimeMs, entries };
+}
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+
+async function writeScannerOutput(file, data) {
+  const full = path.resolve(file);
+  await fs.writeFile(full, data);
+  const { mtimeMs } = await fs.stat(full);
+  updateRecord((entries) => {
+    entries[full] = { sha256: sha256(data), mtimeMs };
+  });
+}
+
+// only the exact file the scanner wrote: same path, untouched since, same
+// content. Anything extracted or edited over it is package content again.
+async function isScannerOutput(file) {
+  const full = path.resolve(file);
+  const entry = loadRecord()[full];
+  if (!entry) return false;
+  try {
+    const { mtimeMs } = await fs.stat(full);
+    return (
+      mtimeMs === entry.mtimeMs &&
+      sha256(await fs.readFile(full)) === entry.sha256
+    );
+  } catch (_) {
+    return false;
+  }
+}
+
+// what earlier scans wrote under root: the files (while still ours) and
+// their record entries, so rescans don't pile up outputs or entries
+async function removeScannerOutputs(root) {
+  const prefix = path.resolve(root) + path.sep;
+  const stale = Object.keys(loadRecord()).filter((f) => f.startsWith(prefix));
+  if (!stale.length) return;
+  for (const f of stale) {
+    if (await isScannerOutput(f)) await fs.rm(f, { force: true });
+  }
+  updateRecord((entries) => stale.forEach((f) => delete entries[f]));
+}
+
+async function collectFiles(
+  root,
+  accept = () => true,
+  maxFiles = 200,
+  maxDepth = 4,
+  curDepth = 0,
+  acc = []
+) {
+  if (curDepth > maxDepth || acc.length >= maxFiles) return acc;
+  const entries = await fs.readdir(root, { withFileTypes: true });
+  for (const e of entries) {
+    if (acc.length >= maxFiles) break;
+    const full = path.join(root, e.name);
+    if (e.isDirectory()) {
+      if (e.name === "node_modules") continue;
+      await collectFiles(full, accept, maxFiles, maxDepth, curDepth + 1, acc);
+    } else if (
+      e.isFile() &&
+      accept(e.name, full) &&
+      !(await isScannerOutput(full))
+    ) {
+      acc.push(full);
+    }
+  }
+  return acc;
+}
+
+// .mjs / .cjs included: ESM and CommonJS entrypoints are just as likely
+function collectJsFiles(root, maxFiles = 200, maxDepth = 4) {
+  return collectFiles(
+    root,
+    (name) => /\.[cm]?js$/.test(name),
+    maxFiles,
+    maxDepth
+  );
+}
+
+module.exports = {
+  collectFiles,
+  collectJsFiles,
+  writeScannerOutput,
+  isScannerOutput,
+  removeScannerOutputs,
+};
@@ -0,0 +1,397 @@
+const fs = require("fs").promises;
+const fsSync = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { collectFiles } = require("./files");
+const { printableStrings } = require("./artifacts");
+const { noiseFilter, unexpectedDomains } = require("./c2_baseline");
+const { safeName } = require("./registry");
+
+const MAX_FILES = 5000;
+const MAX_DEPTH = 20;
+const MAX_FILE_BYTES = 2 * 1024 * 1024;
+const MAX_LOCATIONS = 10;
+const MAX_IOCS = 500;
+// decoded blobs shorter than this rarely hold anything but noise
+const MIN_DECODED = 8;
+
+const URL_RE =
+  /\b(?:https?|ftp|wss?):\/\/[A-Za-z0-9.-]+(?::\d+)?(?:\/[^\s"'`<>\\)\]]*)?/g;
+// bare addresses only inside string literals: comments are full of
+// "see section 4.2.5.1"
+const QUOTED_IPV4_RE =
+  /["'`]((?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d))(?::\d{1,5})?["'`]/g;
+// bare hostnames only count inside string literals, and only where they
+// are used as one (a host/hostname key, a connect() or lookup() argument),
+// or with a public TLD that isn't also a file extension and labels that
+// don't read as a property path ("window.top", "config.app")
+const QUOTED_HOST_RE =
+  /["'`]((?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+([a-z]{2,12}))["'`]/gi;
+const HOST_TLDS = new Set(
+  (
+    "com net org io ru cn xyz biz co me dev tk ga cf gq pw su onion site " +
+    "online club icu uk de fr nl br jp kr ir ua kz by vn tr eu us ca au gg " +
+    "sx vip cloud"
+  ).split(" ")
+);
+const HOST_CONTEXT =
+  /\b(?:host(?:name)?|domain|server(?:name)?)["']?\s*[:=]\s*$|\b(?:connect|createConnection|lookup|resolve(?:4|6|Any|Mx|Txt|Cname)?)\s*\(\s*(?:[^,()]*,\s*)?$/i;
+const IDENT_LABELS = new Set(
+  (
+    "window document process module exports this self global globalthis " +
+    "navigator location console config options opts settings user users " +
+    "node req res request response app err error data event el props state " +
+    "ctx util utils lib path os fs http url obj item value result"
+  ).split(" ")
+);
+const WEBHOOK_RE = [
+  /https:\/\/(?:canary\.|ptb\.)?discord(?:app)?\.com\/api\/webhooks\/\d+\/[A-Za-z0-9_-]+/g,
+  /https:\/\/api\.telegram\.org\/bot\d{8,10}:[A-Za-z0-9_-]{35}/g,
+  /https:\/\/hooks\.slack\.com\/(?:services|workflows)\/[A-Za-z0-9_/]{20,}/g,
+];
+const PASTE_HOSTS =
+  /^(?:www\.)?(pastebin\.com|paste\.ee|hastebin\.com|ghostbin\.\w+|rentry\.(?:co|org)|pastie\.org|controlc\.com|dpaste\.(?:com|org)|transfer\.sh|termbin\.com|0x0\.st|gist\.githubusercontent\.com|pastebin\.pl|justpaste\.it)$/i;
+const WALLETS = [
+  { chain: "bitcoin", re: /\bbc1[ac-hj-np-z02-9]{25,87}\b/g },
+  {
+    chain: "bitcoin",
+    re: /\b[13][1-9A-HJ-NP-Za-km-z]{25,34}\b/g,
+    check: base58check,
+  },
+  { chain: "ethereum", re: /\b0x[a-fA-F0-9]{40}\b/g, check: mixedOrLower },
+  { chain: "monero", re: /\b4[0-9AB][1-9A-HJ-NP-Za-km-z]{93}\b/g },
+  { chain: "tron", re: /\bT[1-9A-HJ-NP-Za-km-z]{33}\b/g, check: base58check },
+  { chain: "litecoin", re: /\bltc1[ac-hj-np-z02-9]{25,87}\b/g },
+];
+const DOC_FILE =
+  /(^|\/)(readme|changelog|history|license|licence|authors|contributors)[^/]*$|\.(md|markdown|txt)$/i;
+
+const B58 = "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+
+// base58 with a 4-byte double-sha256 checksum, so random identifiers that
+// look like addresses don't count
+function base58check(s) {
+  let n = 0n;
+  for (const c of s) {
+    const i = B58.indexOf(c);
+    if (i === -1) return false;
+    n = n * 58n + BigInt(i);
+  }
+  let hex = n.toString(16);
+  if (hex.length % 2) hex = `0${hex}`;
+  const lead = s.match(/^1*/)[0].length;
+  const bytes = Buffer.concat([Buffer.alloc(lead), Buffer.from(hex, "hex")]);
+  if (bytes.length < 5) return false;
+  const body = bytes.subarray(0, -4);
+  const sum = crypto
+    .createHash("sha256")
+    .update(crypto.createHash("sha256").update(body).digest())
+    .digest();
+  return sum.subarray(0, 4).equals(bytes.subarray(-4));
+}
+
+// all-upper hex is usually a hash or key, not an address
+function mixedOrLower(s) {
+  return s.slice(2) !== s.slice(2).toUpperCase();
+}
+
+function isPrivateIp(ip) {
+  const [a, b] = ip.split(".").map(Number);
+  return (
+    a === 10 ||
+    a === 127 ||
+    a === 0 ||
+    a >= 224 ||
+    (a === 172 && b >= 16 && b < 32) ||
+    (a === 192 && b === 168) ||
+    (a === 169 && b === 254)
+  );
+}
+
+function printable(s) {
+  if (s.length < MIN_DECODED) return false;
+  let ok = 0;
+  for (let i = 0; i < s.length; i++) {
+    const c = s.charCodeAt(i);
+    if ((c >= 0x20 && c < 0x7f) || c === 9 || c === 10 || c === 13) ok++;
+  }
+  return ok / s.length > 0.95;
+}
+
+// base64 / hex / \x-escaped string literals that decode to text
+function decodedStrings(text) {
+  const out = [];
+  for (const m of text.matchAll(/["'`]([A-Za-z0-9+/_-]{16,}={0,2})["'`]/g)) {
+    const s = Buffer.from(m[1], "base64").toString("latin1");
+    if (printable(s)) out.push({ text: s, index: m.index, encoding: "base64" });
+  }
+  for (const m of text.matchAll(/["'`]((?:[0-9a-fA-F]{2}){8,})["'`]/g)) {
+    const s = Buffer.from(m[1], "hex").toString("latin1");
+    if (printable(s)) out.push({ text: s, index: m.index, encoding: "hex" });
+  }
+  for (const m of text.matchAll(/(?:\\x[0-9a-fA-F]{2}){6,}/g)) {
+    const s = m[0]
+      .split("\\x")
+      .slice(1)
+      .map((h) => String.fromCharCode(parseInt(h, 16)))
+      .join("");
+    if (printable(s))
+      out.push({ text: s, index: m.index, encoding: "hex-escape" });
+  }
+  return out;
+}
+
+function lineOf(text, index) {
+  let line = 1;
+  for (let i = text.indexOf("\n"); i !== -1 && i < index; ) {
+    line++;
+    i = text.indexOf("\n", i + 1);
+  }
+  return line;
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/\.$/, "");
+  } catch (_) {
+    return null;
+  }
+}
+
+// a quoted "a.b.c" -> is it a hostname? `before` is the line up to the quote
+function looksLikeHost(name, tld, before) {
+  if (HOST_CONTEXT.test(before)) return true;
+  if (!HOST_TLDS.has(tld.toLowerCase())) return false;
+  // require("socket.io"), import x from "highlight.js"
+  if (/\b(?:require|import)\s*\(\s*$|\bfrom\s*$/.test(before)) return false;
+  // hostnames in code are lowercase; camelCase is a property path
+  if (/[A-Z]/.test(name)) return false;
+  return !name
+    .split(".")
+    .slice(0, -1)
+    .some((l) => IDENT_LABELS.has(l));
+}
+
+// text -> [{ type, value, chain? }]
+function findIocs(text) {
+  const found = [];
+  const add = (type, value, extra = {}) =>
+    found.push({ type, value, ...extra });
+  const webhooks = new Set();
+  for (const re of WEBHOOK_RE) {
+    for (const m of text.match(re) || []) {
+      webhooks.add(m);
+      add("webhook", m);
+    }
+  }
+  for (const url of text.match(URL_RE) || []) {
+    const host = hostOf(url);
+    if (!host) continue;
+    if (!webhooks.has(url)) {
+      add(PASTE_HOSTS.test(host) ? "paste" : "url", url);
+    }
+    if (/^[\d.]+$/.test(host)) {
+      if (!isPrivateIp(host)) add("ip", host);
+    } else if (host.includes(".")) {
+      add("domain", host);
+    }
+  }
+  for (const m of text.matchAll(QUOTED_HOST_RE)) {
+    const before = text.slice(Math.max(0, m.index - 80), m.index);
+    if (looksLikeHost(m[1], m[2], before.slice(before.lastIndexOf("\n") + 1)))
+      add("domain", m[1].toLowerCase());
+  }
+  for (const m of text.matchAll(QUOTED_IPV4_RE)) {
+    if (!isPrivateIp(m[1])) add("ip", m[1]);
+  }
+  for (const w of WALLETS) {
+    for (const m of text.match(w.re) || []) {
+      if (!w.check || w.check(m)) add("wallet", m, { chain: w.chain });
+    }
+  }
+  return found;
+}
+
+// every URL, domain, IP, webhook, paste link and wallet address in the
+// package, including ones hidden in base64/hex string literals
+async function extractIocs(realRoot) {
+  const files = await collectFiles(realRoot, () => true, MAX_FILES, MAX_DEPTH);
+  let pkg = {};
+  try {
+    pkg = JSON.parse(
+      await fs.readFile(path.join(realRoot, "package.json"), "utf8")
+    );
+  } catch (_) {}
+
+  const iocs = new Map();
+  const skipped = [];
+  const record = (ioc, location) => {
+    const key = `${ioc.type}:${ioc.value}`;
+    let entry = iocs.get(key);
+    if (!entry) {
+      entry = { ...ioc, docsOnly: true, decoded: false, locations: [] };
+      iocs.set(key, entry);
+    }
+    if (!DOC_FILE.test(location.file)) entry.docsOnly = false;
+    if (location.encoding) entry.decoded = true;
+    if (entry.locations.length < MAX_LOCATIONS) entry.locations.push(location);
+  };
+
+  for (const file of files) {
+    const rel = path.relative(realRoot, file).split(path.sep).join("/");
+    try {
+      const { size } = await fs.stat(file);
+      if (size > MAX_FILE_BYTES) {
+        skipped.push({ file: rel, reason: "too large" });
+        continue;
+      }
+      const buf = await fs.readFile(file);
+      if (buf.subarray(0, 8000).includes(0)) {
+        // binaries: only their printable strings
+        for (const ioc of findIocs(printableStrings(buf).join("\n"))) {
+          record(ioc, { file: rel, binary: true });
+        }
+        continue;
+      }
+      const text = buf.toString("utf8");
+      const seen = new Set();
+      for (const ioc of findIocs(text)) {
+        // one location per value per file is enough
+        if (seen.has(`${ioc.type}:${ioc.value}`)) continue;
+        seen.add(`${ioc.type}:${ioc.value}`);
+        const at = text.indexOf(ioc.value);
+        record(ioc, { file: rel, line: at === -1 ? null : lineOf(text, at) });
+      }
+      for (const d of decodedStrings(text)) {
+        for (const ioc of findIocs(d.text)) {
+          record(ioc, {
+            file: rel,
+            line: lineOf(text, d.index),
+            encoding: d.encoding,
+          });
+        }
+      }
+    } catch (e) {
+      skipped.push({ file: rel, reason: e.message });
+    }
+  }
+
+  const list = [...iocs.values()];
+  const counts = {};
+  for (const i of list) counts[i.type] = (counts[i.type] || 0) + 1;
+  return {
+    name: pkg.name || null,
+    version: pkg.version || null,
+    dir: realRoot,
+    counts,
+    truncated: list.length > MAX_IOCS,
+    iocs: list.slice(0, MAX_IOCS),
+    skipped,
+  };
+}
+
+// what the dynamic run saw: captured DNS names plus hosts the package
+// talked to through the sinkhole
+function dynamicDomains(record) {
+  const sinkhole = record.sinkhole || {};
+  return [
+    ...new Set(
+      [
+        ...(record.domains || []),
+        ...(sinkhole.dnsQueries || []),
+        ...(sinkhole.tlsServerNames || []),
+        ...(sinkhole.requests || []).map((r) => hostOf(r.url)),
+      ]
+        .filter(Boolean)
+        .map((d) => String(d).toLowerCase().replace(/\.$/, ""))
+    ),
+  ];
+}
+
+// a.b.example.com matches example.com either way round
+function sameHost(a, b) {
+  return a === b || a.endsWith(`.${b}`) || b.endsWith(`.${a}`);
+}
+
+// static IOCs vs the dynamic_c2_scan_docker.js record of the same package;
+// the allowlist/baseline noise is left out of both sides
+function correlate(report, record, filter) {
+  const hosts = report.iocs.filter(
+    (i) => (i.type === "domain" || i.type === "ip") && !i.docsOnly
+  );
+  const staticHosts = [...new Set(hosts.map((i) => i.value))].filter(
+    (h) => !filter.isExpected(h)
+  );
+  if (!record) {
+    return {
+      dynamic: false,
+      both: [],
+      staticOnly: staticHosts,
+      dynamicOnly: [],
+    };
+  }
+  const dynamic = unexpectedDomains(dynamicDomains(record), filter);
+  return {
+    dynamic: true,
+    capturedAt: record.timestamp || null,
+    both: staticHosts.filter((h) => dynamic.some((d) => sameHost(h, d))),
+    // present in the code but never contacted: dormant, or gated on
+    // something the sandbox didn't trigger
+    staticOnly: staticHosts.filter((h) => !dynamic.some((d) => sameHost(h, d))),
+    // contacted but not in the code: built or fetched at runtime
+    dynamicOnly: dynamic.filter(
+      (d) => !staticHosts.some((h) => sameHost(h, d))
+    ),
+  };
+}
+
+function readRecord(c2Dir, name) {
+  const file = path.join(c2Dir, `${safeName(name)}.json`);
+  return name && fsSync.existsSync(file)
+    ? JSON.parse(fsSync.readFileSync(file, "utf8"))
+    : null;
+}
+
+// extract + correlate + reputation for the hosts on either side, with the
+// threat-intel lookup /scan/c2 uses
+async function iocReport(
+  realRoot,
+  { c2Dir = "c2_results", intel = null } = {}
+) {
+  const report = await extractIocs(realRoot);
+  const filter = noiseFilter(c2Dir);
+  const correlation = correlate(report, readRecord(c2Dir, report.name), filter);
+  let reputation = {};
+  if (intel) {
+    reputation = await intel.lookupMany([
+      ...correlation.both,
+      ...correlation.staticOnly,
+      ...correlation.dynamicOnly,
+    ]);
+  }
+  for (const i of report.iocs) {
+    const r = reputation[i.value];
+    if (r) i.reputation = r.verdict;
+  }
+  const flagged = Object.values(reputation).filter((r) =>
+    ["malicious", "suspicious"].includes(r.verdict)
+  );
+  return {
+    ...report,
+    correlation,
+    providers: intel ? intel.providers : [],
+    reputation: Object.values(reputation),
+    flagged: flagged.map((r) => ({
+      host: r.domain,
+      verdict: r.verdict,
+      source: r.source,
+      seen: correlation.both.includes(r.domain)
+        ? "both"
+        : correlation.dynamicOnly.includes(r.domain)
+        ? "dynamic"
+        : "static",
+    })),
+  };
+}
+
+module.exports = { extractIocs, correlate, iocReport, findIocs, base58check };
@@ -0,0 +1,492 @@
+const fs = require("fs").promises;
+const fsSync = require("fs");
+const os = require("os");
+const path = require("path");
+const { ObjectId } = require("mongodb");
+const { scanSources, scanLifecycleWithRules } = require("./static_scan");
+const rules = require("./rules");
+const { analyzeDownloaded } = require("./metadata");
+const { checkPackageProvenance } = require("./provenance");
+const { scanSecrets } = require("./secrets");
+const { analyzeArtifacts } = require("./artifacts");
+const { iocReport } = require("./ioc");
+const { defaultThreatIntel } = require("./threat_intel");
+const { scorePackageDir } = require("./risk_score");
+const { parseLockfile, readProjectLockfile } = require("./lockfile");
+const { parseSpec, downloadPackage } = require("./download");
+
+const JOBS = "jobs";
+const ITEMS = "jobItems";
+// a running item whose lease lapses (server died) is picked up again
+const LEASE_MS = Number(process.env.JOB_LEASE_MS || 10 * 60 * 1000);
+const POLL_MS = 2000;
+const RETRY_DELAY_MS = 30000;
+const DEFAULT_ATTEMPTS = Number(process.env.JOB_ATTEMPTS || 3);
+const DEFAULT_CONCURRENCY = Number(process.env.JOB_CONCURRENCY || 2);
+const MAX_PAGE = 200;
+
+function packageRoot(dir) {
+  return path.join(dir, "package");
+}
+
+// scan name -> scanResults type + what runs it on a download dir
+const SCANS = {
+  obfuscation: {
+    type: "obfuscationScan",
+    // download dirs are the scanner's own, so recovered sources stay there
+    run: (dir) =>
+      scanSources(packageRoot(dir), rules.getRuleSet(), {
+        saveUnpacked: true,
+      }),
+  },
+  lifecycle: {
+    type: "lifecycleScan",
+    run: (dir) => scanLifecycleWithRules(packageRoot(dir)),
+  },
+  secrets: {
+    type: "secretsScan",
+    run: (dir) => scanSecrets(packageRoot(dir)),
+  },
+  artifacts: {
+    type: "artifactScan",
+    run: (dir) => analyzeArtifacts(packageRoot(dir)),
+  },
+  ioc: {
+    type: "iocScan",
+    run: (dir, { db, c2Dir }) =>
+      iocReport(packageRoot(dir), { c2Dir, intel: defaultThreatIntel(db) }),
+  },
+  metadata: { type: "metadataScan", run: (dir) => analyzeDownloaded(dir) },
+  provenance: {
+    type: "provenanceScan",
+    run: (dir) => checkPackageProvenance(dir),
+  },
+  score: {
+    type: "packageRiskScore",
+    run: (dir, { db, c2Dir }) => scorePackageDir(dir, { db, c2Dir }),
+  },
+};
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function toId(id) {
+  return ObjectId.isValid(id) ? new ObjectId(id) : null;
+}
+
+function readList(text) {
+  return text
+    .split(/\r?\n/)
+    .map((l) => l.replace(/#.*$/, "").trim())
+    .filter(Boolean);
+}
+
+// POST /jobs body -> [{ pkg, version }] and where they came from
+async function resolveTargets(spec, baseDir) {
+  if (spec.package) {
+    return { source: { kind: "package" }, targets: [parseSpec(spec.package)] };
+  }
+  if (Array.isArray(spec.packages)) {
+    return {
+      source: { kind: "list" },
+      targets: spec.packages.map(parseSpec),
+    };
+  }
+  if (spec.list) {
+    const file = path.resolve(baseDir, spec.list);
+    return {
+      source: { kind: "list", file },
+      targets: readList(await fs.readFile(file, "utf8")).map(parseSpec),
+    };
+  }
+  if (spec.lockfile) {
+    const target = path.resolve(baseDir, spec.lockfile);
+    const found = (await fs.stat(target)).isDirectory()
+      ? await readProjectLockfile(target)
+      : {
+          file: target,
+          content: await fs.readFile(target, "utf8"),
+          pkgJson: null,
+        };
+    if (!found) throw new Error(`no lockfile found in ${target}`);
+    const { dependencies } = parseLockfile(
+      found.file,
+      found.content,
+      found.pkgJson
+    );
+    return {
+      source: { kind: "lockfile", file: found.file },
+      targets: dependencies
+        .filter((d) => d.name && d.version)
+        .map((d) => ({ name: d.name, version: d.version })),
+    };
+  }
+  throw new Error("one of package, packages, list or lockfile is required");
+}
+
+function createJobQueue(
+  db,
+  {
+    baseDir = process.cwd(),
+    downloadDir = path.join(baseDir, "downloaded_packages"),
+    c2Dir = path.join(baseDir, "c2_results"),
+    concurrency = DEFAULT_CONCURRENCY,
+  } = {}
+) {
+  const jobs = db.collection(JOBS);
+  const items = db.collection(ITEMS);
+  const owner = `${os.hostname()}:${process.pid}`;
+  let running = false;
+  let indexed = null;
+
+  function ensureIndexes() {
+    if (!indexed) {
+      indexed = Promise.all([
+        items.createIndex({ status: 1, notBefore: 1 }),
+        items.createIndex({ jobId: 1, index: 1 }),
+        jobs.createIndex({ createdAt: -1 }),
+      ]);
+    }
+    return indexed;
+  }
+
+  async function submit(spec) {
+    const scans = [].concat(spec.scans || spec.scan || "obfuscation");
+    const unknown = scans.filter((s) => !SCANS[s]);
+    if (unknown.length) {
+      throw new Error(
+        `unknown scan ${unknown.join(", ")} (known: ${Object.keys(SCANS).join(
+          ", "
+        )})`
+      );
+    }
+    const { source, targets } = await resolveTargets(spec, baseDir);
+    const unique = [
+      ...new Map(targets.map((t) => [`${t.name}@${t.version}`, t])).values(),
+    ];
+    if (!unique.length) throw new Error("nothing to scan");
+    await ensureIndexes();
+
+    const now = new Date();
+    const job = {
+      scans,
+      source,
+      status: "queued",
+      maxAttempts: Number(spec.maxAttempts) || DEFAULT_ATTEMPTS,
+      // at most this many of the job's packages at once (0 = queue limit)
+      concurrency: Number(spec.concurrency) || 0,
+      total: unique.length,
+      counts: { queued: unique.length },
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null,
+    };
+    const { insertedId } = await jobs.insertOne(job);
+    await items.insertMany(
+      unique.map((t, index) => ({
+        jobId: insertedId,
+        index,
+        pkg: t.name,
+        version: t.version || null,
+        status: "queued",
+        attempts: 0,
+        notBefore: now,
+        createdAt: now,
+        results: {},
+        error: null,
+      }))
+    );
+    return { id: insertedId, ...job };
+  }
+
+  async function refresh(jobId) {
+    const rows = await items
+      .aggregate([
+        { $match: { jobId } },
+        { $group: { _id: "$status", n: { $sum: 1 } } },
+      ])
+      .toArray();
+    const counts = Object.fromEntries(rows.map((r) => [r._id, r.n]));
+    const job = await jobs.findOne({ _id: jobId });
+    if (!job) return null;
+    const pending = (counts.queued || 0) + (counts.running || 0);
+    let status = job.status;
+    if (status !== "cancelled") {
+      if (pending) {
+        status = pending < job.total || counts.running ? "running" : "queued";
+      } else {
+        status = counts.failed === job.total ? "failed" : "done";
+      }
+    }
+    const update = { counts, status, updatedAt: new Date() };
+    if (!pending && !job.finishedAt) update.finishedAt = new Date();
+    await jobs.updateOne({ _id: jobId }, { $set: update });
+    return { ...job, ...update };
+  }
+
+  function view(job) {
+    const { _id, counts = {}, ...rest } = job;
+    const finished =
+      (counts.done || 0) + (counts.failed || 0) + (counts.cancelled || 0);
+    return {
+      id: _id,
+      ...rest,
+      counts,
+      progress: job.total ? Math.round((finished / job.total) * 100) : 0,
+    };
+  }
+
+  async function get(id) {
+    const jobId = toId(id);
+    const job = jobId && (await jobs.findOne({ _id: jobId }));
+    return job ? view(job) : null;
+  }
+
+  async function list({ limit = 20 } = {}) {
+    const docs = await jobs
+      .find({})
+      .sort({ createdAt: -1 })
+      .limit(Math.min(Number(limit) || 20, MAX_PAGE))
+      .toArray();
+    return docs.map(view);
+  }
+
+  async function results(id, { skip = 0, limit = 50 } = {}) {
+    const jobId = toId(id);
+    const job = jobId && (await jobs.findOne({ _id: jobId }));
+    if (!job) return null;
+    const page = await items
+      .find({ jobId })
+      .sort({ index: 1 })
+      .skip(Number(skip) || 0)
+      .limit(Math.min(Number(limit) || 50, MAX_PAGE))
+      .toArray();
+    const ids = page.flatMap((i) => Object.values(i.results || {}));
+    const docs = await db
+      .collection("scanResults")
+      .find({ _id: { $in: ids } })
+      .toArray();
+    const byId = new Map(docs.map((d) => [String(d._id), d.data]));
+    return {
+      job: view(job),
+      skip: Number(skip) || 0,
+      items: page.map((i) => ({
+        pkg: i.pkg,
+        version: i.version,
+        dir: i.dir || null,
+        status: i.status,
+        attempts: i.attempts,
+        error: i.error,
+        results: Object.fromEntries(
+          Object.entries(i.results || {}).map(([scan, rid]) => [
+            scan,
+            byId.get(String(rid)) || null,
+          ])
+        ),
+      })),
+    };
+  }
+
+  async function cancel(id) {
+    const jobId = toId(id);
+    if (!jobId) return null;
+    const { matchedCount } = await jobs.updateOne(
+      { _id: jobId, status: { $in: ["queued", "running"] } },
+      { $set: { status: "cancelled", updatedAt: new Date() } }
+    );
+    if (matchedCount) {
+      // a running item finishes its current scan but its result is dropped
+      await items.updateMany(
+        { jobId, status: { $in: ["queued", "running"] } },
+        { $set: { status: "cancelled" } }
+      );
+      await refresh(jobId);
+    }
+    return get(id);
+  }
+
+  // jobs already running `concurrency` items sit out this claim
+  async function fullJobs(now) {
+    const busy = await items
+      .aggregate([
+        { $match: { status: "running", leaseUntil: { $gt: now } } },
+        { $group: { _id: "$jobId", n: { $sum: 1 } } },
+      ])
+      .toArray();
+    if (!busy.length) return [];
+    const limits = await jobs
+      .find({ _id: { $in: busy.map((b) => b._id) }, concurrency: { $gt: 0 } })
+      .project({ concurrency: 1 })
+      .toArray();
+    const limitOf = new Map(limits.map((j) => [String(j._id), j.concurrency]));
+    return busy
+      .filter(
+        (b) => limitOf.has(String(b._id)) && b.n >= limitOf.get(String(b._id))
+      )
+      .map((b) => b._id);
+  }
+
+  // a claim that went through; false when the job already had `concurrency`
+  // items running. Claims made at the same moment all passed fullJobs(), so
+  // they are ranked by lease (new per claim) and only the first ones count
+  async function withinLimit(item, now) {
+    const job = await jobs.findOne(
+      { _id: item.jobId },
+      { projection: { concurrency: 1 } }
+    );
+    if (!job || !job.concurrency) return true;
+    const ahead = await items.countDocuments({
+      jobId: item.jobId,
+      status: "running",
+      leaseUntil: { $gt: now },
+      lease: { $lt: item.lease },
+    });
+    return ahead < job.concurrency;
+  }
+
+  async function claim() {
+    const now = new Date();
+    const skip = await fullJobs(now);
+    for (;;) {
+      const item = await claimOne(now, skip);
+      if (!item || (await withinLimit(item, now))) return item;
+      // over the limit: hand it back untouched and try another job
+      await updateOwned(item, {
+        $set: { status: "queued", notBefore: now },
+        $inc: { attempts: -1 },
+      });
+      skip.push(item.jobId);
+    }
+  }
+
+  function claimOne(now, skip) {
+    return items.findOneAndUpdate(
+      {
+        jobId: { $nin: skip },
+        $or: [
+          { status: "queued", notBefore: { $lte: now } },
+          { status: "running", leaseUntil: { $lte: now } },
+        ],
+      },
+      {
+        $set: {
+          status: "running",
+          owner,
+          // new per claim, so a worker whose lease lapsed can't write
+          lease: new ObjectId(),
+          leaseUntil: new Date(now.getTime() + LEASE_MS),
+          startedAt: now,
+        },
+        $inc: { attempts: 1 },
+      },
+      { sort: { createdAt: 1, index: 1 }, returnDocument: "after" }
+    );
+  }
+
+  // only while we still hold the item; a cancel or a lost lease wins
+  function updateOwned(item, update) {
+    return items.updateOne(
+      { _id: item._id, status: "running", lease: item.lease },
+      update
+    );
+  }
+
+  async function processItem(item) {
+    const job = await jobs.findOne({ _id: item.jobId });
+    if (!job || job.status === "cancelled") {
+      await updateOwned(item, { $set: { status: "cancelled" } });
+      return;
+    }
+    const heartbeat = setInterval(() => {
+      updateOwned(item, {
+        $set: { leaseUntil: new Date(Date.now() + LEASE_MS) },
+      }).catch(() => {});
+    }, LEASE_MS / 3);
+    try {
+      if (item.attempts > job.maxAttempts) {
+        throw Object.assign(new Error(item.error || "lease expired"), {
+          final: true,
+        });
+      }
+      const { version, dir } = await downloadPackage(item.pkg, downloadDir, {
+        version: item.version,
+        reuse: true,
+      });
+      await updateOwned(item, { $set: { dir, version } });
+      // scans finished on an earlier attempt are not repeated
+      for (const scan of job.scans) {
+        if (item.results && item.results[scan]) continue;
+        if (!fsSync.existsSync(path.join(dir, "package"))) {
+          throw new Error(`package not extracted in ${dir}`);
+        }
+        const data = await SCANS[scan].run(dir, { db, c2Dir });
+        const { insertedId } = await db.collection("scanResults").insertOne({
+          type: SCANS[scan].type,
+          data,
+          jobId: item.jobId,
+          timestamp: new Date(),
+        });
+        await updateOwned(item, { $set: { [`results.${scan}`]: insertedId } });
+      }
+      await updateOwned(item, {
+        $set: { status: "done", error: null, finishedAt: new Date() },
+      });
+    } catch (err) {
+      const final = err.final || item.attempts >= job.maxAttempts;
+      await updateOwned(item, {
+        $set: final
+          ? { status: "failed", error: err.message, finishedAt: new Date() }
+          : {
+              status: "queued",
+              error: err.message,
+              notBefore: new Date(Date.now() + RETRY_DELAY_MS * item.attempts),
+            },
+      });
+      console.error(
+        `job ${item.jobId} ${item.pkg}: ${err.message}${
+          final ? "" : " (will retry)"
+        }`
+      );
+    } finally {
+      clearInterval(heartbeat);
+      await refresh(item.jobId);
+    }
+  }
+
+  async function worker() {
+    while (running) {
+      try {
+        const item = await claim();
+        if (item) await processItem(item);
+        else await sleep(POLL_MS);
+      } catch (err) {
+        console.error("job worker:", err.message);
+        await sleep(POLL_MS);
+      }
+    }
+  }
+
+  function start() {
+    if (running) return;
+    running = true;
+    ensureIndexes().catch((err) => console.error("job indexes:", err.message));
+    for (let i = 0; i < concurrency; i++) worker();
+  }
+
+  function stop() {
+    running = false;
+  }
+
+  return {
+    owner,
+    concurrency,
+    submit,
+    get,
+    list,
+    results,
+    cancel,
+    start,
+    stop,
+  };
+}
+
+module.exports = { SCANS, createJobQueue };
@@ -0,0 +1,140 @@
+const fs = require("fs").promises;
+const path = require("path");
+const {
+  getRuleSet,
+  matchSource,
+  matchLifecycle,
+  applySuppression,
+} = require("./rules");
+
+// scripts npm runs on `npm install` / `npm uninstall` of the package
+const LIFECYCLE_SCRIPTS = [
+  "preinstall",
+  "install",
+  "postinstall",
+  "preprepare",
+  "prepare",
+  "postprepare",
+  "preuninstall",
+  "uninstall",
+  "postuninstall",
+];
+
+const MAX_SCRIPT_FILE_BYTES = 1024 * 1024;
+const MAX_EVIDENCE = 200;
+
+const SEVERITY_ORDER = { critical: 4, high: 3, medium: 2, low: 1, info: 0 };
+
+// the rules themselves live in rules/lifecycle.yaml
+function applyRules(ruleSet, text, target, source) {
+  return matchSource(ruleSet, { text, file: source, target }).map(
+    ({ file, ...m }) => ({ ...m, source: file })
+  );
+}
+
+// files a script command hands to an interpreter: `node x.js`, `sh ./y.sh`...
+function referencedFiles(command) {
+  const files = new Set();
+  const re =
+    /(?:^|[\s;&|(])(?:node|sh|bash|zsh|python3?|perl|ruby|pwsh|powershell)\s+((?:-\S+\s+)*)([^\s;&|)'"]+)/g;
+  for (const m of command.matchAll(re)) {
+    // `node -e "..."` etc. carry code, not a path
+    if (/(^|\s)-(e|p|c|-eval|-print)\s/.test(m[1])) continue;
+    files.add(m[2]);
+  }
+  for (const m of command.matchAll(/(?:^|[\s;&|(])(\.\/[^\s;&|)'"]+)/g)) {
+    files.add(m[1]);
+  }
+  return [...files];
+}
+
+async function resolveScriptFile(root, ref) {
+  const candidates = [ref, `${ref}.js`, path.join(ref, "index.js")];
+  for (const c of candidates) {
+    const full = path.resolve(root, c);
+    if (full !== root && !full.startsWith(root + path.sep)) {
+      return { outside: true, full };
+    }
+    try {
+      const st = await fs.stat(full);
+      if (st.isFile()) return { outside: false, full };
+    } catch (_) {}
+  }
+  return null;
+}
+
+async function scanLifecycle(root, ruleSet = getRuleSet()) {
+  const pkgJson = JSON.parse(
+    await fs.readFile(path.join(root, "package.json"), "utf8")
+  );
+  const allScripts = pkgJson.scripts || {};
+  const scripts = {};
+  for (const name of LIFECYCLE_SCRIPTS) {
+    if (typeof allScripts[name] === "string") scripts[name] = allScripts[name];
+  }
+
+  const findings = [];
+  const files = [];
+  const seenFiles = new Set();
+
+  // npm runs `node-gyp rebuild` on its own when binding.gyp exists
+  if (!scripts.install && !scripts.preinstall) {
+    try {
+      await fs.access(path.join(root, "binding.gyp"));
+      scripts.install = "node-gyp rebuild";
+      findings.push(
+        ...matchLifecycle(ruleSet, "implicit-node-gyp", {
+          source: "binding.gyp",
+          line: 1,
+          evidence: "node-gyp rebuild",
+        })
+      );
+    } catch (_) {}
+  }
+
+  for (const [name, command] of Object.entries(scripts)) {
+    findings.push(
+      ...applyRules(ruleSet, command, "lifecycle-script", `scripts.${name}`)
+    );
+
+    for (const ref of referencedFiles(command)) {
+      const resolved = await resolveScriptFile(root, ref);
+      if (!resolved) continue;
+      const rel = path.relative(root, resolved.full);
+      if (resolved.outside) {
+        findings.push(
+          ...matchLifecycle(ruleSet, "script-outside-package", {
+            source: `scripts.${name}`,
+            line: 1,
+            evidence: command.slice(0, MAX_EVIDENCE),
+          })
+        );
+        continue;
+      }
+      if (seenFiles.has(rel)) continue;
+      seenFiles.add(rel);
+      const st = await fs.stat(resolved.full);
+      files.push({ file: rel, script: name, size: st.size });
+      if (st.size > MAX_SCRIPT_FILE_BYTES) continue;
+      const text = await fs.readFile(resolved.full, "utf8");
+      findings.push(...applyRules(ruleSet, text, "lifecycle-file", rel));
+    }
+  }
+
+  const kept = applySuppression(ruleSet, findings);
+  kept.sort((a, b) => SEVERITY_ORDER[b.severity] - SEVERITY_ORDER[a.severity]);
+  return {
+    name: pkgJson.name,
+    version: pkgJson.version,
+    scripts,
+    files,
+    findings: kept,
+  };
+}
+
+module.exports = {
+  scanLifecycle,
+  referencedFiles,
+  LIFECYCLE_SCRIPTS,
+  SEVERITY_ORDER,
+};
@@ -0,0 +1,444 @@
+const fs = require("fs").promises;
+const path = require("path");
+const yaml = require("js-yaml");
+
+const LOCKFILES = [
+  "package-lock.json",
+  "npm-shrinkwrap.json",
+  "yarn.lock",
+  "pnpm-lock.yaml",
+];
+const ROOT = "(root)";
+
+function lockfileType(filename, content) {
+  const base = path.basename(filename || "");
+  if (base === "yarn.lock") return "yarn";
+  if (base === "pnpm-lock.yaml") return "pnpm";
+  if (base.endsWith(".json")) return "npm";
+  // uploads without a name: sniff
+  if (/^\s*\{/.test(content)) return "npm";
+  if (/^lockfileVersion:/m.test(content)) return "pnpm";
+  return "yarn";
+}
+
+function rootDeps(pkgJson) {
+  const out = [];
+  if (!pkgJson) return out;
+  for (const [field, dev, optional] of [
+    ["dependencies", false, false],
+    ["optionalDependencies", false, true],
+    ["devDependencies", true, false],
+  ]) {
+    for (const [name, range] of Object.entries(pkgJson[field] || {})) {
+      out.push({ name, range, dev, optional });
+    }
+  }
+  return out;
+}
+
+// ---------------- npm (package-lock v1 / v2 / v3) ----------------
+
+// node's lookup: ./node_modules/dep, then each parent's, then the top level
+function nodeResolver(nodes) {
+  return (fromId, dep) => {
+    let base = fromId;
+    for (;;) {
+      const candidate = base
+        ? `${base}/node_modules/${dep}`
+        : `node_modules/${dep}`;
+      if (nodes.has(candidate)) return candidate;
+      if (!base) return null;
+      const idx = base.lastIndexOf("/node_modules/");
+      base = idx === -1 ? "" : base.slice(0, idx);
+    }
+  };
+}
+
+function parseNpmLock(lock, pkgJson) {
+  if (lock.packages) return parseNpmPackages(lock);
+  return parseNpmV1(lock, pkgJson);
+}
+
+// v2/v3: flat "node_modules/a/node_modules/b" keys, node-style resolution
+function parseNpmPackages(lock) {
+  const packages = lock.packages;
+  const nodes = new Map();
+  for (const [key, info] of Object.entries(packages)) {
+    if (key === "" || info.link) continue;
+    const name = info.name || key.split("node_modules/").pop();
+    nodes.set(key, {
+      id: key,
+      name,
+      version: info.version,
+      installPath: key,
+      dev: !!info.dev,
+      optional: !!info.optional,
+      deps: {
+        ...info.dependencies,
+        ...info.optionalDependencies,
+        ...info.peerDependencies,
+      },
+    });
+  }
+
+  const resolve = nodeResolver(nodes);
+
+  const root = packages[""] || {};
+  const direct = Object.keys({
+    ...root.dependencies,
+    ...root.devDependencies,
+    ...root.optionalDependencies,
+    ...root.peerDependencies,
+  })
+    .map((d) => resolve("", d))
+    .filter(Boolean);
+
+  return buildTree(nodes, direct, (node) =>
+    Object.keys(node.deps)
+      .map((d) => resolve(node.id, d))
+      .filter(Boolean)
+  );
+}
+
+// v1: nested `dependencies`, each with `requires`
+function parseNpmV1(lock, pkgJson) {
+  const nodes = new Map();
+  const visit = (deps, parentId) => {
+    for (const [name, info] of Object.entries(deps || {})) {
+      const id = parentId
+        ? `${parentId}/node_modules/${name}`
+        : `node_modules/${name}`;
+      nodes.set(id, {
+        id,
+        name,
+        version: info.version,
+        installPath: id,
+        dev: !!info.dev,
+        optional: !!info.optional,
+        deps: info.requires || {},
+      });
+      visit(info.dependencies, id);
+    }
+  };
+  visit(lock.dependencies, "");
+
+  const resolve = nodeResolver(nodes);
+
+  let direct;
+  if (pkgJson) {
+    direct = rootDeps(pkgJson)
+      .map((d) => resolve("", d.name))
+      .filter(Boolean);
+  } else {
+    // without package.json: top-level entries nobody else requires
+    const required = new Set();
+    for (const n of nodes.values()) {
+      for (const d of Object.keys(n.deps)) {
+        const r = resolve(n.id, d);
+        if (r) required.add(r);
+      }
+    }
+    direct = [...nodes.keys()].filter(
+      (id) => !id.includes("/node_modules/") && !required.has(id)
+    );
+  }
+
+  return buildTree(nodes, direct, (node) =>
+    Object.keys(node.deps)
+      .map((d) => resolve(node.id, d))
+      .filter(Boolean)
+  );
+}
+
+// ---------------- yarn (classic v1 and berry) ----------------
+
+function splitSpec(spec) {
+  const s = spec.trim().replace(/^"|"$/g, "");
+  const at = s.indexOf("@", 1);
+  if (at === -1) return { name: s, range: "*" };
+  return { name: s.slice(0, at), range: s.slice(at + 1) };
+}
+
+// classic yarn.lock is its own indentation-based format
+function parseYarnClassic(text) {
+  const entries = [];
+  let current = null;
+  let section = null;
+  for (const raw of text.split(/\r?\n/)) {
+    if (!raw.trim() || raw.trim().startsWith("#")) continue;
+    const indent = raw.match(/^ */)[0].length;
+    const line = raw.trim();
+    if (indent === 0) {
+      current = {
+        specs: line
+          .replace(/:$/, "")
+          .split(/,\s*/)
+          .map((s) => s.replace(/^"|"$/g, "")),
+        version: null,
+        deps: {},
+      };
+      entries.push(current);
+      section = null;
+    } else if (current && indent === 2) {
+      if (/^(dependencies|optionalDependencies):$/.test(line)) {
+        section = "deps";
+      } else {
+        section = null;
+        const m = line.match(/^version\s+"?([^"]+)"?$/);
+        if (m) current.version = m[1];
+      }
+    } else if (current && indent >= 4 && section === "deps") {
+      const m = line.match(/^("?[^\s"]+"?)\s+"?([^"]*)"?$/);
+      if (m) current.deps[m[1].replace(/^"|"$/g, "")] = m[2];
+    }
+  }
+  return entries;
+}
+
+function parseYarnBerry(doc) {
+  const entries = [];
+  for (const [key, info] of Object.entries(doc)) {
+    if (key === "__metadata" || !info || typeof info !== "object") continue;
+    // workspace / root entries describe the project itself
+    if (/@workspace:/.test(key)) continue;
+    entries.push({
+      specs: key.split(/,\s*/),
+      version: info.version,
+      deps: { ...info.dependencies, ...info.optionalDependencies },
+    });
+  }
+  return entries;
+}
+
+function parseYarnLock(text, pkgJson) {
+  const berry = /^__metadata:/m.test(text);
+  const entries = berry
+    ? parseYarnBerry(yaml.load(text))
+    : parseYarnClassic(text);
+
+  const nodes = new Map();
+  const bySpec = new Map();
+  for (const e of entries) {
+    const { name } = splitSpec(e.specs[0]);
+    const id = `${name}@${e.version}`;
+    if (!nodes.has(id)) {
+      nodes.set(id, {
+        id,
+        name,
+        version: e.version,
+        installPath: `node_modules/${name}`,
+        dev: false,
+        optional: false,
+        deps: e.deps,
+      });
+    }
+    for (const spec of e.specs) bySpec.set(spec, id);
+  }
+
+  // berry keys look like "a@npm:^1.0.0"; deps are "a": "^1.0.0" or "npm:^1.0.0"
+  const resolve = (name, range) =>
+    bySpec.get(`${name}@${range}`) ||
+    bySpec.get(`${name}@npm:${range}`) ||
+    null;
+
+  let direct;
+  if (pkgJson) {
+    direct = rootDeps(pkgJson)
+      .map((d) => resolve(d.name, d.range))
+      .filter(Boolean);
+  } else {
+    const required = new Set();
+    for (const n of nodes.values()) {
+      for (const [d, r] of Object.entries(n.deps)) {
+        const id = resolve(d, r);
+        if (id) required.add(id);
+      }
+    }
+    direct = [...nodes.keys()].filter((id) => !required.has(id));
+  }
+
+  const children = (node) =>
+    Object.entries(node.deps)
+      .map(([d, r]) => resolve(d, r))
+      .filter(Boolean);
+  // yarn.lock has no dev flag: like npm's, it marks what only
+  // devDependencies pull in
+  if (pkgJson) {
+    const rootsOf = (dev) =>
+      rootDeps(pkgJson)
+        .filter((d) => d.dev === dev)
+        .map((d) => resolve(d.name, d.range))
+        .filter(Boolean);
+    const prod = reachable(nodes, rootsOf(false), children);
+    for (const id of reachable(nodes, rootsOf(true), children)) {
+      if (!prod.has(id)) nodes.get(id).dev = true;
+    }
+  }
+
+  return buildTree(nodes, direct, children);
+}
+
+// ---------------- pnpm (lockfile v5 / v6 / v9) ----------------
+
+// "1.2.3(react@18.2.0)" / "1.2.3_react@18.2.0" -> "1.2.3"
+function pnpmBareVersion(v) {
+  return String(v).replace(/\(.*$/, "").replace(/_.*$/, "");
+}
+
+// "/a/1.2.3", "/a@1.2.3", "a@1.2.3(peer@1)" -> { name, version }
+function parsePnpmKey(key) {
+  let k = key.replace(/^\//, "");
+  const v5 = k.match(/^((?:@[^/]+\/)?[^/@]+)\/([^/]+)$/);
+  if (v5) return { name: v5[1], version: pnpmBareVersion(v5[2]) };
+  k = k.replace(/\(.*$/, "");
+  const at = k.lastIndexOf("@");
+  return { name: k.slice(0, at), version: pnpmBareVersion(k.slice(at + 1)) };
+}
+
+function parsePnpmLock(doc) {
+  const nodes = new Map();
+  // v9 keeps the dependency edges in `snapshots`
+  const edgeSource = doc.snapshots || doc.packages || {};
+  for (const [key, info] of Object.entries(edgeSource)) {
+    const { name, version } = parsePnpmKey(key);
+    const id = `${name}@${version}`;
+    const pkgInfo = (doc.packages && doc.packages[key]) || info || {};
+    const existing = nodes.get(id);
+    const deps = {
+      ...(existing ? existing.deps : {}),
+      ...(info && info.dependencies),
+      ...(info && info.optionalDependencies),
+    };
+    nodes.set(id, {
+      id,
+      name,
+      version,
+      installPath: `node_modules/${name}`,
+      dev: !!pkgInfo.dev,
+      optional: !!pkgInfo.optional,
+      deps,
+    });
+  }
+
+  const resolve = (name, ref) => {
+    const r = typeof ref === "object" && ref ? ref.version : ref;
+    if (!r || /^(link|file):/.test(r)) return null;
+    // v5/v6 may give the full key ("/b/2.0.0") instead of a version
+    if (r.startsWith("/")) {
+      const p = parsePnpmKey(r);
+      return `${p.name}@${p.version}`;
+    }
+    const id = `${name}@${pnpmBareVersion(r)}`;
+    return nodes.has(id) ? id : null;
+  };
+
+  const importer = (doc.importers && doc.importers["."]) || doc;
+  const direct = [];
+  for (const field of [
+    "dependencies",
+    "optionalDependencies",
+    "devDependencies",
+  ]) {
+    for (const [name, ref] of Object.entries(importer[field] || {})) {
+      const id = resolve(name, ref);
+      if (id) direct.push(id);
+    }
+  }
+
+  return buildTree(nodes, direct, (node) =>
+    Object.entries(node.deps)
+      .map(([d, r]) => resolve(d, r))
+      .filter(Boolean)
+  );
+}
+
+// ---------------- common ----------------
+
+// breadth-first from the direct deps so each node gets its shortest path
+// ids reachable from `start` (included)
+function reachable(nodes, start, childrenOf) {
+  const seen = new Set();
+  const stack = [...start];
+  while (stack.length) {
+    const id = stack.pop();
+    if (seen.has(id) || !nodes.has(id)) continue;
+    seen.add(id);
+    stack.push(...childrenOf(nodes.get(id)));
+  }
+  return seen;
+}
+
+function buildTree(nodes, directIds, childrenOf) {
+  const directSet = new Set(directIds);
+  const pathTo = new Map();
+  const queue = [];
+  for (const id of directIds) {
+    if (pathTo.has(id)) continue;
+    pathTo.set(id, [nodes.get(id).name]);
+    queue.push(id);
+  }
+  while (queue.length > 0) {
+    const id = queue.shift();
+    const node = nodes.get(id);
+    for (const child of childrenOf(node)) {
+      if (pathTo.has(child) || !nodes.has(child)) continue;
+      pathTo.set(child, [...pathTo.get(id), nodes.get(child).name]);
+      queue.push(child);
+    }
+  }
+
+  const out = [];
+  for (const [id, node] of nodes) {
+    const chain = pathTo.get(id);
+    out.push({
+      name: node.name,
+      version: node.version,
+      direct: directSet.has(id),
+      dev: node.dev,
+      optional: node.optional,
+      installPath: node.installPath,
+      // unreachable entries (stale lock, other workspaces) keep a null path
+      path: chain ? [ROOT, ...chain].join(" > ") : null,
+      depth: chain ? chain.length : null,
+    });
+  }
+  return out.sort(
+    (a, b) =>
+      (a.depth ?? Infinity) - (b.depth ?? Infinity) ||
+      a.name.localeCompare(b.name)
+  );
+}
+
+function parseLockfile(filename, content, pkgJson = null) {
+  const type = lockfileType(filename, content);
+  let dependencies;
+  if (type === "npm") dependencies = parseNpmLock(JSON.parse(content), pkgJson);
+  else if (type === "yarn") dependencies = parseYarnLock(content, pkgJson);
+  else dependencies = parsePnpmLock(yaml.load(content));
+  return { type, dependencies };
+}
+
+// first lockfile found in a project dir, plus its package.json if any
+async function readProjectLockfile(dir) {
+  let pkgJson = null;
+  try {
+    pkgJson = JSON.parse(
+      await fs.readFile(path.join(dir, "package.json"), "utf8")
+    );
+  } catch (_) {}
+  for (const name of LOCKFILES) {
+    const file = path.join(dir, name);
+    try {
+      const content = await fs.readFile(file, "utf8");
+      return { file, content, pkgJson };
+    } catch (_) {}
+  }
+  return null;
+}
+
+module.exports = {
+  LOCKFILES,
+  parseLockfile,
+  readProjectLockfile,
+  lockfileType,
+};
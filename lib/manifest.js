@@ -0,0 +1,190 @@
+const fs = require("fs").promises;
+const fsSync = require("fs");
+const path = require("path");
+
+const SEVERITY_ORDER = { critical: 4, high: 3, medium: 2, low: 1, info: 0 };
+
+// fields that change what `npm install` fetches or runs
+const INSTALL_FIELDS = [
+  "name",
+  "version",
+  "dependencies",
+  "optionalDependencies",
+  "peerDependencies",
+  "bundleDependencies",
+  "scripts",
+  "bin",
+  "gypfile",
+  "os",
+  "cpu",
+  "libc",
+  "engines",
+];
+// fields that change what require()/import loads once installed
+const ENTRY_FIELDS = [
+  "main",
+  "exports",
+  "module",
+  "browser",
+  "type",
+  "imports",
+];
+
+function isEmpty(v) {
+  if (v === undefined || v === null) return true;
+  if (Array.isArray(v)) return v.length === 0;
+  return typeof v === "object" && Object.keys(v).length === 0;
+}
+
+function stripDot(p) {
+  return String(p).replace(/^\.\//, "");
+}
+
+function canonical(v) {
+  if (Array.isArray(v)) return `[${v.map(canonical).join(",")}]`;
+  if (v && typeof v === "object") {
+    return `{${Object.keys(v)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${canonical(v[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(v);
+}
+
+// undo what `npm publish` does to a manifest on its way to the registry, so
+// only differences the publisher could have chosen remain
+function normalize(manifest, { hasBindingGyp = false } = {}) {
+  const m = { ...manifest };
+  if (typeof m.version === "string") m.version = m.version.replace(/^[v=]/, "");
+  // optional dependencies are listed under dependencies as well
+  m.dependencies = { ...m.dependencies, ...m.optionalDependencies };
+  const bundled =
+    m.bundleDependencies !== undefined
+      ? m.bundleDependencies
+      : m.bundledDependencies;
+  delete m.bundledDependencies;
+  m.bundleDependencies =
+    bundled === true
+      ? Object.keys(m.dependencies).sort()
+      : Array.isArray(bundled)
+      ? [...bundled].sort()
+      : undefined;
+  if (typeof m.bin === "string") {
+    m.bin = { [String(m.name || "").replace(/^@[^/]+\//, "")]: m.bin };
+  }
+  if (m.bin && typeof m.bin === "object") {
+    m.bin = Object.fromEntries(
+      Object.entries(m.bin).map(([k, v]) => [k, stripDot(v)])
+    );
+  }
+  if (typeof m.main === "string") m.main = stripDot(m.main);
+  // a binding.gyp gets an implicit node-gyp install script
+  if (hasBindingGyp && m.gypfile !== false) {
+    m.scripts = { ...m.scripts };
+    if (!m.scripts.install && !m.scripts.preinstall) {
+      m.scripts.install = "node-gyp rebuild";
+    }
+    m.gypfile = true;
+  }
+  for (const k of Object.keys(m)) if (isEmpty(m[k])) delete m[k];
+  return m;
+}
+
+// per-key differences for map-like fields (dependencies, scripts, bin)
+function diffObjects(registry = {}, tarball = {}) {
+  const onlyInRegistry = Object.keys(registry).filter((k) => !(k in tarball));
+  const onlyInTarball = Object.keys(tarball).filter((k) => !(k in registry));
+  const changed = Object.keys(registry)
+    .filter(
+      (k) => k in tarball && canonical(registry[k]) !== canonical(tarball[k])
+    )
+    .map((k) => ({ key: k, registry: registry[k], tarball: tarball[k] }));
+  return { onlyInRegistry, onlyInTarball, changed };
+}
+
+const isMap = (v) => v && typeof v === "object" && !Array.isArray(v);
+
+// registry version manifest (packument.versions[v]) vs the package.json
+// inside the tarball; every mismatch in an install field is high
+function compareManifests(registryMeta, tarballPkg, opts = {}) {
+  const registry = normalize(registryMeta || {}, opts);
+  const tarball = normalize(tarballPkg || {}, opts);
+  const findings = [];
+  for (const field of [...INSTALL_FIELDS, ...ENTRY_FIELDS]) {
+    const r = registry[field];
+    const t = tarball[field];
+    if (canonical(r) === canonical(t)) continue;
+    const finding = {
+      id: "manifest-mismatch",
+      field,
+      severity: INSTALL_FIELDS.includes(field) ? "high" : "medium",
+      registry: r === undefined ? null : r,
+      tarball: t === undefined ? null : t,
+    };
+    if (isMap(r) || isMap(t)) Object.assign(finding, diffObjects(r, t));
+    findings.push(finding);
+  }
+  findings.sort(
+    (a, b) => SEVERITY_ORDER[b.severity] - SEVERITY_ORDER[a.severity]
+  );
+  return {
+    name:
+      (tarballPkg && tarballPkg.name) || (registryMeta && registryMeta.name),
+    version:
+      (registryMeta && registryMeta.version) ||
+      (tarballPkg && tarballPkg.version),
+    consistent: findings.length === 0,
+    // install-time behaviour the packument doesn't show
+    hiddenFromRegistry: findings
+      .filter((f) => f.severity === "high")
+      .flatMap((f) =>
+        f.onlyInTarball
+          ? f.onlyInTarball.map((k) => `${f.field}.${k}`)
+          : f.registry === null
+          ? [f.field]
+          : []
+      ),
+    compared: [...INSTALL_FIELDS, ...ENTRY_FIELDS],
+    findings,
+  };
+}
+
+// extracted package dir (the one holding package.json) vs its registry entry.
+// A package.json that is missing (tarball root isn't package/) or doesn't
+// parse can't be compared; that is reported as a finding, not thrown
+async function checkManifest(registryMeta, realRoot) {
+  let tarballPkg;
+  try {
+    tarballPkg = JSON.parse(
+      await fs.readFile(path.join(realRoot, "package.json"), "utf8")
+    );
+  } catch (err) {
+    return {
+      name: registryMeta && registryMeta.name,
+      version: registryMeta && registryMeta.version,
+      consistent: false,
+      hiddenFromRegistry: [],
+      compared: [],
+      error: `tarball package.json unreadable: ${err.message}`,
+      findings: [
+        {
+          id: "manifest-unreadable",
+          field: null,
+          severity: "high",
+          detail: err.message,
+        },
+      ],
+    };
+  }
+  return compareManifests(registryMeta, tarballPkg, {
+    hasBindingGyp: fsSync.existsSync(path.join(realRoot, "binding.gyp")),
+  });
+}
+
+module.exports = {
+  INSTALL_FIELDS,
+  ENTRY_FIELDS,
+  normalize,
+  compareManifests,
+  checkManifest,
+};
@@ -0,0 +1,394 @@
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const fsSync = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  safeName,
+  fetchPackument,
+  versionTimeline,
+  versionMeta,
+  downloadTarball,
+  extractTarball,
+} = require("./registry");
+const { checkManifest } = require("./manifest");
+
+const DAY_MS = 24 * 3600 * 1000;
+// this many versions inside the window is a burst
+const BURST_WINDOW_MS = DAY_MS;
+const BURST_MIN_VERSIONS = 5;
+// a release after this long without one is a revival
+const QUIET_DAYS = 365;
+// a first-time publisher only stands out on a package this old
+const OLD_PACKAGE_DAYS = 365;
+const MAX_LISTED = 20;
+
+const SEVERITY_ORDER = { critical: 4, high: 3, medium: 2, low: 1, info: 0 };
+
+// the parts of a packument the analysis needs; full packuments of popular
+// packages run to megabytes
+function trimPackument(meta) {
+  const versions = {};
+  for (const [v, m] of Object.entries(meta.versions || {})) {
+    versions[v] = {
+      maintainers: m.maintainers,
+      _npmUser: m._npmUser,
+      deprecated: m.deprecated,
+      repository: m.repository,
+      gitHead: m.gitHead,
+      dist: m.dist && {
+        tarball: m.dist.tarball,
+        shasum: m.dist.shasum,
+        integrity: m.dist.integrity,
+        attestations: m.dist.attestations,
+      },
+    };
+  }
+  return {
+    name: meta.name,
+    "dist-tags": meta["dist-tags"],
+    maintainers: meta.maintainers,
+    repository: meta.repository,
+    time: meta.time,
+    versions,
+  };
+}
+
+async function tarballDigests(file) {
+  const buf = await fs.readFile(file);
+  const digest = (alg, enc) => crypto.createHash(alg).update(buf).digest(enc);
+  return {
+    sha1: digest("sha1", "hex"),
+    sha256: digest("sha256", "base64"),
+    sha384: digest("sha384", "base64"),
+    sha512: digest("sha512", "base64"),
+  };
+}
+
+// dist.integrity is an SRI string (possibly several hashes), dist.shasum a
+// hex sha1; every hash we can check must match
+function checkIntegrity(dist, digests) {
+  const checks = [];
+  for (const sri of String(dist.integrity || "").split(/\s+/)) {
+    const m = /^(sha1|sha256|sha384|sha512)-(.+)$/.exec(sri);
+    if (!m) continue;
+    const expected = m[2].replace(/\?.*$/, "");
+    const actual =
+      m[1] === "sha1"
+        ? Buffer.from(digests.sha1, "hex").toString("base64")
+        : digests[m[1]];
+    checks.push({ field: "integrity", algorithm: m[1], expected, actual });
+  }
+  if (dist.shasum) {
+    checks.push({
+      field: "shasum",
+      algorithm: "sha1",
+      expected: dist.shasum.toLowerCase(),
+      actual: digests.sha1,
+    });
+  }
+  return {
+    checked: checks.length,
+    mismatches: checks.filter((c) => c.expected !== c.actual),
+  };
+}
+
+function names(list) {
+  return (Array.isArray(list) ? list : [])
+    .map((m) => (typeof m === "string" ? m.replace(/\s*<.*$/, "") : m.name))
+    .filter(Boolean)
+    .sort();
+}
+
+function days(ms) {
+  return Math.round(ms / DAY_MS);
+}
+
+// maximal runs of >= BURST_MIN_VERSIONS releases inside one window
+function versionBursts(timeline) {
+  const bursts = [];
+  let start = 0;
+  for (let end = 0; end < timeline.length; end++) {
+    while (timeline[end].time - timeline[start].time > BURST_WINDOW_MS) start++;
+    if (end - start + 1 < BURST_MIN_VERSIONS) continue;
+    const last = bursts[bursts.length - 1];
+    if (last && last.from <= end && start <= last.to) {
+      last.to = end;
+      last.from = Math.min(last.from, start);
+    } else {
+      bursts.push({ from: start, to: end });
+    }
+  }
+  return bursts.map(({ from, to }) => ({
+    start: timeline[from].time.toISOString(),
+    end: timeline[to].time.toISOString(),
+    count: to - from + 1,
+    versions: timeline
+      .slice(from, to + 1)
+      .map((t) => t.ver)
+      .slice(0, MAX_LISTED),
+  }));
+}
+
+// packument (+ digests of the tarball we downloaded for `version`, and its
+// manifest comparison) -> { signals: [{ id, severity, ... }] } about how the
+// package is published
+function analyzePackument(
+  meta,
+  {
+    version = null,
+    digests = null,
+    manifest = null,
+    declaredVersion = null,
+  } = {}
+) {
+  const published = meta.versions || {};
+  const times = meta.time || {};
+  const latest = (meta["dist-tags"] || {}).latest || null;
+  const selected = version || latest;
+  const timeline = versionTimeline(meta).filter(({ ver }) => published[ver]);
+  const created = times.created ? new Date(times.created) : null;
+  // the version someone would install gets the higher severity
+  const focus = new Set([selected, latest].filter(Boolean));
+  const signals = [];
+  const add = (id, severity, detail) =>
+    signals.push({ id, severity, ...detail });
+
+  if (times.unpublished) {
+    add("package-unpublished", "high", {
+      at: times.unpublished.time || null,
+      versions: times.unpublished.versions || [],
+    });
+  }
+
+  let prev = null;
+  const publishers = new Set();
+  for (const { ver, time } of timeline) {
+    const m = published[ver];
+    const publisher = m._npmUser && m._npmUser.name;
+    const maintainers = names(m.maintainers);
+
+    if (prev && prev.maintainers.length && maintainers.length) {
+      const added = maintainers.filter((n) => !prev.maintainers.includes(n));
+      const removed = prev.maintainers.filter((n) => !maintainers.includes(n));
+      if (added.length || removed.length) {
+        add("maintainer-change", focus.has(ver) ? "high" : "medium", {
+          version: ver,
+          previous: prev.ver,
+          added,
+          removed,
+        });
+      }
+    }
+
+    if (publisher && publishers.size && !publishers.has(publisher)) {
+      const ageDays = created ? days(time - created) : null;
+      if (ageDays !== null && ageDays >= OLD_PACKAGE_DAYS) {
+        add("new-publisher", focus.has(ver) ? "high" : "medium", {
+          version: ver,
+          publisher,
+          previousPublishers: [...publishers].slice(0, MAX_LISTED),
+          packageAgeDays: ageDays,
+        });
+      }
+    }
+    if (publisher) publishers.add(publisher);
+
+    if (prev) {
+      const quietDays = days(time - prev.time);
+      if (quietDays >= QUIET_DAYS) {
+        add("dormant-revival", focus.has(ver) ? "high" : "medium", {
+          version: ver,
+          previous: prev.ver,
+          quietDays,
+        });
+      }
+    }
+    prev = { ver, time, maintainers };
+  }
+
+  for (const burst of versionBursts(timeline)) {
+    add(
+      "version-burst",
+      burst.count >= 2 * BURST_MIN_VERSIONS ? "medium" : "low",
+      burst
+    );
+  }
+
+  const deprecated = Object.keys(published).filter(
+    (v) => published[v].deprecated
+  );
+  if (deprecated.length) {
+    const own =
+      selected && published[selected] && published[selected].deprecated;
+    add("deprecated", own ? "medium" : "low", {
+      count: deprecated.length,
+      versions: deprecated.slice(-MAX_LISTED),
+      selected: own ? { version: selected, message: String(own) } : null,
+    });
+  }
+  // in `time` but gone from `versions`: unpublished after release
+  const yanked = Object.keys(times).filter(
+    (v) => !["created", "modified", "unpublished"].includes(v) && !published[v]
+  );
+  if (yanked.length) {
+    add("unpublished-versions", "low", {
+      count: yanked.length,
+      versions: yanked.slice(-MAX_LISTED),
+    });
+  }
+
+  const selectedMeta = (selected && published[selected]) || {};
+  if (!selectedMeta.repository && !meta.repository) {
+    add("no-repository", "low", { version: selected });
+  }
+
+  let integrity = null;
+  const dist = selectedMeta.dist || {};
+  if (!dist.integrity && !dist.shasum) {
+    add("no-integrity", "low", { version: selected });
+  } else if (digests) {
+    integrity = checkIntegrity(dist, digests);
+    if (integrity.mismatches.length) {
+      add("integrity-mismatch", "critical", {
+        version: selected,
+        mismatches: integrity.mismatches,
+      });
+    }
+  }
+
+  // the extracted package.json claims to be another version than the one
+  // that was downloaded
+  if (declaredVersion && selected && declaredVersion !== selected) {
+    add("declared-version-mismatch", "high", {
+      version: selected,
+      declared: declaredVersion,
+    });
+  }
+
+  // the tarball's package.json says something the registry doesn't, or
+  // couldn't be read at all
+  for (const f of manifest ? manifest.findings : []) {
+    if (f.id === "manifest-unreadable") {
+      add("manifest-unreadable", f.severity, {
+        version: selected,
+        detail: f.detail,
+      });
+      continue;
+    }
+    add("manifest-confusion", f.severity, {
+      version: selected,
+      field: f.field,
+      registry: f.registry,
+      tarball: f.tarball,
+    });
+  }
+
+  signals.sort(
+    (a, b) => SEVERITY_ORDER[b.severity] - SEVERITY_ORDER[a.severity]
+  );
+  const bySeverity = {};
+  for (const s of signals)
+    bySeverity[s.severity] = (bySeverity[s.severity] || 0) + 1;
+  return {
+    name: meta.name,
+    version: selected,
+    latest,
+    created: times.created || null,
+    modified: times.modified || null,
+    versionCount: timeline.length,
+    publisher: (selectedMeta._npmUser && selectedMeta._npmUser.name) || null,
+    maintainers: names(selectedMeta.maintainers || meta.maintainers),
+    integrity: integrity && {
+      checked: integrity.checked,
+      ok: integrity.mismatches.length === 0,
+    },
+    manifest: manifest && {
+      consistent: manifest.consistent,
+      hiddenFromRegistry: manifest.hiddenFromRegistry,
+      ...(manifest.error && { error: manifest.error }),
+    },
+    bySeverity,
+    signals,
+  };
+}
+
+// the version download.js fetched into base: what metadata.json recorded,
+// else the one <safe>-<version>.tgz there
+function downloadedVersion(base, name) {
+  try {
+    const { version } = JSON.parse(
+      fsSync.readFileSync(path.join(base, "metadata.json"), "utf8")
+    );
+    if (version) return version;
+  } catch (_) {}
+  const prefix = `${safeName(name)}-`;
+  const tgzs = fsSync
+    .readdirSync(base)
+    .filter((f) => f.startsWith(prefix) && f.endsWith(".tgz"));
+  return tgzs.length === 1 ? tgzs[0].slice(prefix.length, -4) : null;
+}
+
+// a download-packages.js dir (<out>/<safe>, or its package/ subdir):
+// packument.json + the tarball it fetched (+ manifest.json when present)
+async function analyzeDownloaded(dir) {
+  const base = fsSync.existsSync(path.join(dir, "packument.json"))
+    ? dir
+    : path.dirname(dir);
+  const packumentFile = path.join(base, "packument.json");
+  if (!fsSync.existsSync(packumentFile)) {
+    throw new Error(`packument.json not found in ${dir}`);
+  }
+  const meta = JSON.parse(await fs.readFile(packumentFile, "utf8"));
+  const pkgJson = path.join(base, "package", "package.json");
+  let declaredVersion = null;
+  try {
+    declaredVersion = JSON.parse(await fs.readFile(pkgJson, "utf8")).version;
+  } catch (_) {}
+  // the extracted package.json can claim any version; trust what was fetched
+  const version = downloadedVersion(base, meta.name) || declaredVersion;
+  const tgz =
+    version && path.join(base, `${safeName(meta.name)}-${version}.tgz`);
+  const digests =
+    tgz && fsSync.existsSync(tgz) ? await tarballDigests(tgz) : null;
+  const manifestFile = path.join(base, "manifest.json");
+  const manifest = fsSync.existsSync(manifestFile)
+    ? JSON.parse(await fs.readFile(manifestFile, "utf8"))
+    : null;
+  return {
+    dir: base,
+    ...analyzePackument(meta, { version, digests, manifest, declaredVersion }),
+  };
+}
+
+// straight from the registry; the tarball is fetched only to hash it and
+// read its package.json
+async function analyzeFromRegistry(pkgName, version) {
+  const meta = await fetchPackument(pkgName);
+  if (meta.error) throw new Error(`${pkgName}: ${meta.error}`);
+  const selected = version || (meta["dist-tags"] || {}).latest;
+  const selectedMeta = versionMeta(meta, selected);
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), "npm-meta-"));
+  try {
+    const tgz = path.join(tmp, "package.tgz");
+    await downloadTarball(selectedMeta.dist.tarball, tgz);
+    await extractTarball(tgz, tmp);
+    return analyzePackument(meta, {
+      version: selected,
+      digests: await tarballDigests(tgz),
+      manifest: await checkManifest(selectedMeta, path.join(tmp, "package")),
+    });
+  } finally {
+    await fs.rm(tmp, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  analyzeDownloaded,
+  analyzeFromRegistry,
+  trimPackument,
+  tarballDigests,
+  checkIntegrity,
+  analyzePackument,
+  versionBursts,
+};
@@ -0,0 +1,293 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+
+// fetch_npm_registry_multi.js output, most depended-upon first
+const POPULAR_FILE =
+  process.env.POPULAR_PACKAGES ||
+  path.join(__dirname, "..", "all_top10000.txt");
+const INTERNAL_FILE =
+  process.env.INTERNAL_SCOPES ||
+  path.join(__dirname, "..", "config", "internal_scopes.yaml");
+
+// score a finding contributes; the name's score is its strongest finding
+const TECHNIQUE_WEIGHTS = {
+  "internal-scope": 95,
+  "internal-name": 95,
+  homoglyph: 90,
+  "edit-distance": 80,
+  "scope-swap": 80,
+  separator: 75,
+  affix: 55,
+};
+const TECHNIQUES = Object.keys(TECHNIQUE_WEIGHTS);
+// targets outside the top 1000 are less attractive to squat
+const TOP_RANK = 1000;
+const AFFIX_SUFFIXES = [
+  "-js",
+  ".js",
+  "js",
+  "-node",
+  "-dev",
+  "-cli",
+  "-lib",
+  "-pkg",
+  "-package",
+  "-util",
+  "-utils",
+  "-tools",
+  "-core",
+  "-official",
+  "-latest",
+  "-next",
+  "-new",
+  "-plus",
+  "-pro",
+  "-fix",
+  "-v2",
+  "2",
+];
+const AFFIX_PREFIXES = ["node-", "js-", "npm-", "get-", "the-"];
+// multi-character lookalikes first so "rn" becomes "m" before "r" is seen
+const HOMOGLYPHS = [
+  [/rn/g, "m"],
+  [/vv/g, "w"],
+  [/cl/g, "d"],
+  [/0/g, "o"],
+  [/[1i]/g, "l"],
+  [/3/g, "e"],
+  [/5/g, "s"],
+  [/7/g, "t"],
+];
+
+function readList(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs
+    .readFileSync(file, "utf8")
+    .split(/\r?\n/)
+    .map((l) => l.trim())
+    .filter((l) => l && !l.startsWith("#"));
+}
+
+function loadInternalConfig(file = INTERNAL_FILE) {
+  if (!fs.existsSync(file)) return { scopes: [], packages: [] };
+  const doc = yaml.load(fs.readFileSync(file, "utf8")) || {};
+  for (const key of ["scopes", "packages"]) {
+    if (doc[key] !== undefined && !Array.isArray(doc[key])) {
+      throw new Error(`${file}: "${key}" must be a list`);
+    }
+  }
+  return {
+    scopes: (doc.scopes || []).map((s) =>
+      String(s).toLowerCase().replace(/^@?/, "@")
+    ),
+    packages: (doc.packages || []).map((p) => String(p).toLowerCase()),
+  };
+}
+
+// "@scope/name" -> { scope: "scope", bare: "name" }
+function splitName(name) {
+  const m = /^@([^/]+)\/(.+)$/.exec(name);
+  return m ? { scope: m[1], bare: m[2] } : { scope: null, bare: name };
+}
+
+function stripSeparators(s) {
+  return s.replace(/[-_.]/g, "");
+}
+
+function skeleton(s) {
+  let out = s.normalize("NFKD").replace(/[\u0300-\u036f]/g, "");
+  for (const [re, to] of HOMOGLYPHS) out = out.replace(re, to);
+  return out;
+}
+
+// optimal string alignment distance (adjacent swaps cost 1); gives up
+// with max + 1 once every cell of a row is past max
+function editDistance(a, b, max = 2) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let v = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (
+        prev2 &&
+        i > 1 &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      ) {
+        v = Math.min(v, prev2[j - 2] + 1);
+      }
+      cur.push(v);
+      if (v < rowMin) rowMin = v;
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// short names are one edit away from too many others to mean anything
+function maxEdits(name) {
+  if (name.length < 5) return 0;
+  return name.length < 9 ? 1 : 2;
+}
+
+function addToIndex(index, key, value) {
+  if (!index.has(key)) index.set(key, []);
+  index.get(key).push(value);
+}
+
+// reference indexes are built once; analyze() is then cheap per name
+function createNameAnalyzer({
+  popular = readList(POPULAR_FILE),
+  internal = loadInternalConfig(),
+  source = POPULAR_FILE,
+} = {}) {
+  const rank = new Map();
+  for (const name of popular) {
+    const n = name.toLowerCase();
+    if (!rank.has(n)) rank.set(n, rank.size);
+  }
+  const names = [...rank.keys()];
+  const bySkeleton = new Map();
+  const bySeparatorless = new Map();
+  const byFlattened = new Map();
+  const byBare = new Map();
+  for (const n of names) {
+    const { scope, bare } = splitName(n);
+    addToIndex(bySkeleton, skeleton(n), n);
+    addToIndex(bySeparatorless, stripSeparators(n), n);
+    // @types/node and types-node / typesnode flatten the same
+    addToIndex(byFlattened, stripSeparators(`${scope || ""}${bare}`), n);
+    if (scope) addToIndex(byBare, bare, n);
+  }
+  const internalScopes = new Set(internal.scopes);
+  const internalNames = new Set(internal.packages);
+
+  function analyze(input) {
+    const name = String(input).trim();
+    const lower = name.toLowerCase();
+    const { scope, bare } = splitName(lower);
+    const findings = [];
+    const add = (technique, target, detail, penalty = 0) => {
+      if (
+        findings.some((f) => f.technique === technique && f.target === target)
+      ) {
+        return;
+      }
+      const targetRank = target && rank.has(target) ? rank.get(target) : null;
+      const weight = Math.round(
+        (TECHNIQUE_WEIGHTS[technique] - penalty) *
+          (targetRank === null || targetRank < TOP_RANK ? 1 : 0.9)
+      );
+      findings.push({ technique, target, targetRank, weight, detail });
+    };
+
+    // dependency confusion: the public name shadows one of ours
+    if (scope && internalScopes.has(`@${scope}`)) {
+      add("internal-scope", null, `uses internal scope @${scope}`);
+    }
+    if (internalNames.has(lower)) {
+      add("internal-name", null, "same name as an internal package");
+    }
+
+    const isPopular = rank.has(lower);
+    if (!isPopular) {
+      for (const t of bySkeleton.get(skeleton(lower)) || []) {
+        if (t !== lower) add("homoglyph", t, "look-alike characters");
+      }
+      for (const t of bySeparatorless.get(stripSeparators(lower)) || []) {
+        if (t !== lower) add("separator", t, "same name with other separators");
+      }
+      for (const t of byFlattened.get(
+        stripSeparators(`${scope || ""}${bare}`)
+      ) || []) {
+        if (t !== lower && Boolean(splitName(t).scope) !== Boolean(scope)) {
+          add("scope-swap", t, "scope moved into or out of the name");
+        }
+      }
+      if (scope) {
+        for (const t of byBare.get(bare) || []) {
+          const other = splitName(t).scope;
+          if (other !== scope && editDistance(other, scope, 2) <= 2) {
+            add("scope-swap", t, `scope @${scope} imitates @${other}`);
+          }
+        }
+      }
+      const limit = maxEdits(lower);
+      if (limit > 0) {
+        for (const t of names) {
+          if (Math.abs(t.length - lower.length) > limit) continue;
+          const d = editDistance(lower, t, limit);
+          if (d === 0 || d > limit) continue;
+          // two edits are weaker evidence than one
+          if (d === 1) add("edit-distance", t, "1 edit away");
+          else add("edit-distance", t, "2 edits away", 15);
+        }
+      }
+      for (const suffix of AFFIX_SUFFIXES) {
+        const base = bare.endsWith(suffix) ? bare.slice(0, -suffix.length) : "";
+        const target = scope ? `@${scope}/${base}` : base;
+        if (base && rank.has(target)) add("affix", target, `adds "${suffix}"`);
+      }
+      for (const prefix of AFFIX_PREFIXES) {
+        const base = bare.startsWith(prefix) ? bare.slice(prefix.length) : "";
+        const target = scope ? `@${scope}/${base}` : base;
+        if (base && rank.has(target)) add("affix", target, `adds "${prefix}"`);
+      }
+    }
+
+    findings.sort((a, b) => b.weight - a.weight);
+    const score = findings.length ? findings[0].weight : 0;
+    return {
+      name,
+      popular: isPopular,
+      rank: isPopular ? rank.get(lower) : null,
+      score,
+      severity:
+        score >= 80
+          ? "high"
+          : score >= 60
+          ? "medium"
+          : score > 0
+          ? "low"
+          : "none",
+      findings: findings.slice(0, 10),
+    };
+  }
+
+  return {
+    reference: { source, count: names.length },
+    internal: { scopes: [...internalScopes], packages: [...internalNames] },
+    analyze,
+    analyzeMany: (list) => list.map(analyze),
+  };
+}
+
+let shared = null;
+
+function getNameAnalyzer() {
+  if (!shared) shared = createNameAnalyzer();
+  return shared;
+}
+
+function reloadNameAnalyzer() {
+  shared = createNameAnalyzer();
+  return shared;
+}
+
+module.exports = {
+  TECHNIQUES,
+  createNameAnalyzer,
+  getNameAnalyzer,
+  reloadNameAnalyzer,
+  loadInternalConfig,
+  editDistance,
+  skeleton,
+};
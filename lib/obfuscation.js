@@ -0,0 +1,347 @@
+const walk = require("acorn-walk");
+const { parseSource, makeLocator, locOf } = require("./ast");
+
+// how much each signal contributes to the 0-100 score
+const SIGNAL_WEIGHTS = {
+  hexIdentifiers: 25,
+  stringArray: 15,
+  stringArrayRotation: 15,
+  stringArrayDecoder: 15,
+  escapedStrings: 10,
+  controlFlowFlattening: 20,
+  highEntropyStrings: 10,
+};
+const OBFUSCATED_THRESHOLD = 40;
+const MAX_LOCATIONS = 20;
+
+const HEX_IDENT_RE = /^_0x[0-9a-f]{3,}$/i;
+const ESCAPE_RE = /\\x[0-9a-fA-F]{2}|\\u\{?[0-9a-fA-F]{4,6}\}?/g;
+const MIN_STRING_ARRAY = 10;
+const MIN_ENTROPY_LENGTH = 20;
+const HIGH_ENTROPY = 4.5;
+
+// the old line-length heuristic; kept as a separate "minified" flag
+function isMinified(code) {
+  const lines = code.split("\n");
+  if (lines.length === 1 && code.length > 1000) return true;
+  const avg = code.length / lines.length;
+  if (avg > 200) return true;
+  return false;
+}
+
+function shannonEntropy(str) {
+  if (!str) return 0;
+  const freq = new Map();
+  for (const ch of str) freq.set(ch, (freq.get(ch) || 0) + 1);
+  let h = 0;
+  const len = [...str].length;
+  for (const n of freq.values()) {
+    const p = n / len;
+    h -= p * Math.log2(p);
+  }
+  return h;
+}
+
+function isInfiniteTest(test) {
+  if (!test) return true; // for(;;)
+  if (test.type === "Literal") return !!test.value;
+  // !![] / !0
+  if (test.type === "UnaryExpression" && test.operator === "!") {
+    const arg = test.argument;
+    if (arg.type === "Literal") return !arg.value;
+    if (arg.type === "UnaryExpression" && arg.operator === "!") {
+      return arg.argument.type === "ArrayExpression";
+    }
+  }
+  return false;
+}
+
+function isStringArrayLiteral(node) {
+  return (
+    node &&
+    node.type === "ArrayExpression" &&
+    node.elements.length >= MIN_STRING_ARRAY &&
+    node.elements.every(
+      (el) => el && el.type === "Literal" && typeof el.value === "string"
+    )
+  );
+}
+
+// obj.name or obj["name"]
+function propName(member) {
+  if (!member || member.type !== "MemberExpression") return null;
+  if (!member.computed) return member.property.name;
+  const p = member.property;
+  return p.type === "Literal" && typeof p.value === "string" ? p.value : null;
+}
+
+function functionName(node, ancestors) {
+  if (node.id) return node.id.name;
+  const parent = ancestors[ancestors.length - 2];
+  if (
+    parent &&
+    parent.type === "VariableDeclarator" &&
+    parent.id.type === "Identifier"
+  ) {
+    return parent.id.name;
+  }
+  return null;
+}
+
+function createSignals() {
+  const signals = {};
+  for (const id of Object.keys(SIGNAL_WEIGHTS)) {
+    signals[id] = { id, count: 0, locations: [] };
+  }
+  return signals;
+}
+
+function hit(signal, loc, extra) {
+  signal.count++;
+  if (loc && signal.locations.length < MAX_LOCATIONS) {
+    signal.locations.push(extra ? { ...loc, ...extra } : loc);
+  }
+}
+
+function analyzeAst(ast, signals) {
+  const hexNames = new Set();
+  const identNames = new Set();
+  // names bound to big all-string arrays, or functions returning one
+  const arrayNames = new Set();
+  const arrays = [];
+  const functions = [];
+  const strings = { long: 0 };
+
+  walk.fullAncestor(ast, (node, _state, ancestors) => {
+    switch (node.type) {
+      case "Identifier":
+        identNames.add(node.name);
+        if (HEX_IDENT_RE.test(node.name) && !hexNames.has(node.name)) {
+          hexNames.add(node.name);
+          hit(signals.hexIdentifiers, locOf(node), { name: node.name });
+        }
+        break;
+      case "ArrayExpression":
+        if (isStringArrayLiteral(node)) {
+          const names = [];
+          for (let i = ancestors.length - 2; i >= 0; i--) {
+            const a = ancestors[i];
+            if (
+              a.type === "VariableDeclarator" &&
+              a.id.type === "Identifier" &&
+              names.length === 0
+            ) {
+              names.push(a.id.name);
+            }
+            if (a.type.includes("Function")) {
+              const name = functionName(a, ancestors.slice(0, i + 1));
+              if (name) names.push(name);
+              break;
+            }
+          }
+          names.forEach((n) => arrayNames.add(n));
+          arrays.push({ node, names });
+        }
+        break;
+      case "CallExpression":
+        // arr.push(arr.shift()) inside the rotation IIFE
+        if (
+          propName(node.callee) === "push" &&
+          node.arguments.length === 1 &&
+          node.arguments[0].type === "CallExpression" &&
+          propName(node.arguments[0].callee) === "shift"
+        ) {
+          hit(signals.stringArrayRotation, locOf(node));
+        }
+        break;
+      case "FunctionDeclaration":
+      case "FunctionExpression":
+      case "ArrowFunctionExpression":
+        functions.push({ node, name: functionName(node, ancestors) });
+        break;
+      case "WhileStatement":
+      case "ForStatement":
+      case "DoWhileStatement": {
+        if (!isInfiniteTest(node.test)) break;
+        const body = node.body.type === "BlockStatement" ? node.body.body : [];
+        // switch (order[i++]) { case "0": ... }
+        const sw = body.find(
+          (s) =>
+            s.type === "SwitchStatement" &&
+            s.discriminant.type === "MemberExpression" &&
+            s.discriminant.computed &&
+            s.discriminant.property.type === "UpdateExpression"
+        );
+        if (sw && sw.cases.length >= 3) {
+          hit(signals.controlFlowFlattening, locOf(node), {
+            cases: sw.cases.length,
+          });
+        }
+        break;
+      }
+      case "Literal":
+        if (typeof node.value === "string") {
+          checkStringLiteral(
+            node.raw,
+            node.value,
+            locOf(node),
+            signals,
+            strings
+          );
+        }
+        break;
+      case "TemplateElement":
+        checkStringLiteral(
+          node.value.raw,
+          node.value.cooked || "",
+          locOf(node),
+          signals,
+          strings
+        );
+        break;
+      default:
+        break;
+    }
+  });
+
+  // decoder: a function that reads the string array with an offset index,
+  // e.g. function _0xabc(i){ i = i - 0x1a; return _0xarr()[i]; }. Newer
+  // obfuscator.io output reassigns the decoder to an inner function that
+  // applies the offset to its own params, so those count too
+  const decoded = new Set();
+  if (arrayNames.size > 0) {
+    for (const { node, name } of functions) {
+      if (arrayNames.has(name)) continue;
+      const params = new Set();
+      walk.full(node, (n) => {
+        if (/Function/.test(n.type)) {
+          n.params.forEach(
+            (p) => p.type === "Identifier" && params.add(p.name)
+          );
+        }
+      });
+      const refs = new Set();
+      let offsetIndex = false;
+      walk.full(node.body, (n) => {
+        if (n.type === "Identifier" && arrayNames.has(n.name)) refs.add(n.name);
+        if (
+          n.type === "BinaryExpression" &&
+          n.operator === "-" &&
+          n.left.type === "Identifier" &&
+          params.has(n.left.name) &&
+          n.right.type === "Literal" &&
+          typeof n.right.value === "number"
+        ) {
+          offsetIndex = true;
+        }
+      });
+      if (refs.size > 0 && offsetIndex) {
+        refs.forEach((r) => decoded.add(r));
+        hit(signals.stringArrayDecoder, locOf(node), name ? { name } : null);
+      }
+    }
+  }
+
+  // plain lists of strings are everywhere (keywords, mime types...); only
+  // count arrays that something decodes, rotates or that carry _0x names
+  const rotated = signals.stringArrayRotation.count > 0;
+  for (const { node, names } of arrays) {
+    if (rotated || names.some((n) => decoded.has(n) || HEX_IDENT_RE.test(n))) {
+      hit(signals.stringArray, locOf(node), { length: node.elements.length });
+    }
+  }
+
+  return { identifierCount: identNames.size, longStrings: strings.long };
+}
+
+function checkStringLiteral(raw, value, loc, signals, strings) {
+  const escapes = (raw || "").match(ESCAPE_RE);
+  if (escapes && escapes.length >= 4) {
+    hit(signals.escapedStrings, loc, { escapes: escapes.length });
+  }
+  if (value.length >= MIN_ENTROPY_LENGTH) {
+    strings.long++;
+    const entropy = shannonEntropy(value);
+    if (entropy >= HIGH_ENTROPY) {
+      hit(signals.highEntropyStrings, loc, {
+        entropy: Math.round(entropy * 100) / 100,
+        length: value.length,
+      });
+    }
+  }
+}
+
+// used when the file doesn't parse: only the lexical signals are available
+function analyzeLexically(code, signals) {
+  const locate = makeLocator(code);
+  const seen = new Set();
+  for (const m of code.matchAll(/\b_0x[0-9a-f]{3,}\b/gi)) {
+    if (seen.has(m[0])) continue;
+    seen.add(m[0]);
+    hit(signals.hexIdentifiers, locate(m.index), { name: m[0] });
+  }
+  for (const m of code.matchAll(/(["'`])((?:\\.|(?!\1)[^\\\n])*)\1/g)) {
+    const escapes = m[2].match(ESCAPE_RE);
+    if (escapes && escapes.length >= 4) {
+      hit(signals.escapedStrings, locate(m.index), {
+        escapes: escapes.length,
+      });
+    }
+  }
+}
+
+function signalFires(id, signal, stats) {
+  switch (id) {
+    case "hexIdentifiers":
+      // a couple of _0x names can be coincidence; obfuscator.io renames all
+      return (
+        signal.count >= 5 ||
+        (stats.identifierCount > 0 &&
+          signal.count >= 2 &&
+          signal.count / stats.identifierCount >= 0.1)
+      );
+    case "escapedStrings":
+      return signal.count >= 3;
+    case "highEntropyStrings":
+      // bundles carry a few alphabets / tables; packed payloads are mostly noise
+      return (
+        signal.count >= 5 && signal.count / (stats.longStrings || 1) >= 0.3
+      );
+    default:
+      return signal.count > 0;
+  }
+}
+
+// parsed: result of parseSource(code), when the caller already has it
+function analyzeObfuscation(code, parsed = parseSource(code)) {
+  const signals = createSignals();
+  const { ast, error } = parsed;
+  let stats = { identifierCount: 0, longStrings: 0 };
+  if (ast) stats = analyzeAst(ast, signals);
+  else analyzeLexically(code, signals);
+
+  const fired = [];
+  let score = 0;
+  for (const [id, signal] of Object.entries(signals)) {
+    if (!signalFires(id, signal, stats)) continue;
+    score += SIGNAL_WEIGHTS[id];
+    fired.push({ ...signal, weight: SIGNAL_WEIGHTS[id] });
+  }
+  score = Math.min(100, score);
+
+  return {
+    obfuscated: score >= OBFUSCATED_THRESHOLD,
+    minified: isMinified(code),
+    score,
+    signals: fired,
+    parseError: error,
+  };
+}
+
+module.exports = {
+  analyzeObfuscation,
+  shannonEntropy,
+  isMinified,
+  SIGNAL_WEIGHTS,
+  OBFUSCATED_THRESHOLD,
+};
@@ -0,0 +1,304 @@
+const fs = require("fs").promises;
+const fsSync = require("fs");
+const path = require("path");
+const {
+  REGISTRY_URL,
+  fetchPackument,
+  versionMeta,
+  downloadTarball,
+  extractTarball,
+} = require("./registry");
+const {
+  trimPackument,
+  tarballDigests,
+  checkIntegrity,
+  analyzePackument,
+} = require("./metadata");
+const { parseSpec } = require("./download");
+const { scanSources, scanLifecycleWithRules } = require("./static_scan");
+const { findAdvisories } = require("./advisories");
+const { scanSecrets } = require("./secrets");
+const { analyzeArtifacts } = require("./artifacts");
+const { checkManifest } = require("./manifest");
+const { getNameAnalyzer } = require("./name_analysis");
+const { scoreInputs } = require("./risk_score");
+const rules = require("./rules");
+
+const CACHE_DIR =
+  process.env.PACKAGE_CACHE || path.join(__dirname, "..", "package_cache");
+
+// thrown for bad requests / tampered tarballs; the route uses .status
+function scanError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+function sriToHex(integrity, algorithm = "sha512") {
+  const m = new RegExp(`(?:^|\\s)${algorithm}-([A-Za-z0-9+/=]+)`).exec(
+    integrity || ""
+  );
+  return m ? Buffer.from(m[1], "base64").toString("hex") : null;
+}
+
+// tarballs are stored by the sha512 of their bytes:
+// <cache>/<aa>/<sha512 hex>/{package.tgz, package/, packument.json,
+// extraction.json, report.json}
+function entryDir(cacheDir, sha512hex) {
+  return path.join(cacheDir, sha512hex.slice(0, 2), sha512hex);
+}
+
+function cached(cacheDir, sha512hex) {
+  const dir = sha512hex && entryDir(cacheDir, sha512hex);
+  return dir && fsSync.existsSync(path.join(dir, "package.tgz")) ? dir : null;
+}
+
+// move a verified tarball into the cache (tmp name + rename, so a
+// half-written entry is never picked up)
+async function store(cacheDir, tgz, digests) {
+  const hex = Buffer.from(digests.sha512, "base64").toString("hex");
+  const dir = entryDir(cacheDir, hex);
+  await fs.mkdir(dir, { recursive: true });
+  const tmp = path.join(dir, `package.tgz.${process.pid}.tmp`);
+  await fs.copyFile(tgz, tmp);
+  await fs.rename(tmp, path.join(dir, "package.tgz"));
+  return dir;
+}
+
+function verify(dist, digests) {
+  const result = checkIntegrity(dist, digests);
+  if (result.mismatches.length) {
+    const m = result.mismatches[0];
+    throw scanError(
+      422,
+      `integrity mismatch (${m.field} ${m.algorithm}): expected ${m.expected}, got ${m.actual}`
+    );
+  }
+  return { checked: result.checked, ok: result.checked > 0 };
+}
+
+async function withTmp(cacheDir, fn) {
+  await fs.mkdir(cacheDir, { recursive: true });
+  const tmp = await fs.mkdtemp(path.join(cacheDir, ".download-"));
+  try {
+    return await fn(path.join(tmp, "package.tgz"));
+  } finally {
+    await fs.rm(tmp, { recursive: true, force: true });
+  }
+}
+
+// { spec } | { tarball } | { url } (+ registry, integrity) -> cache entry
+async function fetchToCache(request, cacheDir) {
+  const registry = (request.registry || REGISTRY_URL).replace(/\/+$/, "");
+
+  if (request.spec) {
+    const { name, version: wanted } = parseSpec(request.spec);
+    const meta = await fetchPackument(name, registry);
+    if (meta.error) throw scanError(404, `${name}: ${meta.error}`);
+    const version = wanted || (meta["dist-tags"] || {}).latest;
+    if (!meta.versions || !meta.versions[version]) {
+      throw scanError(404, `${name}@${version} not found in ${registry}`);
+    }
+    const dist = versionMeta(meta, version).dist;
+    const source = { kind: "registry", registry, spec: `${name}@${version}` };
+    // the registry tells us the hash up front, so a hit skips the download
+    const hit = cached(cacheDir, sriToHex(dist.integrity));
+    if (hit && !request.refresh) {
+      const digests = await tarballDigests(path.join(hit, "package.tgz"));
+      return {
+        dir: hit,
+        hit: true,
+        source,
+        meta,
+        name,
+        version,
+        digests,
+        integrity: verify(dist, digests),
+      };
+    }
+    return withTmp(cacheDir, async (tgz) => {
+      await downloadTarball(dist.tarball, tgz);
+      const digests = await tarballDigests(tgz);
+      const integrity = verify(dist, digests);
+      const dir = await store(cacheDir, tgz, digests);
+      return {
+        dir,
+        hit: false,
+        source,
+        meta,
+        name,
+        version,
+        digests,
+        integrity,
+      };
+    });
+  }
+
+  const expected = request.integrity ? { integrity: request.integrity } : {};
+  if (request.tarball) {
+    const file = path.resolve(request.tarball);
+    if (!fsSync.existsSync(file)) {
+      throw scanError(400, `tarball not found: ${file}`);
+    }
+    const digests = await tarballDigests(file);
+    const integrity = request.integrity ? verify(expected, digests) : null;
+    const hex = Buffer.from(digests.sha512, "base64").toString("hex");
+    const hit = !request.refresh && cached(cacheDir, hex);
+    return {
+      dir: hit || (await store(cacheDir, file, digests)),
+      hit: Boolean(hit),
+      source: { kind: "file", file },
+      digests,
+      integrity,
+    };
+  }
+
+  if (request.url) {
+    if (!/^https?:\/\//.test(request.url)) {
+      throw scanError(400, "url must be http(s)");
+    }
+    const hit = cached(cacheDir, sriToHex(request.integrity));
+    if (hit && !request.refresh) {
+      const digests = await tarballDigests(path.join(hit, "package.tgz"));
+      return {
+        dir: hit,
+        hit: true,
+        source: { kind: "url", url: request.url },
+        digests,
+        integrity: verify(expected, digests),
+      };
+    }
+    return withTmp(cacheDir, async (tgz) => {
+      await downloadTarball(request.url, tgz);
+      const digests = await tarballDigests(tgz);
+      const integrity = request.integrity ? verify(expected, digests) : null;
+      const dir = await store(cacheDir, tgz, digests);
+      return {
+        dir,
+        hit: false,
+        source: { kind: "url", url: request.url },
+        digests,
+        integrity,
+      };
+    });
+  }
+
+  throw scanError(400, "one of spec, tarball or url is required");
+}
+
+async function ensureExtracted(dir) {
+  const root = path.join(dir, "package");
+  const reportFile = path.join(dir, "extraction.json");
+  if (
+    fsSync.existsSync(path.join(root, "package.json")) &&
+    fsSync.existsSync(reportFile)
+  ) {
+    return { root, extraction: JSON.parse(await fs.readFile(reportFile)) };
+  }
+  const tmp = await fs.mkdtemp(path.join(dir, ".extract-"));
+  let extraction;
+  try {
+    extraction = await extractTarball(path.join(dir, "package.tgz"), tmp);
+    // npm tarballs hold one top-level dir, usually package/
+    const entries = await fs.readdir(tmp, { withFileTypes: true });
+    const top = entries.length === 1 && entries[0].isDirectory();
+    const from = top ? path.join(tmp, entries[0].name) : tmp;
+    if (!fsSync.existsSync(path.join(from, "package.json"))) {
+      throw scanError(422, "tarball has no package.json");
+    }
+    await fs.rm(root, { recursive: true, force: true });
+    await fs.rename(from, root);
+  } finally {
+    await fs.rm(tmp, { recursive: true, force: true });
+  }
+  await fs.writeFile(reportFile, JSON.stringify(extraction, null, 2), "utf8");
+  return { root, extraction };
+}
+
+// fetch (or reuse), verify, extract and run every static analyzer; the
+// combined report is kept next to the tarball and reused until `rescan`
+async function scanPackage(request, { db = null, cacheDir = CACHE_DIR } = {}) {
+  const entry = await fetchToCache(request, cacheDir);
+  const reportFile = path.join(entry.dir, "report.json");
+  if (entry.hit && !request.rescan && fsSync.existsSync(reportFile)) {
+    const report = JSON.parse(await fs.readFile(reportFile, "utf8"));
+    return {
+      ...report,
+      source: entry.source,
+      integrity: { ...report.integrity, verified: entry.integrity },
+      cache: { ...report.cache, hit: true },
+    };
+  }
+
+  const { root, extraction } = await ensureExtracted(entry.dir);
+  if (entry.meta) {
+    await fs.writeFile(
+      path.join(entry.dir, "packument.json"),
+      JSON.stringify(trimPackument(entry.meta)),
+      "utf8"
+    );
+  }
+  const ruleSet = rules.getRuleSet();
+  const sources = await scanSources(root, ruleSet);
+  const lifecycle = await scanLifecycleWithRules(root, ruleSet);
+  // a spec names what was asked for and verified against the registry; the
+  // tarball's package.json only says what it claims to be
+  const declared = { name: sources.name, version: sources.version };
+  const name = entry.name || declared.name;
+  const version = entry.version || declared.version;
+  const registryMeta =
+    entry.meta && entry.meta.versions && entry.meta.versions[entry.version];
+  const manifest = registryMeta
+    ? await checkManifest(registryMeta, root)
+    : null;
+  const metadata = entry.meta
+    ? analyzePackument(entry.meta, {
+        version: entry.version,
+        digests: entry.digests,
+        manifest,
+      })
+    : null;
+  const artifacts = await analyzeArtifacts(root);
+  const nameAnalysis = getNameAnalyzer().analyze(name);
+  const advisories = db ? await findAdvisories(db, name, version) : null;
+
+  const report = {
+    name,
+    version,
+    declared,
+    source: entry.source,
+    integrity: {
+      sha512: entry.digests.sha512,
+      sha1: entry.digests.sha1,
+      verified: entry.integrity,
+    },
+    cache: {
+      dir: entry.dir,
+      key: Buffer.from(entry.digests.sha512, "base64").toString("hex"),
+      hit: entry.hit,
+    },
+    score: scoreInputs({
+      advisories,
+      sources,
+      lifecycle,
+      c2: null,
+      metadata,
+      name: nameAnalysis,
+      provenance: null,
+      extraction,
+      artifacts,
+    }),
+    obfuscation: sources,
+    lifecycle,
+    metadata,
+    manifest,
+    extraction,
+    secrets: await scanSecrets(root),
+    artifacts,
+    nameAnalysis,
+    advisories,
+    scannedAt: new Date().toISOString(),
+  };
+  await fs.writeFile(reportFile, JSON.stringify(report, null, 2), "utf8");
+  return report;
+}
+
+module.exports = { CACHE_DIR, scanPackage, fetchToCache, sriToHex };
@@ -0,0 +1,297 @@
+// minimal pcap / pcapng reader + IPv4/IPv6/TCP/UDP decoder; enough to pull
+// application payloads out of the captures dynamic_c2_scan_docker.js writes
+
+const LINKTYPE = {
+  NULL: 0,
+  ETHERNET: 1,
+  RAW: 101,
+  LINUX_SLL: 113,
+  IPV4: 228,
+  IPV6: 229,
+  LINUX_SLL2: 276,
+};
+const PCAPNG_SHB = 0x0a0d0d0a;
+const PCAPNG_BYTE_ORDER = 0x1a2b3c4d;
+
+function reader(buf, little) {
+  return {
+    u16: (o) => (little ? buf.readUInt16LE(o) : buf.readUInt16BE(o)),
+    u32: (o) => (little ? buf.readUInt32LE(o) : buf.readUInt32BE(o)),
+  };
+}
+
+function* classicPackets(buf) {
+  const magic = buf.readUInt32LE(0);
+  const little = magic === 0xa1b2c3d4 || magic === 0xa1b23c4d;
+  const { u32 } = reader(buf, little);
+  const nano = u32(0) === 0xa1b23c4d;
+  const linkType = u32(20) & 0xffff;
+  let off = 24;
+  while (off + 16 <= buf.length) {
+    const sec = u32(off);
+    const frac = u32(off + 4);
+    const capLen = u32(off + 8);
+    const start = off + 16;
+    if (start + capLen > buf.length) break;
+    yield {
+      ts: sec * 1000 + (nano ? frac / 1e6 : frac / 1e3),
+      linkType,
+      data: buf.subarray(start, start + capLen),
+    };
+    off = start + capLen;
+  }
+}
+
+// if_tsresol: high bit clear -> 10^-n seconds, set -> 2^-n
+function tsUnitsPerSecond(optionValue) {
+  if (optionValue === undefined) return 1e6;
+  return optionValue & 0x80
+    ? Math.pow(2, optionValue & 0x7f)
+    : Math.pow(10, optionValue);
+}
+
+function idbTsResol(buf, blockStart, blockLen, u16) {
+  let off = blockStart + 16;
+  const end = blockStart + blockLen - 4;
+  while (off + 4 <= end) {
+    const code = u16(off);
+    const len = u16(off + 2);
+    if (code === 0) break;
+    if (code === 9 && len >= 1) return buf[off + 4];
+    off += 4 + Math.ceil(len / 4) * 4;
+  }
+  return undefined;
+}
+
+function* pcapngPackets(buf) {
+  let off = 0;
+  let r = reader(buf, true);
+  let interfaces = [];
+  while (off + 12 <= buf.length) {
+    // 0x0a0d0d0a is a byte palindrome, so the SHB is found in either order
+    const type = r.u32(off);
+    if (type === PCAPNG_SHB) {
+      // every section may switch byte order and resets the interface list
+      r = reader(buf, buf.readUInt32LE(off + 8) === PCAPNG_BYTE_ORDER);
+      interfaces = [];
+    }
+    const len = r.u32(off + 4);
+    if (len < 12 || off + len > buf.length) break;
+
+    if (type === 1) {
+      interfaces.push({
+        linkType: r.u16(off + 8),
+        units: tsUnitsPerSecond(idbTsResol(buf, off, len, r.u16)),
+      });
+    } else if (type === 6 || type === 2) {
+      // enhanced packet block / obsolete packet block
+      const iface =
+        interfaces[type === 6 ? r.u32(off + 8) : r.u16(off + 8)] || {};
+      const units = iface.units || 1e6;
+      const ticks = r.u32(off + 12) * 4294967296 + r.u32(off + 16);
+      const capLen = r.u32(off + 20);
+      const start = off + 28;
+      if (start + capLen <= off + len) {
+        yield {
+          ts: (ticks / units) * 1000,
+          linkType: iface.linkType,
+          data: buf.subarray(start, start + capLen),
+        };
+      }
+    } else if (type === 3) {
+      // simple packet block: interface 0, no timestamp
+      const iface = interfaces[0] || {};
+      const capLen = Math.min(r.u32(off + 8), len - 16);
+      yield {
+        ts: null,
+        linkType: iface.linkType,
+        data: buf.subarray(off + 12, off + 12 + capLen),
+      };
+    }
+    off += len;
+  }
+}
+
+function captureFormat(buf) {
+  if (buf.length < 24) return null;
+  if (buf.readUInt32LE(0) === PCAPNG_SHB) return "pcapng";
+  const magic = buf.readUInt32LE(0);
+  if ([0xa1b2c3d4, 0xd4c3b2a1, 0xa1b23c4d, 0x4d3cb2a1].includes(magic)) {
+    return "pcap";
+  }
+  return null;
+}
+
+function readPackets(buf) {
+  const format = captureFormat(buf);
+  if (format === "pcapng") return pcapngPackets(buf);
+  if (format === "pcap") return classicPackets(buf);
+  throw new Error("UNKNOWN_CAPTURE_FORMAT");
+}
+
+// link layer -> { etherType, offset } of the network layer
+function networkLayer(linkType, data) {
+  switch (linkType) {
+    case LINKTYPE.ETHERNET: {
+      if (data.length < 14) return null;
+      let offset = 12;
+      let etherType = data.readUInt16BE(offset);
+      // 802.1Q / QinQ tags
+      while (
+        (etherType === 0x8100 || etherType === 0x88a8) &&
+        offset + 6 <= data.length
+      ) {
+        offset += 4;
+        etherType = data.readUInt16BE(offset);
+      }
+      return { etherType, offset: offset + 2 };
+    }
+    case LINKTYPE.LINUX_SLL:
+      if (data.length < 16) return null;
+      return { etherType: data.readUInt16BE(14), offset: 16 };
+    case LINKTYPE.LINUX_SLL2:
+      if (data.length < 20) return null;
+      return { etherType: data.readUInt16BE(0), offset: 20 };
+    case LINKTYPE.NULL:
+      return { etherType: null, offset: 4 };
+    case LINKTYPE.RAW:
+    case LINKTYPE.IPV4:
+    case LINKTYPE.IPV6:
+    case 12: // LINKTYPE_RAW on OpenBSD
+      return { etherType: null, offset: 0 };
+    default:
+      return null;
+  }
+}
+
+function ipv4String(buf, o) {
+  return `${buf[o]}.${buf[o + 1]}.${buf[o + 2]}.${buf[o + 3]}`;
+}
+
+function ipv6String(buf, o) {
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) {
+    groups.push(buf.readUInt16BE(o + i).toString(16));
+  }
+  // collapse the longest run of zero groups
+  let best = { start: -1, len: 0 };
+  for (let i = 0; i < 8; ) {
+    if (groups[i] !== "0") {
+      i++;
+      continue;
+    }
+    let j = i;
+    while (j < 8 && groups[j] === "0") j++;
+    if (j - i > best.len) best = { start: i, len: j - i };
+    i = j;
+  }
+  if (best.len < 2) return groups.join(":");
+  const head = groups.slice(0, best.start).join(":");
+  const tail = groups.slice(best.start + best.len).join(":");
+  return `${head}::${tail}`;
+}
+
+const IPV6_EXTENSION_HEADERS = new Set([0, 43, 60]);
+
+function decodeIp(data, offset) {
+  if (offset >= data.length) return null;
+  const version = data[offset] >> 4;
+  if (version === 4) {
+    if (offset + 20 > data.length) return null;
+    const ihl = (data[offset] & 0x0f) * 4;
+    const totalLen = data.readUInt16BE(offset + 2);
+    const fragOffset = data.readUInt16BE(offset + 6) & 0x1fff;
+    const end = Math.min(data.length, offset + (totalLen || data.length));
+    return {
+      family: 4,
+      protocol: data[offset + 9],
+      src: ipv4String(data, offset + 12),
+      dst: ipv4String(data, offset + 16),
+      // later fragments carry no transport header
+      fragment: fragOffset !== 0,
+      payload: data.subarray(offset + ihl, end),
+    };
+  }
+  if (version === 6) {
+    if (offset + 40 > data.length) return null;
+    let next = data[offset + 6];
+    let pos = offset + 40;
+    let fragment = false;
+    const end = Math.min(data.length, pos + data.readUInt16BE(offset + 4));
+    while (pos + 8 <= end) {
+      if (IPV6_EXTENSION_HEADERS.has(next)) {
+        const hdrLen = (data[pos + 1] + 1) * 8;
+        next = data[pos];
+        pos += hdrLen;
+      } else if (next === 44) {
+        fragment = (data.readUInt16BE(pos + 2) & 0xfff8) !== 0;
+        next = data[pos];
+        pos += 8;
+      } else {
+        break;
+      }
+    }
+    return {
+      family: 6,
+      protocol: next,
+      src: ipv6String(data, offset + 8),
+      dst: ipv6String(data, offset + 24),
+      fragment,
+      payload: data.subarray(pos, end),
+    };
+  }
+  return null;
+}
+
+// one captured frame -> { src, dst, protocol: "tcp"|"udp", sport, dport,
+// syn, ack, payload } or null for anything that is not TCP/UDP over IP
+function decodePacket(linkType, data) {
+  const net = networkLayer(linkType, data);
+  if (!net) return null;
+  if (
+    net.etherType !== null &&
+    net.etherType !== 0x0800 &&
+    net.etherType !== 0x86dd
+  ) {
+    return null;
+  }
+  const ip = decodeIp(data, net.offset);
+  if (!ip || ip.fragment) return null;
+  const seg = ip.payload;
+  if (ip.protocol === 17 && seg.length >= 8) {
+    return {
+      src: ip.src,
+      dst: ip.dst,
+      protocol: "udp",
+      sport: seg.readUInt16BE(0),
+      dport: seg.readUInt16BE(2),
+      syn: false,
+      ack: false,
+      payload: seg.subarray(8),
+    };
+  }
+  if (ip.protocol === 6 && seg.length >= 20) {
+    const dataOffset = (seg[12] >> 4) * 4;
+    const flags = seg[13];
+    return {
+      src: ip.src,
+      dst: ip.dst,
+      protocol: "tcp",
+      sport: seg.readUInt16BE(0),
+      dport: seg.readUInt16BE(2),
+      syn: (flags & 0x02) !== 0,
+      ack: (flags & 0x10) !== 0,
+      payload: seg.subarray(Math.min(dataOffset, seg.length)),
+    };
+  }
+  return null;
+}
+
+module.exports = {
+  readPackets,
+  decodePacket,
+  captureFormat,
+  ipv4String,
+  ipv6String,
+  LINKTYPE,
+};
@@ -0,0 +1,682 @@
+const fs = require("fs").promises;
+const fsSync = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { execFile } = require("child_process");
+const { minimatch } = require("minimatch");
+const { REGISTRY_URL, fetchJSON } = require("./registry");
+const { collectFiles } = require("./files");
+const { tarballDigests } = require("./metadata");
+const { extractTarball } = require("./tarball");
+
+const GIT_TIMEOUT_MS = Number(process.env.GIT_TIMEOUT_MS || 120000);
+// compiled output that is normally gitignored and only exists after a build
+const BUILD_DIRS = new Set([
+  "dist",
+  "build",
+  "lib",
+  "out",
+  "es",
+  "esm",
+  "cjs",
+  "umd",
+  "types",
+  "typings",
+  "bundle",
+  "bundles",
+]);
+const GENERATED_RE = /\.(d\.[cm]?ts|map|min\.js|min\.css)$/i;
+// npm pack rewrites or adds these
+const PACK_FILES = new Set(["package.json", "npm-shrinkwrap.json"]);
+const CODE_RE = /\.([cm]?[jt]sx?|node|wasm|sh|bat|cmd|ps1|py)$/i;
+const MAX_FILES = 20000;
+const MAX_LISTED = 200;
+
+const SEVERITY_ORDER = { critical: 4, high: 3, medium: 2, low: 1, info: 0 };
+
+function git(args, { cwd, timeoutMs = GIT_TIMEOUT_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    execFile(
+      "git",
+      args,
+      {
+        cwd,
+        timeout: timeoutMs,
+        maxBuffer: 16 * 1024 * 1024,
+        env: { ...process.env, GIT_TERMINAL_PROMPT: "0" },
+      },
+      (err, stdout, stderr) => {
+        if (err) {
+          const why = err.killed
+            ? `timed out after ${timeoutMs}ms`
+            : String(stderr || err.message).trim();
+          return reject(new Error(`git ${args[0]}: ${why}`));
+        }
+        resolve(String(stdout).trim());
+      }
+    );
+  });
+}
+
+function run(cmd, args) {
+  return new Promise((resolve, reject) => {
+    execFile(cmd, args, { timeout: GIT_TIMEOUT_MS }, (err, _out, stderr) =>
+      err
+        ? reject(new Error(`${cmd}: ${String(stderr || err.message)}`))
+        : resolve()
+    );
+  });
+}
+
+// package.json / packument `repository` -> { url (https, clonable), slug
+// ("github.com/owner/repo"), directory (monorepo subdir) } or null
+function parseRepository(repository) {
+  if (!repository) return null;
+  const raw = typeof repository === "string" ? repository : repository.url;
+  if (!raw) return null;
+  const directory =
+    (typeof repository === "object" && repository.directory) || null;
+  let url = raw.trim().replace(/^git\+/, "");
+  const shorthand =
+    /^(?:(github|gitlab|bitbucket):)?([\w.-]+)\/([\w.-]+)$/.exec(url);
+  if (shorthand) {
+    const host = { gitlab: "gitlab.com", bitbucket: "bitbucket.org" }[
+      shorthand[1]
+    ];
+    url = `https://${host || "github.com"}/${shorthand[2]}/${shorthand[3]}`;
+  }
+  url = url
+    .replace(/^git@([^:]+):/, "https://$1/")
+    .replace(/^(git|ssh):\/\/(git@)?/, "https://")
+    .replace(/^http:\/\//, "https://")
+    .replace(/#.*$/, "")
+    .replace(/\.git$/, "")
+    .replace(/\/+$/, "");
+  const m = /^https:\/\/([^/]+)\/(.+)$/.exec(url);
+  if (!m) return null;
+  return { url, slug: `${m[1]}/${m[2]}`.toLowerCase(), directory };
+}
+
+// "git+https://github.com/o/r@refs/tags/v1" / "https://github.com/o/r" ->
+// github.com/o/r
+function repoSlug(uri) {
+  const parsed = parseRepository(String(uri || "").replace(/@[^/]*$/, ""));
+  return parsed && parsed.slug;
+}
+
+function tagCandidates(name, version) {
+  const bare = name.replace(/^@[^/]+\//, "");
+  return [
+    `v${version}`,
+    version,
+    `${name}@${version}`,
+    `${bare}@${version}`,
+    `${bare}-v${version}`,
+    `release-${version}`,
+  ];
+}
+
+// shallow clone at gitHead when npm recorded it, otherwise at the first
+// tag that looks like the version
+async function cloneAtVersion(repo, { name, version, gitHead }, dest) {
+  const attempts = [];
+  if (gitHead) {
+    try {
+      await fs.rm(dest, { recursive: true, force: true });
+      await fs.mkdir(dest, { recursive: true });
+      await git(["init", "-q"], { cwd: dest });
+      await git(["fetch", "-q", "--depth", "1", repo.url, gitHead], {
+        cwd: dest,
+      });
+      await git(["checkout", "-q", "FETCH_HEAD"], { cwd: dest });
+      return { ref: gitHead, attempts };
+    } catch (e) {
+      attempts.push({ ref: gitHead, error: e.message });
+    }
+  }
+  for (const tag of tagCandidates(name, version)) {
+    try {
+      await fs.rm(dest, { recursive: true, force: true });
+      await git([
+        "-c",
+        "advice.detachedHead=false",
+        "clone",
+        "-q",
+        "--depth",
+        "1",
+        "--single-branch",
+        "--branch",
+        tag,
+        repo.url,
+        dest,
+      ]);
+      return { ref: `refs/tags/${tag}`, attempts };
+    } catch (e) {
+      attempts.push({ ref: tag, error: e.message });
+    }
+  }
+  await fs.rm(dest, { recursive: true, force: true });
+  const err = new Error(
+    `no commit or tag for ${name}@${version} in ${repo.url}`
+  );
+  err.attempts = attempts;
+  throw err;
+}
+
+// a GitHub/GitLab archive unpacks into one top-level dir; use that
+async function unpackArchive(file, dest) {
+  await fs.rm(dest, { recursive: true, force: true });
+  await fs.mkdir(dest, { recursive: true });
+  if (/\.zip$/i.test(file)) await run("unzip", ["-q", file, "-d", dest]);
+  else if (/\.(tgz|tar\.gz|tar)$/i.test(file)) await extractTarball(file, dest);
+  else await run("tar", ["-xf", file, "-C", dest]);
+  const entries = await fs.readdir(dest, { withFileTypes: true });
+  return entries.length === 1 && entries[0].isDirectory()
+    ? path.join(dest, entries[0].name)
+    : dest;
+}
+
+async function headCommit(dir) {
+  if (!fsSync.existsSync(path.join(dir, ".git"))) return null;
+  try {
+    return await git(["rev-parse", "HEAD"], { cwd: dir, timeoutMs: 10000 });
+  } catch (_) {
+    return null;
+  }
+}
+
+// line endings differ between a checkout and a packed file without the
+// content changing, so text is hashed with \n
+async function hashFiles(root) {
+  const files = await collectFiles(
+    root,
+    (_name, full) => !full.split(path.sep).includes(".git"),
+    MAX_FILES,
+    30
+  );
+  const hashes = new Map();
+  for (const f of files) {
+    let buf = await fs.readFile(f);
+    if (!buf.subarray(0, 8000).includes(0)) {
+      buf = Buffer.from(
+        buf.toString("latin1").replace(/\r\n/g, "\n"),
+        "latin1"
+      );
+    }
+    hashes.set(
+      path.relative(root, f).split(path.sep).join("/"),
+      crypto.createHash("sha256").update(buf).digest("hex")
+    );
+  }
+  return hashes;
+}
+
+function readGitignore(repoRoot, subdir) {
+  const patterns = [];
+  for (const dir of [repoRoot, subdir].filter(Boolean)) {
+    const file = path.join(dir, ".gitignore");
+    if (!fsSync.existsSync(file)) continue;
+    for (const line of fsSync.readFileSync(file, "utf8").split(/\r?\n/)) {
+      const p = line.trim();
+      if (!p || p.startsWith("#") || p.startsWith("!")) continue;
+      patterns.push(p.replace(/^\//, "").replace(/\/$/, ""));
+    }
+  }
+  return patterns;
+}
+
+// files the manifest runs or exposes: main, bin, exports, scripts
+function referencedFiles(pkgJson) {
+  const refs = new Set();
+  const add = (p) => {
+    if (typeof p !== "string" || /^[a-z]+:/i.test(p)) return;
+    const file = path.posix.normalize(p.replace(/^\.\//, ""));
+    refs.add(file);
+    // "main": "index" resolves like require() would
+    if (!path.posix.extname(file)) {
+      refs.add(`${file}.js`);
+      refs.add(`${file}/index.js`);
+    }
+  };
+  const walk = (v) => {
+    if (typeof v === "string") add(v);
+    else if (v && typeof v === "object") Object.values(v).forEach(walk);
+  };
+  add(pkgJson.main);
+  add(pkgJson.module);
+  walk(pkgJson.bin);
+  walk(pkgJson.exports);
+  if (typeof pkgJson.browser === "string") add(pkgJson.browser);
+  for (const script of Object.values(pkgJson.scripts || {})) {
+    for (const token of String(script).split(/[\s;&|()<>"']+/)) {
+      if (/\.[cm]?[jt]s$|\.sh$/.test(token)) add(token);
+    }
+  }
+  return refs;
+}
+
+// why a file that is not in the repo may still be legitimate. A file the repo
+// tracks and the tarball changes is never explained away, only package.json
+// (which npm rewrites on publish)
+function explain(file, status, ignored) {
+  if (PACK_FILES.has(file)) return "pack";
+  if (status !== "only-in-tarball") return null;
+  if (GENERATED_RE.test(file)) return "generated";
+  if (BUILD_DIRS.has(file.split("/")[0])) return "build-output";
+  if (
+    ignored.some((p) =>
+      p.includes("/") || /[*?[]/.test(p)
+        ? minimatch(file, p, { dot: true, matchBase: !p.includes("/") }) ||
+          minimatch(file, `${p}/**`, { dot: true })
+        : file.split("/").includes(p)
+    )
+  ) {
+    return "gitignored";
+  }
+  return null;
+}
+
+// package/ from the tarball vs the repo checkout at the same version
+async function compareTrees(pkgRoot, repoRoot, { directory = null } = {}) {
+  const sourceRoot = directory ? path.join(repoRoot, directory) : repoRoot;
+  if (!fsSync.existsSync(sourceRoot)) {
+    throw new Error(`${directory} not found in the repository`);
+  }
+  const [packed, source] = await Promise.all([
+    hashFiles(pkgRoot),
+    hashFiles(sourceRoot),
+  ]);
+  const pkgJsonFile = path.join(pkgRoot, "package.json");
+  const refs = fsSync.existsSync(pkgJsonFile)
+    ? referencedFiles(JSON.parse(fsSync.readFileSync(pkgJsonFile, "utf8")))
+    : new Set();
+  const ignored = readGitignore(repoRoot, directory && sourceRoot);
+
+  let same = 0;
+  const onlyInTarball = [];
+  const differs = [];
+  const explained = [];
+  for (const [file, hash] of packed) {
+    const status = !source.has(file)
+      ? "only-in-tarball"
+      : source.get(file) !== hash
+      ? "differs"
+      : null;
+    if (!status) {
+      same++;
+      continue;
+    }
+    const entry = {
+      file,
+      code: CODE_RE.test(file),
+      referenced: refs.has(file),
+    };
+    const reason = explain(file, status, ignored);
+    if (reason) explained.push({ ...entry, status, reason });
+    else if (status === "differs") differs.push(entry);
+    else onlyInTarball.push(entry);
+  }
+  return {
+    counts: {
+      tarball: packed.size,
+      repository: source.size,
+      same,
+      onlyInTarball: onlyInTarball.length,
+      differs: differs.length,
+      explained: explained.length,
+    },
+    onlyInTarball: onlyInTarball.slice(0, MAX_LISTED),
+    differs: differs.slice(0, MAX_LISTED),
+    // entry points first: signalsFor must see them even past the cutoff
+    explained: explained
+      .sort((a, b) => b.referenced - a.referenced)
+      .slice(0, MAX_LISTED),
+  };
+}
+
+// DSSE pre-authentication encoding, what the signature covers
+function pae(type, payload) {
+  return Buffer.concat([
+    Buffer.from(
+      `DSSEv1 ${Buffer.byteLength(type)} ${type} ${payload.length} `,
+      "utf8"
+    ),
+    payload,
+  ]);
+}
+
+function sourceFromPredicate(statement) {
+  const p = statement.predicate || {};
+  if (p.buildDefinition) {
+    const workflow =
+      (p.buildDefinition.externalParameters || {}).workflow || {};
+    const dep = (p.buildDefinition.resolvedDependencies || [])[0] || {};
+    return {
+      repository: repoSlug(workflow.repository || dep.uri),
+      ref: workflow.ref || null,
+      workflow: workflow.path || null,
+      commit: (dep.digest || {}).gitCommit || null,
+    };
+  }
+  const config = (p.invocation || {}).configSource || {};
+  if (config.uri) {
+    return {
+      repository: repoSlug(config.uri),
+      ref: (String(config.uri).match(/@(refs\/.+)$/) || [])[1] || null,
+      workflow: config.entryPoint || null,
+      commit: (config.digest || {}).sha1 || null,
+    };
+  }
+  return null;
+}
+
+// a Sigstore bundle: the DSSE signature is checked against the signing
+// certificate (or npm's registry key); the Fulcio chain and the Rekor entry
+// are not
+function checkBundle(att, { name, version, digests, npmKeys = [] }) {
+  const bundle = att.bundle || {};
+  const envelope = bundle.dsseEnvelope || {};
+  const material = bundle.verificationMaterial || {};
+  const payload = Buffer.from(envelope.payload || "", "base64");
+  const out = {
+    predicateType: att.predicateType || null,
+    subjectMatches: null,
+    signature: "unverified",
+    identity: null,
+    source: null,
+  };
+  let statement;
+  try {
+    statement = JSON.parse(payload.toString("utf8"));
+  } catch (_) {
+    statement = null;
+  }
+  if (!statement || typeof statement !== "object") {
+    out.signature = "invalid";
+    return out;
+  }
+
+  // a bad percent escape in a subject name just means it doesn't match
+  const decoded = (s) => {
+    try {
+      return decodeURIComponent(s);
+    } catch (_) {
+      return null;
+    }
+  };
+  const purl = decoded(`pkg:npm/${name.replace(/^@/, "%40")}@${version}`);
+  const subject = (statement.subject || []).find(
+    (s) => decoded(String(s.name)) === purl
+  );
+  if (subject && digests) {
+    out.subjectMatches =
+      (subject.digest || {}).sha512 ===
+      Buffer.from(digests.sha512, "base64").toString("hex");
+  } else {
+    out.subjectMatches = subject ? null : false;
+  }
+
+  let key = null;
+  const certBytes =
+    (material.certificate && material.certificate.rawBytes) ||
+    ((material.x509CertificateChain || {}).certificates || [])[0]?.rawBytes;
+  if (certBytes) {
+    let cert;
+    try {
+      cert = new crypto.X509Certificate(Buffer.from(certBytes, "base64"));
+    } catch (_) {
+      // nothing the signature could be checked against
+      out.signature = "invalid";
+      out.source = sourceFromPredicate(statement);
+      return out;
+    }
+    key = cert.publicKey;
+    out.identity = (cert.subjectAltName || "").replace(/^URI:/, "") || null;
+  } else if (material.publicKey) {
+    const known = npmKeys.find((k) => k.keyid === material.publicKey.hint);
+    if (known) {
+      key = crypto.createPublicKey({
+        key: Buffer.from(known.key, "base64"),
+        format: "der",
+        type: "spki",
+      });
+      out.identity = `npm registry key ${known.keyid}`;
+    }
+  }
+  const sig = (envelope.signatures || [])[0];
+  if (key && sig) {
+    let ok = false;
+    try {
+      ok = crypto.verify(
+        "sha256",
+        pae(envelope.payloadType || "", payload),
+        key,
+        Buffer.from(sig.sig, "base64")
+      );
+    } catch (_) {
+      // malformed signature bytes
+    }
+    out.signature = ok ? "valid" : "invalid";
+  }
+  out.source = sourceFromPredicate(statement);
+  return out;
+}
+
+// npm publishes provenance next to the tarball when dist.attestations is set
+async function fetchAttestations(dist) {
+  const url = dist && dist.attestations && dist.attestations.url;
+  if (!url) return null;
+  const [doc, keys] = await Promise.all([
+    fetchJSON(url),
+    fetchJSON(`${REGISTRY_URL}/-/npm/v1/keys`).catch(() => ({ keys: [] })),
+  ]);
+  return {
+    url,
+    attestations: doc.attestations || [],
+    npmKeys: keys.keys || [],
+  };
+}
+
+function checkProvenance(fetched, { name, version, digests, repo, commit }) {
+  if (!fetched) return { present: false, attestations: [] };
+  // the bundle comes from the publisher: one that can't be read counts as
+  // unsigned and unmatched instead of failing the whole report
+  const attestations = fetched.attestations.map((att) => {
+    try {
+      return checkBundle(att, {
+        name,
+        version,
+        digests,
+        npmKeys: fetched.npmKeys,
+      });
+    } catch (e) {
+      return {
+        predicateType: (att && att.predicateType) || null,
+        subjectMatches: false,
+        signature: "invalid",
+        identity: null,
+        source: null,
+        error: e.message,
+      };
+    }
+  });
+  const built = attestations.find((a) => a.source);
+  return {
+    present: true,
+    url: fetched.url,
+    error: fetched.error || null,
+    attestations,
+    repositoryMatches:
+      built && repo ? built.source.repository === repo.slug : null,
+    commitMatches:
+      built && built.source.commit && commit
+        ? built.source.commit === commit
+        : null,
+  };
+}
+
+function signalsFor(comparison, provenance) {
+  const signals = [];
+  const add = (id, severity, detail) =>
+    signals.push({ id, severity, ...detail });
+  if (comparison) {
+    const entry = comparison.onlyInTarball.filter((f) => f.referenced);
+    if (entry.length) {
+      add("entrypoint-not-in-repo", "critical", {
+        files: entry.map((f) => f.file),
+      });
+    }
+    const code = comparison.onlyInTarball.filter(
+      (f) => f.code && !f.referenced
+    );
+    if (code.length) {
+      add("code-not-in-repo", "high", { files: code.map((f) => f.file) });
+    }
+    const changed = comparison.differs.filter((f) => f.code);
+    if (changed.length) {
+      add(
+        "code-differs-from-repo",
+        changed.some((f) => f.referenced) ? "high" : "medium",
+        { files: changed.map((f) => f.file) }
+      );
+    }
+    // build output the manifest runs can't be checked against the repo
+    const built = comparison.explained.filter(
+      (f) => f.referenced && f.code && f.reason !== "pack"
+    );
+    if (built.length) {
+      add("entrypoint-unverified", "medium", {
+        files: built.map((f) => f.file),
+        reasons: [...new Set(built.map((f) => f.reason))],
+      });
+    }
+    const other = comparison.onlyInTarball.length - entry.length - code.length;
+    if (other > 0) add("files-not-in-repo", "low", { count: other });
+  }
+  for (const a of provenance.attestations) {
+    if (a.signature === "invalid") {
+      add("provenance-signature-invalid", "critical", {
+        predicateType: a.predicateType,
+      });
+    }
+    if (a.subjectMatches === false) {
+      add("provenance-subject-mismatch", "critical", {
+        predicateType: a.predicateType,
+      });
+    }
+  }
+  if (provenance.repositoryMatches === false) {
+    add("provenance-repository-mismatch", "high", {
+      attested: provenance.attestations.find((a) => a.source).source.repository,
+    });
+  }
+  if (provenance.commitMatches === false) {
+    add("provenance-commit-mismatch", "medium", {});
+  }
+  return signals.sort(
+    (a, b) => SEVERITY_ORDER[b.severity] - SEVERITY_ORDER[a.severity]
+  );
+}
+
+// a download-packages.js dir (<out>/<safe>) against its repository; `source`
+// is a local clone, a checkout or a .tar.gz/.zip archive, otherwise the
+// repository URL is cloned into <dir>/repo
+async function checkPackageProvenance(dir, { source = null } = {}) {
+  const base = fsSync.existsSync(path.join(dir, "package", "package.json"))
+    ? dir
+    : path.dirname(dir);
+  const pkgRoot = path.join(base, "package");
+  const pkgJson = JSON.parse(
+    await fs.readFile(path.join(pkgRoot, "package.json"), "utf8")
+  );
+  const { name, version } = pkgJson;
+  const packumentFile = path.join(base, "packument.json");
+  const meta = fsSync.existsSync(packumentFile)
+    ? JSON.parse(await fs.readFile(packumentFile, "utf8"))
+    : {};
+  const versionMeta = (meta.versions || {})[version] || {};
+  const repo = parseRepository(
+    pkgJson.repository || versionMeta.repository || meta.repository
+  );
+  const tgz = (await fs.readdir(base)).find((f) =>
+    f.endsWith(`-${version}.tgz`)
+  );
+  const digests = tgz ? await tarballDigests(path.join(base, tgz)) : null;
+
+  let checkout = null;
+  let comparison = null;
+  let error = null;
+  const tmp = [];
+  try {
+    if (source) {
+      const stat = await fs.stat(source);
+      if (stat.isDirectory()) {
+        checkout = { kind: "directory", path: source, ref: null };
+      } else {
+        const dest = await fs.mkdtemp(path.join(os.tmpdir(), "npm-repo-"));
+        tmp.push(dest);
+        checkout = {
+          kind: "archive",
+          path: await unpackArchive(source, dest),
+          archive: source,
+          ref: null,
+        };
+      }
+    } else if (repo) {
+      const dest = path.join(base, "repo");
+      const { ref, attempts } = await cloneAtVersion(
+        repo,
+        { name, version, gitHead: pkgJson.gitHead || versionMeta.gitHead },
+        dest
+      );
+      checkout = { kind: "clone", path: dest, ref, failedRefs: attempts };
+    }
+    if (checkout) {
+      checkout.commit = await headCommit(checkout.path);
+      comparison = await compareTrees(pkgRoot, checkout.path, {
+        directory: repo && repo.directory,
+      });
+    } else {
+      error = "package has no repository link";
+    }
+  } catch (e) {
+    error = e.message;
+  } finally {
+    for (const t of tmp) await fs.rm(t, { recursive: true, force: true });
+  }
+
+  const provenance = checkProvenance(
+    await fetchAttestations(versionMeta.dist).catch((e) => ({
+      url: versionMeta.dist.attestations.url,
+      attestations: [],
+      npmKeys: [],
+      error: e.message,
+    })),
+    { name, version, digests, repo, commit: checkout && checkout.commit }
+  );
+  const signals = signalsFor(comparison, provenance);
+  return {
+    dir: base,
+    name,
+    version,
+    repository: repo,
+    checkout: checkout && {
+      ...checkout,
+      path: checkout.archive ? null : checkout.path,
+    },
+    error,
+    comparison,
+    provenance,
+    signals,
+  };
+}
+
+module.exports = {
+  parseRepository,
+  cloneAtVersion,
+  compareTrees,
+  checkBundle,
+  fetchAttestations,
+  checkPackageProvenance,
+};
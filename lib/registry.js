@@ -0,0 +1,179 @@
+const fs = require("fs");
+const fsp = require("fs").promises;
+const path = require("path");
+const http = require("http");
+const https = require("https");
+const { extractTarball: safeExtract } = require("./tarball");
+
+// NPM_REGISTRY points everything at a mirror (plain http is fine there)
+const REGISTRY_URL = (
+  process.env.NPM_REGISTRY || "https://registry.npmjs.org"
+).replace(/\/+$/, "");
+const MAX_DL_TRIES = 3;
+
+// safe name for filesystem (scoped packages: @scope/name -> @scope+name)
+function safeName(pkg) {
+  return pkg.replace(/\//g, "+");
+}
+
+function clientFor(url) {
+  return url.startsWith("http:") ? http : https;
+}
+
+function fetchJSON(url) {
+  return new Promise((resolve, reject) => {
+    clientFor(url)
+      .get(url, { headers: { "User-Agent": "npm-downloader/1.0" } }, (res) => {
+        let data = "";
+        res.on("data", (c) => (data += c));
+        res.on("end", () => {
+          try {
+            resolve(JSON.parse(data));
+          } catch (e) {
+            reject(
+              new Error(
+                `Invalid JSON from ${url}: ${e.message} - raw: ${data.slice(
+                  0,
+                  200
+                )}`
+              )
+            );
+          }
+        });
+      })
+      .on("error", reject);
+  });
+}
+
+function downloadFile(url, dest) {
+  return new Promise((resolve, reject) => {
+    const file = fs.createWriteStream(dest);
+    clientFor(url)
+      .get(url, (res) => {
+        if (res.statusCode !== 200) {
+          reject(new Error(`HTTP ${res.statusCode} for ${url}`));
+          return;
+        }
+        res.pipe(file);
+        file.on("finish", () => file.close(resolve));
+      })
+      .on("error", (err) => {
+        try {
+          fs.unlinkSync(dest);
+        } catch (_) {}
+        reject(err);
+      });
+  });
+}
+
+function fetchPackument(pkgName, registry = REGISTRY_URL) {
+  return fetchJSON(
+    `${registry.replace(/\/+$/, "")}/${encodeURIComponent(pkgName)}`
+  );
+}
+
+// versions with their publish time, oldest first
+function versionTimeline(meta) {
+  const timeMap = meta.time || {};
+  return Object.entries(timeMap)
+    .filter(([ver]) => ver !== "created" && ver !== "modified")
+    .map(([ver, t]) => ({ ver, time: new Date(t) }))
+    .sort((a, b) => a.time - b.time);
+}
+
+// the latest version published on or before the cutoff
+function selectVersionBefore(meta, cutoffDate) {
+  const entries = versionTimeline(meta).filter(
+    ({ time }) => time <= cutoffDate
+  );
+  if (entries.length === 0) {
+    throw new Error("NO_VERSION_BEFORE_CUTOFF");
+  }
+  return entries[entries.length - 1].ver;
+}
+
+// the version published right before `version`
+function previousVersion(meta, version) {
+  const timeline = versionTimeline(meta).filter(
+    ({ ver }) => meta.versions && meta.versions[ver]
+  );
+  const i = timeline.findIndex(({ ver }) => ver === version);
+  return i > 0 ? timeline[i - 1].ver : null;
+}
+
+function versionMeta(meta, version) {
+  const selectedMeta = meta.versions && meta.versions[version];
+  if (!selectedMeta || !selectedMeta.dist || !selectedMeta.dist.tarball) {
+    throw new Error("NO_TARBALL_FOR_SELECTED_VERSION");
+  }
+  return selectedMeta;
+}
+
+async function downloadTarball(tarballUrl, tgzPath) {
+  for (let attempt = 1; attempt <= MAX_DL_TRIES; attempt++) {
+    try {
+      await downloadFile(tarballUrl, tgzPath);
+      return;
+    } catch (e) {
+      if (attempt < MAX_DL_TRIES) {
+        await new Promise((r) => setTimeout(r, 1000 * attempt)); // backoff
+      } else {
+        throw new Error(`DOWNLOAD_FAILED: ${e.message}`);
+      }
+    }
+  }
+}
+
+// in-process and confined to destDir (tarball structure -> package/...);
+// returns the extraction report with its findings
+async function extractTarball(tgzPath, destDir) {
+  try {
+    return await safeExtract(tgzPath, destDir);
+  } catch (e) {
+    throw new Error(`EXTRACT_FAILED: ${e.message}`);
+  }
+}
+
+// download + extract one version into destDir; returns where things landed.
+// Everything goes into a fresh sibling dir that then replaces destDir, so
+// files from an earlier download (or one running next to this) never mix in
+async function fetchVersion(pkgName, meta, version, destDir) {
+  const selectedMeta = versionMeta(meta, version);
+  await fsp.mkdir(path.dirname(destDir), { recursive: true });
+  const tmp = await fsp.mkdtemp(`${destDir}.tmp-`);
+  const tgzName = `${safeName(pkgName)}-${version}.tgz`;
+  let extraction;
+  try {
+    await downloadTarball(selectedMeta.dist.tarball, path.join(tmp, tgzName));
+    extraction = await extractTarball(path.join(tmp, tgzName), tmp);
+    const old = `${tmp}.old`;
+    if (fs.existsSync(destDir)) await fsp.rename(destDir, old);
+    await fsp.rename(tmp, destDir);
+    await fsp.rm(old, { recursive: true, force: true });
+  } catch (e) {
+    await fsp.rm(tmp, { recursive: true, force: true });
+    throw e;
+  }
+  return {
+    version,
+    tgzPath: path.join(destDir, tgzName),
+    root: path.join(destDir, "package"),
+    meta: selectedMeta,
+    extraction,
+  };
+}
+
+module.exports = {
+  REGISTRY_URL,
+  safeName,
+  fetchJSON,
+  downloadFile,
+  fetchPackument,
+  versionTimeline,
+  selectVersionBefore,
+  previousVersion,
+  versionMeta,
+  downloadTarball,
+  extractTarball,
+  fetchVersion,
+};
@@ -0,0 +1,529 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { safeName } = require("./registry");
+const { scanSources, scanLifecycleWithRules } = require("./static_scan");
+const { findAdvisories } = require("./advisories");
+const { analyzeDownloaded } = require("./metadata");
+const { getNameAnalyzer } = require("./name_analysis");
+const { analyzeArtifacts } = require("./artifacts");
+const { noiseFilter, unexpectedDomains } = require("./c2_baseline");
+const rules = require("./rules");
+
+const MODEL_FILE =
+  process.env.RISK_MODEL ||
+  path.join(__dirname, "..", "config", "risk_model.yaml");
+const BANDS = ["critical", "high", "medium", "low"];
+const SEVERITY_ORDER = { critical: 4, high: 3, medium: 2, low: 1, info: 0 };
+const MAX_SCORE = 100;
+
+// strongest severity per key, so a rule that fires in ten files counts once
+function strongest(list, keyOf) {
+  const out = new Map();
+  for (const x of list) {
+    const key = keyOf(x);
+    const cur = out.get(key);
+    if (!cur || SEVERITY_ORDER[x.severity] > SEVERITY_ORDER[cur.severity]) {
+      out.set(key, x);
+    }
+  }
+  return [...out.values()];
+}
+
+function severityItems(list, weights, signalOf, detailOf) {
+  return list.map((x) => ({
+    signal: signalOf(x),
+    points: (weights || {})[x.severity] || 0,
+    detail: detailOf(x),
+  }));
+}
+
+// factor -> (its input, its config) -> [{ signal, points, detail }]
+const FACTORS = {
+  advisories: (advisories, cfg) =>
+    severityItems(
+      advisories,
+      cfg.severity,
+      (a) => a.id,
+      (a) => `${a.severity} advisory: ${a.summary || a.id}`
+    ),
+
+  obfuscation: (sources, cfg) => {
+    const items = [];
+    if (sources.obfuscated) {
+      const files = sources.results.filter((r) => r.obfuscated);
+      items.push({
+        signal: "obfuscated",
+        points: cfg.obfuscated || 0,
+        detail: `${files.length} obfuscated file(s), e.g. ${files[0].file}`,
+      });
+    }
+    const matches = strongest(
+      (sources.rules && sources.rules.matches) || [],
+      (m) => m.ruleId
+    );
+    return items.concat(
+      severityItems(
+        matches,
+        cfg.severity,
+        (m) => m.ruleId,
+        (m) => `${m.severity}: ${m.description || m.ruleId}`
+      )
+    );
+  },
+
+  capabilities: (sources, cfg) => {
+    const caps = sources.capabilities || {};
+    const atImport = new Set(caps.importTime || []);
+    return (caps.found || []).map((c) => ({
+      signal: c,
+      points:
+        ((cfg.found || {})[c] || 0) *
+        (atImport.has(c) ? cfg.importTime || 1 : 1),
+      detail: atImport.has(c) ? `${c} at import time` : `uses ${c}`,
+    }));
+  },
+
+  lifecycle: (lifecycle, cfg) => {
+    const items = [];
+    const scripts = Object.keys(lifecycle.scripts || {});
+    if (scripts.length) {
+      items.push({
+        signal: "install-scripts",
+        points: cfg.hasScripts || 0,
+        detail: `runs ${scripts.join(", ")}`,
+      });
+    }
+    const findings = strongest(
+      lifecycle.findings.filter((f) => f.severity !== "info"),
+      (f) => f.ruleId
+    );
+    return items.concat(
+      severityItems(
+        findings,
+        cfg.severity,
+        (f) => f.ruleId,
+        (f) => `${f.severity}: ${f.description} (${f.source})`
+      )
+    );
+  },
+
+  c2: (record, cfg) => {
+    const items = [];
+    const reputation = record.reputation || {};
+    for (const d of record.unexpectedDomains || []) {
+      const verdict = (reputation[d] || {}).verdict;
+      items.push({
+        signal: "unexpected-domain",
+        points: cfg.unexpectedDomain || 0,
+        detail: d,
+      });
+      const points = (cfg.reputation || {})[verdict];
+      if (points) {
+        items.push({ signal: `${verdict}-domain`, points, detail: d });
+      }
+    }
+    const sinkhole = record.sinkhole || {};
+    if ((sinkhole.exfiltration || []).length) {
+      const indicators = [
+        ...new Set(sinkhole.exfiltration.flatMap((e) => e.indicators)),
+      ];
+      items.push({
+        signal: "exfiltration",
+        points: cfg.exfiltration || 0,
+        detail: `sent ${indicators.join(", ")}`,
+      });
+    }
+    if ((sinkhole.downloadUrls || []).length) {
+      items.push({
+        signal: "second-stage",
+        points: cfg.secondStage || 0,
+        detail: sinkhole.downloadUrls[0],
+      });
+    }
+    return items;
+  },
+
+  metadata: (metadata, cfg) =>
+    severityItems(
+      strongest(metadata.signals || [], (s) => s.id),
+      cfg.severity,
+      (s) => s.id,
+      (s) => `${s.severity}${s.version ? ` at ${s.version}` : ""}`
+    ),
+
+  name: (analysis, cfg) => {
+    if (!analysis.findings.length) return [];
+    const top = analysis.findings[0];
+    return [
+      {
+        signal: top.technique,
+        points: (cfg.severity || {})[analysis.severity] || 0,
+        detail: top.target
+          ? `${top.detail} (${top.target})`
+          : top.detail || top.technique,
+      },
+    ];
+  },
+
+  provenance: (report, cfg) =>
+    severityItems(
+      report.signals || [],
+      cfg.severity,
+      (s) => s.id,
+      (s) => (s.files ? s.files.slice(0, 3).join(", ") : s.severity)
+    ),
+
+  artifacts: (report, cfg) =>
+    severityItems(
+      strongest(report.findings || [], (f) => f.id),
+      cfg.severity,
+      (f) => f.id,
+      (f) => `${f.file}: ${f.detail}`
+    ),
+
+  extraction: (report, cfg) =>
+    severityItems(
+      report.findings || [],
+      cfg.severity,
+      (f) => f.id,
+      (f) => (f.paths.length ? f.paths.slice(0, 3).join(", ") : f.severity)
+    ),
+};
+const FACTOR_NAMES = Object.keys(FACTORS);
+
+function loadRiskModel(file = MODEL_FILE) {
+  const doc = yaml.load(fs.readFileSync(file, "utf8")) || {};
+  const factors = doc.factors || {};
+  for (const name of Object.keys(factors)) {
+    if (!FACTORS[name]) {
+      throw new Error(
+        `${file}: unknown factor "${name}" (known: ${FACTOR_NAMES.join(", ")})`
+      );
+    }
+  }
+  const bands = { ...doc.bands };
+  for (const b of BANDS) {
+    if (typeof bands[b] !== "number") {
+      throw new Error(`${file}: bands.${b} must be a number`);
+    }
+  }
+  return { file, bands, factors };
+}
+
+let shared = null;
+
+function getRiskModel() {
+  if (!shared) shared = loadRiskModel();
+  return shared;
+}
+
+function reloadRiskModel() {
+  shared = loadRiskModel();
+  return shared;
+}
+
+function bandFor(score, bands) {
+  return BANDS.find((b) => score >= bands[b]) || "none";
+}
+
+const round = (n) => Math.round(n * 10) / 10;
+
+// inputs: { advisories, sources, lifecycle, c2, metadata, name, provenance,
+// artifacts, extraction } (sources feeds both obfuscation and
+// capabilities); null = not available
+function scoreInputs(inputs, model = getRiskModel()) {
+  const factorInput = {
+    advisories: inputs.advisories,
+    obfuscation: inputs.sources,
+    capabilities: inputs.sources,
+    lifecycle: inputs.lifecycle,
+    c2: inputs.c2,
+    metadata: inputs.metadata,
+    name: inputs.name,
+    provenance: inputs.provenance,
+    artifacts: inputs.artifacts,
+    extraction: inputs.extraction,
+  };
+  const factors = {};
+  const explanation = [];
+  const unavailable = [];
+  let total = 0;
+  for (const name of FACTOR_NAMES) {
+    const cfg = model.factors[name];
+    if (!cfg) continue;
+    if (factorInput[name] === null || factorInput[name] === undefined) {
+      unavailable.push(name);
+      continue;
+    }
+    const scale = cfg.scale === undefined ? 1 : cfg.scale;
+    const items = FACTORS[name](factorInput[name], cfg).filter(
+      (i) => i.points > 0
+    );
+    const raw = items.reduce((s, i) => s + i.points, 0);
+    const capped = Math.min(raw, cfg.cap === undefined ? raw : cfg.cap);
+    const points = round(capped * scale);
+    factors[name] = { points, raw, capped, scale };
+    total += points;
+    for (const i of items) {
+      explanation.push({ factor: name, ...i, points: round(i.points * scale) });
+    }
+    if (raw > capped) {
+      explanation.push({
+        factor: name,
+        signal: "cap",
+        points: round((capped - raw) * scale),
+        detail: `${name} capped at ${cfg.cap}`,
+      });
+    }
+  }
+  explanation.sort((a, b) => b.points - a.points);
+  const score = Math.min(MAX_SCORE, Math.round(total));
+  return {
+    score,
+    band: bandFor(score, model.bands),
+    total: round(total),
+    factors,
+    explanation,
+    unavailable,
+    model: { file: model.file, bands: model.bands },
+  };
+}
+
+function readJson(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+}
+
+// everything we have on a download-packages.js dir (<out>/<safe> or its
+// package/): static scans run now, the rest is read from earlier runs
+async function collectInputs(
+  dir,
+  { c2Dir = "c2_results", db = null, ruleSet = rules.getRuleSet() } = {}
+) {
+  const inPackage = fs.existsSync(path.join(dir, "package", "package.json"));
+  const base = inPackage ? dir : path.dirname(dir);
+  const root = inPackage ? path.join(dir, "package") : dir;
+  if (!fs.existsSync(path.join(root, "package.json"))) {
+    throw new Error(`package.json not found in ${dir}`);
+  }
+  const sources = await scanSources(root, ruleSet);
+  const lifecycle = await scanLifecycleWithRules(root, ruleSet);
+  const { name, version } = sources;
+
+  let metadata = readJson(path.join(base, "metadata.json"));
+  if (!metadata && fs.existsSync(path.join(base, "packument.json"))) {
+    metadata = await analyzeDownloaded(base);
+  }
+  const c2 = readJson(path.join(c2Dir, `${safeName(name)}.json`));
+  // records written before baseline subtraction don't carry the field
+  if (c2 && !Array.isArray(c2.unexpectedDomains)) {
+    c2.unexpectedDomains = unexpectedDomains(
+      Array.isArray(c2.domains) ? c2.domains : [],
+      noiseFilter(c2Dir)
+    );
+  }
+  return {
+    name,
+    version,
+    dir: base,
+    inputs: {
+      advisories: db ? await findAdvisories(db, name, version) : null,
+      sources,
+      lifecycle,
+      c2,
+      metadata,
+      name: getNameAnalyzer().analyze(name),
+      provenance: readJson(path.join(base, "provenance.json")),
+      artifacts: await analyzeArtifacts(root),
+      extraction: readJson(path.join(base, "extraction.json")),
+    },
+  };
+}
+
+async function scorePackageDir(dir, options = {}) {
+  const {
+    name,
+    version,
+    dir: base,
+    inputs,
+  } = await collectInputs(dir, options);
+  return {
+    name,
+    version,
+    dir: base,
+    ...scoreInputs(inputs, options.model || getRiskModel()),
+  };
+}
+
+// area under the ROC curve: chance a bad package outscores a good one
+function rocAuc(bad, good) {
+  if (!bad.length || !good.length) return null;
+  let wins = 0;
+  for (const b of bad) {
+    for (const g of good) wins += b > g ? 1 : b === g ? 0.5 : 0;
+  }
+  return round((wins / (bad.length * good.length)) * 1000) / 1000;
+}
+
+// plain logistic regression on each factor's capped points / cap; the
+// weights only say which factors separate the classes, so they are turned
+// into scales relative to the average positive weight
+function fitScales(samples, model) {
+  const names = FACTOR_NAMES.filter((n) => model.factors[n]);
+  const rows = samples.map((s) => ({
+    y: s.label === "bad" ? 1 : 0,
+    x: names.map((n) => {
+      const f = s.result.factors[n];
+      const cap = model.factors[n].cap || 100;
+      return f ? f.capped / cap : 0;
+    }),
+  }));
+  const w = names.map(() => 0);
+  let bias = 0;
+  const rate = 0.5;
+  const l2 = 0.01;
+  for (let iter = 0; iter < 2000; iter++) {
+    const grad = names.map(() => 0);
+    let gradBias = 0;
+    for (const { x, y } of rows) {
+      const z = bias + x.reduce((s, xi, i) => s + xi * w[i], 0);
+      const err = 1 / (1 + Math.exp(-z)) - y;
+      x.forEach((xi, i) => (grad[i] += err * xi));
+      gradBias += err;
+    }
+    w.forEach((wi, i) => (w[i] -= rate * (grad[i] / rows.length + l2 * wi)));
+    bias -= (rate * gradBias) / rows.length;
+  }
+  const seen = names.map((_, i) => rows.some((r) => r.x[i] > 0));
+  const positive = w.filter((wi, i) => seen[i] && wi > 0);
+  const mean = positive.length
+    ? positive.reduce((s, x) => s + x, 0) / positive.length
+    : 1;
+  const out = {};
+  names.forEach((n, i) => {
+    const current =
+      model.factors[n].scale === undefined ? 1 : model.factors[n].scale;
+    // no evidence either way in this set: leave it alone
+    out[n] = seen[i]
+      ? round(Math.min(3, Math.max(0, (current * w[i]) / mean)))
+      : current;
+  });
+  return out;
+}
+
+// critical: first threshold without false positives; high: best F1;
+// medium: still catches 95% of the bad ones. Kept in order.
+function suggestBands(current, { clean, best, sensitive }) {
+  const high = best ? best.threshold : current.high;
+  const medium = Math.min(
+    sensitive ? sensitive.threshold : current.medium,
+    high
+  );
+  return {
+    critical: Math.max(clean ? clean.threshold : current.critical, high),
+    high,
+    medium,
+    low: Math.min(current.low, medium),
+  };
+}
+
+// samples: [{ pkg, label: "bad" | "good", result: scoreInputs() output }]
+function calibrate(samples, model = getRiskModel()) {
+  const bad = samples.filter((s) => s.label === "bad");
+  const good = samples.filter((s) => s.label === "good");
+  const thresholds = [...new Set(samples.map((s) => s.result.score))]
+    .sort((a, b) => a - b)
+    .map((t) => {
+      const tp = bad.filter((s) => s.result.score >= t).length;
+      const fp = good.filter((s) => s.result.score >= t).length;
+      const precision = tp + fp ? tp / (tp + fp) : 0;
+      const recall = bad.length ? tp / bad.length : 0;
+      const f1 =
+        precision + recall
+          ? (2 * precision * recall) / (precision + recall)
+          : 0;
+      return {
+        threshold: t,
+        tp,
+        fp,
+        fn: bad.length - tp,
+        tn: good.length - fp,
+        precision: round(precision * 100) / 100,
+        recall: round(recall * 100) / 100,
+        f1: round(f1 * 100) / 100,
+      };
+    });
+  const best = thresholds.reduce((b, t) => (!b || t.f1 >= b.f1 ? t : b), null);
+  const clean = thresholds.find((t) => t.tp > 0 && t.fp === 0);
+  const sensitive = [...thresholds].reverse().find((t) => t.recall >= 0.95);
+
+  const byBand = {};
+  for (const s of samples) {
+    const b = (byBand[s.result.band] = byBand[s.result.band] || {
+      bad: 0,
+      good: 0,
+    });
+    b[s.label]++;
+  }
+  const factors = {};
+  for (const n of FACTOR_NAMES.filter((f) => model.factors[f])) {
+    const pts = (list) =>
+      list.map((s) => (s.result.factors[n] || {}).points || 0);
+    const mean = (xs) =>
+      xs.length ? round(xs.reduce((a, x) => a + x, 0) / xs.length) : null;
+    const hit = (xs) =>
+      xs.length
+        ? round((xs.filter((x) => x > 0).length / xs.length) * 100) / 100
+        : null;
+    factors[n] = {
+      meanBad: mean(pts(bad)),
+      meanGood: mean(pts(good)),
+      hitRateBad: hit(pts(bad)),
+      hitRateGood: hit(pts(good)),
+    };
+  }
+
+  return {
+    model: model.file,
+    counts: { bad: bad.length, good: good.length },
+    auc: rocAuc(
+      bad.map((s) => s.result.score),
+      good.map((s) => s.result.score)
+    ),
+    byBand,
+    bestThreshold: best,
+    thresholds,
+    factors,
+    suggested:
+      bad.length && good.length
+        ? {
+            scales: fitScales(samples, model),
+            bands: suggestBands(model.bands, { clean, best, sensitive }),
+          }
+        : null,
+    // the packages the current model gets wrong at the best threshold
+    misses: best
+      ? samples
+          .filter(
+            (s) => (s.label === "bad") !== s.result.score >= best.threshold
+          )
+          .map((s) => ({
+            pkg: s.pkg,
+            label: s.label,
+            score: s.result.score,
+            top: s.result.explanation.slice(0, 3),
+          }))
+      : [],
+  };
+}
+
+module.exports = {
+  FACTOR_NAMES,
+  loadRiskModel,
+  getRiskModel,
+  reloadRiskModel,
+  scoreInputs,
+  collectInputs,
+  scorePackageDir,
+  calibrate,
+};
@@ -0,0 +1,402 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const Ajv = require("ajv");
+const { minimatch } = require("minimatch");
+const walk = require("acorn-walk");
+const { locOf } = require("./ast");
+const ruleSchema = require("./rule_schema.json");
+
+const RULES_DIR = process.env.RULES_DIR || path.join(__dirname, "..", "rules");
+const MAX_EVIDENCE = 200;
+const MAX_MATCHES_PER_RULE = 10;
+
+const ajv = new Ajv({ allErrors: true });
+const validatePack = ajv.compile(ruleSchema);
+
+let cached = null;
+
+function readPackFile(file) {
+  const text = fs.readFileSync(file, "utf8");
+  return file.endsWith(".json") ? JSON.parse(text) : yaml.load(text);
+}
+
+// compile what can be compiled up front so bad regexes fail at load time
+function compileRule(rule, pack) {
+  const compiled = {
+    ...rule,
+    pack: pack.id,
+    packVersion: pack.version,
+  };
+  if (rule.type === "regex") {
+    const flags = Array.from(new Set(`${rule.flags || ""}g`)).join("");
+    compiled.regex = new RegExp(rule.pattern, flags);
+    compiled.targets = rule.targets || ["source"];
+  }
+  if (rule.type === "ast") {
+    const arg = rule.match.argument;
+    compiled.arguments = arg === undefined ? null : [].concat(arg);
+  }
+  return compiled;
+}
+
+function loadRuleSet(dir = RULES_DIR) {
+  const packs = [];
+  const rules = [];
+  const errors = [];
+  const seenIds = new Map();
+
+  const files = fs.existsSync(dir)
+    ? fs
+        .readdirSync(dir)
+        .filter((f) => /\.(ya?ml|json)$/.test(f))
+        .sort()
+    : [];
+
+  for (const f of files) {
+    const file = path.join(dir, f);
+    let pack;
+    try {
+      pack = readPackFile(file);
+    } catch (e) {
+      errors.push({ file: f, error: `parse error: ${e.message}` });
+      continue;
+    }
+    if (!validatePack(pack)) {
+      errors.push({
+        file: f,
+        error: "schema validation failed",
+        details: validatePack.errors.map(
+          (e) => `${e.instancePath || "/"} ${e.message}`
+        ),
+      });
+      continue;
+    }
+
+    const packRules = [];
+    let packError = null;
+    for (const rule of pack.rules) {
+      if (seenIds.has(rule.id)) {
+        packError = `duplicate rule id ${rule.id} (also in ${seenIds.get(
+          rule.id
+        )})`;
+        break;
+      }
+      try {
+        packRules.push(compileRule(rule, pack));
+      } catch (e) {
+        packError = `rule ${rule.id}: ${e.message}`;
+        break;
+      }
+    }
+    if (packError) {
+      errors.push({ file: f, error: packError });
+      continue;
+    }
+
+    for (const rule of pack.rules) seenIds.set(rule.id, pack.id);
+    packs.push({
+      id: pack.id,
+      version: pack.version,
+      description: pack.description || "",
+      file: f,
+      ruleCount: pack.rules.length,
+      scoring: pack.scoring || {},
+    });
+    rules.push(...packRules.filter((r) => r.enabled !== false));
+  }
+
+  for (const e of errors) {
+    console.error(`Rule pack ${e.file} rejected: ${e.error}`);
+  }
+  return { dir, packs, rules, errors };
+}
+
+function getRuleSet() {
+  if (!cached) cached = loadRuleSet();
+  return cached;
+}
+
+function reloadRuleSet() {
+  cached = loadRuleSet();
+  return cached;
+}
+
+function toMatch(rule, extra) {
+  return {
+    ruleId: rule.id,
+    pack: rule.pack,
+    packVersion: rule.packVersion,
+    severity: rule.severity,
+    description: rule.description || "",
+    ...extra,
+  };
+}
+
+function evidenceAt(text, index) {
+  const start = text.lastIndexOf("\n", index) + 1;
+  let end = text.indexOf("\n", index);
+  if (end === -1) end = text.length;
+  const line = text.slice(0, index).split("\n").length;
+  let snippet = text.slice(start, end).trim();
+  if (snippet.length > MAX_EVIDENCE) {
+    const col = index - start;
+    const from = Math.max(0, col - MAX_EVIDENCE / 2);
+    snippet = text.slice(start + from, start + from + MAX_EVIDENCE).trim();
+  }
+  return { line, evidence: snippet };
+}
+
+// Identifier / a.b.c / a["b"] -> dotted name
+function dottedName(node) {
+  if (!node) return null;
+  if (node.type === "Identifier") return node.name;
+  if (node.type === "ThisExpression") return "this";
+  if (node.type === "MemberExpression") {
+    const obj = dottedName(node.object);
+    if (!obj) return null;
+    let prop = null;
+    if (!node.computed) prop = node.property.name;
+    else if (
+      node.property.type === "Literal" &&
+      typeof node.property.value === "string"
+    ) {
+      prop = node.property.value;
+    }
+    return prop ? `${obj}.${prop}` : null;
+  }
+  return null;
+}
+
+function nameMatches(pattern, name) {
+  if (!name) return false;
+  if (!pattern.includes("*")) return pattern === name;
+  return minimatch(name.replace(/\./g, "/"), pattern.replace(/\./g, "/"));
+}
+
+function firstStringArg(node) {
+  const arg =
+    node.type === "ImportDeclaration" ? node.source : node.arguments?.[0];
+  return arg && arg.type === "Literal" && typeof arg.value === "string"
+    ? arg.value
+    : null;
+}
+
+function astNodeMatches(rule, node) {
+  const m = rule.match;
+  if (node.type !== m.node) return false;
+  if (m.callee && !nameMatches(m.callee, dottedName(node.callee))) return false;
+  if (m.name && !nameMatches(m.name, dottedName(node))) return false;
+  if (rule.arguments) {
+    const arg = firstStringArg(node);
+    // "node:fs" and "fs" are the same module
+    const bare = arg && arg.startsWith("node:") ? arg.slice(5) : arg;
+    if (!rule.arguments.includes(arg) && !rule.arguments.includes(bare)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function getRuleById(id, ruleSet = getRuleSet()) {
+  return ruleSet.rules.find((r) => r.id === id) || null;
+}
+
+// e.g. a specific "encoded node -e" rule hides the generic "node -e" one
+function applySuppression(ruleSet, matches) {
+  const suppressed = new Set();
+  for (const id of new Set(matches.map((m) => m.ruleId))) {
+    const rule = getRuleById(id, ruleSet);
+    for (const s of (rule && rule.suppresses) || []) suppressed.add(s);
+  }
+  return matches.filter((m) => !suppressed.has(m.ruleId));
+}
+
+// regex + ast rules over one source text; target picks which regex rules apply
+function matchSource(ruleSet, { text, ast = null, file, target = "source" }) {
+  const matches = [];
+  for (const rule of ruleSet.rules) {
+    if (rule.type !== "regex" || !rule.targets.includes(target)) continue;
+    let count = 0;
+    for (const m of text.matchAll(rule.regex)) {
+      matches.push(toMatch(rule, { file, ...evidenceAt(text, m.index) }));
+      if (++count >= MAX_MATCHES_PER_RULE) break;
+    }
+  }
+
+  const astRules =
+    ast && target === "source"
+      ? ruleSet.rules.filter((r) => r.type === "ast")
+      : [];
+  if (astRules.length > 0) {
+    const counts = new Map();
+    walk.full(ast, (node) => {
+      for (const rule of astRules) {
+        if (!astNodeMatches(rule, node)) continue;
+        const n = counts.get(rule.id) || 0;
+        if (n >= MAX_MATCHES_PER_RULE) continue;
+        counts.set(rule.id, n + 1);
+        const loc = locOf(node) || {};
+        matches.push(
+          toMatch(rule, {
+            file,
+            line: loc.line,
+            column: loc.column,
+            evidence: text.slice(node.start, node.end).slice(0, MAX_EVIDENCE),
+          })
+        );
+      }
+    });
+  }
+  return matches;
+}
+
+function matchFiles(ruleSet, relPaths) {
+  const matches = [];
+  for (const rule of ruleSet.rules) {
+    if (rule.type !== "glob") continue;
+    for (const rel of relPaths) {
+      const posix = rel.split(path.sep).join("/");
+      if (
+        rule.patterns.some((p) =>
+          minimatch(posix, p, { dot: true, matchBase: !p.includes("/") })
+        )
+      ) {
+        matches.push(toMatch(rule, { file: rel }));
+      }
+    }
+  }
+  return matches;
+}
+
+// "*.ngrok.io" matches subdomains only, "ngrok.io" only itself,
+// "/regex/" is a regular expression
+function domainMatches(pattern, domain) {
+  const d = domain.toLowerCase().replace(/\.$/, "");
+  if (pattern.length > 2 && pattern.startsWith("/") && pattern.endsWith("/")) {
+    return new RegExp(pattern.slice(1, -1), "i").test(d);
+  }
+  const p = pattern.toLowerCase();
+  if (p.startsWith("*.")) return d.endsWith(p.slice(1));
+  return d === p;
+}
+
+function matchDomains(ruleSet, domains) {
+  const matches = [];
+  for (const rule of ruleSet.rules) {
+    if (rule.type !== "domain") continue;
+    for (const domain of domains) {
+      if (!domain) continue;
+      if (rule.patterns.some((p) => domainMatches(p, domain))) {
+        matches.push(toMatch(rule, { domain }));
+      }
+    }
+  }
+  return matches;
+}
+
+function matchObfuscation(ruleSet, verdict, file) {
+  return ruleSet.rules
+    .filter((r) => r.type === "obfuscation" && verdict.score >= r.minScore)
+    .map((r) => toMatch(r, { file, score: verdict.score }));
+}
+
+// reputation: normalized { domain, verdict, source } from lib/threat_intel
+function matchReputation(ruleSet, reputation) {
+  if (!reputation) return [];
+  return ruleSet.rules
+    .filter(
+      (r) => r.type === "reputation" && r.verdicts.includes(reputation.verdict)
+    )
+    .map((r) =>
+      toMatch(r, {
+        domain: reputation.domain,
+        verdict: reputation.verdict,
+        source: reputation.source,
+      })
+    );
+}
+
+// advisories: [{ name, severity }]
+function matchAdvisories(ruleSet, advisories) {
+  const matches = [];
+  for (const rule of ruleSet.rules) {
+    if (rule.type !== "advisory") continue;
+    for (const adv of advisories) {
+      const sev = String(adv.severity || "").toLowerCase();
+      if (rule.severities.includes(sev)) {
+        matches.push(toMatch(rule, { package: adv.name, advisory: sev }));
+      }
+    }
+  }
+  return matches;
+}
+
+// analyses: lib/name_analysis results; one match per name and rule, for
+// its strongest finding with one of the rule's techniques
+function matchNames(ruleSet, analyses) {
+  const matches = [];
+  for (const rule of ruleSet.rules) {
+    if (rule.type !== "name") continue;
+    for (const a of analyses) {
+      if (a.score < (rule.minScore || 0)) continue;
+      const f = a.findings.find((x) => rule.techniques.includes(x.technique));
+      if (f) {
+        matches.push(
+          toMatch(rule, {
+            package: a.name,
+            technique: f.technique,
+            target: f.target,
+            score: a.score,
+          })
+        );
+      }
+    }
+  }
+  return matches;
+}
+
+// structural lifecycle checks done by lib/lifecycle.js; `check` names which
+// one fired, `extra` is its location
+function matchLifecycle(ruleSet, check, extra) {
+  return ruleSet.rules
+    .filter((r) => r.type === "lifecycle" && r.check === check)
+    .map((r) => toMatch(r, extra));
+}
+
+// later packs override earlier ones
+function scoringWeights(ruleSet, defaults = {}) {
+  return ruleSet.packs.reduce((w, p) => ({ ...w, ...p.scoring }), {
+    ...defaults,
+  });
+}
+
+// what the scan endpoints attach to their payloads
+function ruleReport(ruleSet, matches) {
+  return {
+    packs: ruleSet.packs.map((p) => ({ id: p.id, version: p.version })),
+    matched: Array.from(new Set(matches.map((m) => m.ruleId))),
+    matches,
+  };
+}
+
+module.exports = {
+  loadRuleSet,
+  getRuleSet,
+  reloadRuleSet,
+  getRuleById,
+  evidenceAt,
+  dottedName,
+  applySuppression,
+  matchSource,
+  matchFiles,
+  domainMatches,
+  matchDomains,
+  matchObfuscation,
+  matchReputation,
+  matchAdvisories,
+  matchNames,
+  matchLifecycle,
+  scoringWeights,
+  ruleReport,
+};
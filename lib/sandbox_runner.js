@@ -0,0 +1,513 @@
+const fs = require("fs");
+const path = require("path");
+const { execFile } = require("child_process");
+
+const SANDBOX_DIR = path.join(__dirname, "..", "sandbox");
+const RUNNER_IMAGE = process.env.SANDBOX_IMAGE || "npm-sandbox-runner:latest";
+const CAPTURE_IMAGE =
+  process.env.SANDBOX_CAPTURE_IMAGE || "npm-sandbox-capture:latest";
+const SINKHOLE_IMAGE =
+  process.env.SANDBOX_SINKHOLE_IMAGE || "npm-sandbox-sinkhole:latest";
+const LABEL = "npm-sandbox";
+const STATE_FILE = ".sandbox-state.json";
+// outcomes that produced a record; rerunning would give the same result
+const FINAL = new Set(["done", "timeout", "oom"]);
+const DEFAULT_LIMITS = {
+  cpus: process.env.SANDBOX_CPUS || "1",
+  memory: process.env.SANDBOX_MEMORY || "1g",
+  pids: Number(process.env.SANDBOX_PIDS || 256),
+};
+
+function docker(args, { timeoutMs = 60000, stderr: keepStderr = false } = {}) {
+  return new Promise((resolve, reject) => {
+    execFile(
+      "docker",
+      args,
+      { timeout: timeoutMs, maxBuffer: 16 * 1024 * 1024 },
+      (err, stdout, stderr) => {
+        if (err) {
+          const why = err.killed
+            ? `timed out after ${timeoutMs}ms`
+            : String(stderr || err.message).trim();
+          return reject(new Error(`docker ${args[0]}: ${why}`));
+        }
+        // `docker logs` replays the container's stderr on stderr
+        resolve(String(keepStderr ? stdout + stderr : stdout).trim());
+      }
+    );
+  });
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// images are built once from sandbox/*.Dockerfile, never per package
+async function ensureImage(tag, dockerfile) {
+  try {
+    await docker(["image", "inspect", tag]);
+    return false;
+  } catch (_) {
+    console.log(`building ${tag} from ${dockerfile} ...`);
+    await docker(
+      [
+        "build",
+        "-t",
+        tag,
+        "-f",
+        path.join(SANDBOX_DIR, dockerfile),
+        SANDBOX_DIR,
+      ],
+      { timeoutMs: 30 * 60 * 1000 }
+    );
+    return true;
+  }
+}
+
+async function ensureImages({ sinkhole = false } = {}) {
+  await ensureImage(RUNNER_IMAGE, "runner.Dockerfile");
+  await ensureImage(CAPTURE_IMAGE, "capture.Dockerfile");
+  if (sinkhole) await ensureImage(SINKHOLE_IMAGE, "sinkhole.Dockerfile");
+}
+
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === "EPERM";
+  }
+}
+
+// containers/networks left behind by a runner that was killed; each is
+// labelled with the pid of the runner that created it
+async function cleanupOrphans() {
+  const owner = (line) => {
+    const [id, pid] = line.split(" ");
+    return { id, pid: Number(pid) };
+  };
+  const orphaned = (items) =>
+    items
+      .filter(Boolean)
+      .map(owner)
+      .filter((o) => !o.pid || !processAlive(o.pid))
+      .map((o) => o.id);
+
+  const format = `{{.ID}} {{.Label "${LABEL}.pid"}}`;
+  const containers = orphaned(
+    (
+      await docker([
+        "ps",
+        "-a",
+        "--filter",
+        `label=${LABEL}`,
+        "--format",
+        format,
+      ])
+    ).split("\n")
+  );
+  if (containers.length) await docker(["rm", "-f", ...containers]);
+  const networks = orphaned(
+    (
+      await docker([
+        "network",
+        "ls",
+        "--filter",
+        `label=${LABEL}`,
+        "--format",
+        format,
+      ])
+    ).split("\n")
+  );
+  for (const id of networks) {
+    await docker(["network", "rm", id]).catch(() => {});
+  }
+  return { containers: containers.length, networks: networks.length };
+}
+
+// per-package progress in <outDir>/.sandbox-state.json so an interrupted
+// batch resumes where it stopped and retries what failed
+function openRunState(outDir, { maxAttempts = 2 } = {}) {
+  const file = path.join(outDir, STATE_FILE);
+  let packages = {};
+  if (fs.existsSync(file)) {
+    try {
+      packages = JSON.parse(fs.readFileSync(file, "utf8")).packages || {};
+    } catch (e) {
+      console.error(`ignoring unreadable ${STATE_FILE}: ${e.message}`);
+    }
+  }
+
+  function save() {
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(
+      tmp,
+      JSON.stringify(
+        { updatedAt: new Date().toISOString(), packages },
+        null,
+        2
+      ),
+      "utf8"
+    );
+    fs.renameSync(tmp, file);
+  }
+
+  function update(pkg, patch) {
+    packages[pkg] = { ...packages[pkg], ...patch };
+    save();
+    return packages[pkg];
+  }
+
+  // -> null to run it, or the reason it is skipped
+  function skipReason(pkg, recordFile) {
+    const s = packages[pkg];
+    if (!s) {
+      // results from before the state file existed
+      if (fs.existsSync(recordFile)) {
+        update(pkg, { status: "done", attempts: 1 });
+        return "done";
+      }
+      return null;
+    }
+    if (FINAL.has(s.status)) {
+      return fs.existsSync(recordFile) ? s.status : null;
+    }
+    if (s.status === "interrupted") return null;
+    if ((s.attempts || 0) >= maxAttempts) return `${s.status} x${s.attempts}`;
+    return null;
+  }
+
+  // a package still marked running belonged to a runner that stopped
+  function markInterrupted() {
+    let changed = false;
+    for (const s of Object.values(packages)) {
+      if (s.status === "running") {
+        s.status = "interrupted";
+        changed = true;
+      }
+    }
+    if (changed) save();
+  }
+
+  return { file, packages, update, skipReason, markInterrupted };
+}
+
+// capture in a package's network namespace: a holder container owns the
+// namespace on a network of its own, the tshark sidecar and the untrusted
+// container both join it, and only the sidecar has NET_ADMIN/NET_RAW.
+// With `sinkhole` the network is internal and sandbox/sinkhole.js is the
+// package's DNS server and default route: nothing real leaves the host.
+function createSandboxRunner({
+  workDir,
+  capSeconds,
+  limits = DEFAULT_LIMITS,
+  runnerImage = RUNNER_IMAGE,
+  captureImage = CAPTURE_IMAGE,
+  sinkhole = false,
+  sinkholeImage = SINKHOLE_IMAGE,
+}) {
+  const runId = `${process.pid}-${Date.now().toString(36)}`;
+  const labels = [
+    "--label",
+    LABEL,
+    "--label",
+    `${LABEL}.run=${runId}`,
+    "--label",
+    `${LABEL}.pid=${process.pid}`,
+  ];
+  let seq = 0;
+
+  // poll a helper container's output until it says it is up
+  async function waitForLog(container, re, what) {
+    const deadline = Date.now() + 20000;
+    while (Date.now() < deadline) {
+      const logs = await docker(["logs", container], { stderr: true }).catch(
+        () => ""
+      );
+      const m = re.exec(logs);
+      if (m) return m;
+      const running = await docker([
+        "inspect",
+        "-f",
+        "{{.State.Running}}",
+        container,
+      ]).catch(() => "false");
+      if (running !== "true") {
+        throw new Error(`${what} exited: ${logs.slice(-300)}`);
+      }
+      await sleep(250);
+    }
+    throw new Error(`${what} did not start`);
+  }
+
+  async function inspectState(name) {
+    const out = await docker([
+      "inspect",
+      "-f",
+      "{{.State.OOMKilled}} {{.State.Running}} {{.State.ExitCode}}",
+      name,
+    ]).catch(() => "");
+    const [oom, running, code] = out.split(" ");
+    return {
+      oomKilled: oom === "true",
+      running: running === "true",
+      exitCode: code === undefined ? null : Number(code),
+    };
+  }
+
+  // container options shared by everything that runs package code
+  function untrustedArgs(workMount) {
+    return [
+      "--cap-drop",
+      "ALL",
+      "--security-opt",
+      "no-new-privileges",
+      "--read-only",
+      ...(workMount
+        ? ["-v", `${path.resolve(workMount)}:/work`]
+        : ["--tmpfs", "/work:rw,exec,mode=1777,size=2g"]),
+      "--tmpfs",
+      "/tmp:rw,exec,mode=1777,size=512m",
+      "--tmpfs",
+      "/home/node:rw,exec,mode=1777,size=1g",
+      "-e",
+      "HOME=/home/node",
+      "--cpus",
+      String(limits.cpus),
+      "--memory",
+      String(limits.memory),
+      "--memory-swap",
+      String(limits.memory),
+      "--pids-limit",
+      String(limits.pids),
+    ];
+  }
+
+  // a sinkholed run cannot reach the registry, so `fetch` downloads into
+  // /work beforehand on the default network; npm runs it with scripts off
+  async function prefetch(name, workMount, fetch) {
+    fs.mkdirSync(workMount, { recursive: true });
+    fs.chmodSync(workMount, 0o777);
+    await docker([
+      "run",
+      "-d",
+      "--name",
+      name,
+      ...labels,
+      ...untrustedArgs(workMount),
+      runnerImage,
+      "bash",
+      "-c",
+      fetch,
+    ]);
+    await docker(["wait", name], { timeoutMs: (capSeconds + 60) * 1000 });
+  }
+
+  async function teardown(names, network) {
+    await docker(["rm", "-f", ...names]).catch(() => {});
+    await docker(["network", "rm", network]).catch(() => {});
+  }
+
+  // runs `script` (bash, as the unprivileged node user in /work) and
+  // returns where the capture and trace landed. The script has until the
+  // capture ends; whatever it left running is killed then.
+  async function run(safe, script, { fetch = null } = {}) {
+    const name = `npmsbx-${runId}-${++seq}`;
+    const network = `${name}-net`;
+    const holder = `${name}-holder`;
+    const sidecar = `${name}-capture`;
+    const target = `${name}-target`;
+    const sink = `${name}-sinkhole`;
+    const fetcher = `${name}-fetch`;
+    const dir = path.join(workDir, safe);
+    const outMount = path.join(dir, "out");
+    const capMount = path.join(dir, "cap");
+    const sinkMount = path.join(dir, "sink");
+    const workMount = fetch ? path.join(dir, "work") : null;
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.mkdirSync(outMount, { recursive: true });
+    fs.mkdirSync(capMount, { recursive: true });
+    fs.mkdirSync(sinkMount, { recursive: true });
+    // the container user is not root; this dir is all it may write
+    fs.chmodSync(outMount, 0o777);
+
+    const startedAt = new Date();
+    try {
+      if (fetch) await prefetch(fetcher, workMount, fetch);
+      await docker([
+        "network",
+        "create",
+        ...labels,
+        ...(sinkhole ? ["--internal"] : []),
+        network,
+      ]);
+      let holderCmd = ["sleep", "infinity"];
+      let resolvConf = null;
+      if (sinkhole) {
+        await docker([
+          "run",
+          "-d",
+          "--name",
+          sink,
+          ...labels,
+          "--network",
+          network,
+          "--cap-drop",
+          "ALL",
+          "--cap-add",
+          "NET_ADMIN",
+          "--cap-add",
+          "NET_RAW",
+          "--cap-add",
+          "NET_BIND_SERVICE",
+          "-v",
+          `${path.resolve(sinkMount)}:/log`,
+          sinkholeImage,
+        ]);
+        const [, sinkIp] = await waitForLog(
+          sink,
+          /sinkhole ready on (\S+)/,
+          "sinkhole"
+        );
+        resolvConf = path.join(sinkMount, "resolv.conf");
+        fs.writeFileSync(resolvConf, `nameserver ${sinkIp}\n`);
+        resolvConf = path.resolve(resolvConf);
+        // addresses the package dials directly go to the sinkhole as well
+        holderCmd = [
+          "sh",
+          "-c",
+          `ip route replace default via ${sinkIp} && echo routed && exec sleep infinity`,
+        ];
+      }
+      await docker([
+        "run",
+        "-d",
+        "--name",
+        holder,
+        ...labels,
+        "--network",
+        network,
+        "--cap-drop",
+        "ALL",
+        // setting the route needs root + NET_ADMIN in the namespace; the
+        // untrusted container joining it gets neither
+        ...(sinkhole ? ["--user", "root", "--cap-add", "NET_ADMIN"] : []),
+        "--security-opt",
+        "no-new-privileges",
+        "--memory",
+        "32m",
+        "--pids-limit",
+        "8",
+        runnerImage,
+        ...holderCmd,
+      ]);
+      if (sinkhole) await waitForLog(holder, /routed/, "network holder");
+      await docker([
+        "run",
+        "-d",
+        "--name",
+        sidecar,
+        ...labels,
+        "--network",
+        `container:${holder}`,
+        "--cap-drop",
+        "ALL",
+        "--cap-add",
+        "NET_ADMIN",
+        "--cap-add",
+        "NET_RAW",
+        "-v",
+        `${path.resolve(capMount)}:/cap`,
+        captureImage,
+        "tshark",
+        "-i",
+        "any",
+        "-a",
+        `duration:${capSeconds}`,
+        "-w",
+        "/cap/capture.pcap",
+      ]);
+      await waitForLog(sidecar, /Capturing on/, "capture sidecar");
+
+      await docker([
+        "run",
+        "-d",
+        "--name",
+        target,
+        ...labels,
+        "--network",
+        `container:${holder}`,
+        ...untrustedArgs(workMount),
+        "-v",
+        `${path.resolve(outMount)}:/out`,
+        "-v",
+        `${SANDBOX_DIR}:/trace:ro`,
+        ...(resolvConf ? ["-v", `${resolvConf}:/etc/resolv.conf:ro`] : []),
+        runnerImage,
+        "bash",
+        "-c",
+        script,
+      ]);
+
+      // tshark stops itself after capSeconds; the margin covers the
+      // container start-up before it began counting
+      await docker(["wait", sidecar], {
+        timeoutMs: (capSeconds + 60) * 1000,
+      });
+      const state = await inspectState(target);
+      const finished = fs.existsSync(path.join(outMount, "done.txt"));
+      return {
+        status: finished ? "done" : state.oomKilled ? "oom" : "timeout",
+        oomKilled: state.oomKilled,
+        exitCode: state.running ? null : state.exitCode,
+        startedAt: startedAt.toISOString(),
+        endedAt: new Date().toISOString(),
+        durationMs: Date.now() - startedAt.getTime(),
+        pcap: path.join(capMount, "capture.pcap"),
+        trace: path.join(outMount, "trace.jsonl"),
+        sinkholeLog: sinkhole ? path.join(sinkMount, "sinkhole.jsonl") : null,
+        dir,
+      };
+    } finally {
+      await teardown([target, sidecar, holder, sink, fetcher], network);
+    }
+  }
+
+  // everything this runner started, e.g. on SIGINT
+  async function cleanup() {
+    const ids = (
+      await docker([
+        "ps",
+        "-aq",
+        "--filter",
+        `label=${LABEL}.run=${runId}`,
+      ]).catch(() => "")
+    )
+      .split("\n")
+      .filter(Boolean);
+    if (ids.length) await docker(["rm", "-f", ...ids]).catch(() => {});
+    const nets = (
+      await docker([
+        "network",
+        "ls",
+        "-q",
+        "--filter",
+        `label=${LABEL}.run=${runId}`,
+      ]).catch(() => "")
+    )
+      .split("\n")
+      .filter(Boolean);
+    for (const id of nets) await docker(["network", "rm", id]).catch(() => {});
+  }
+
+  return { runId, limits, sinkhole, run, cleanup };
+}
+
+module.exports = {
+  RUNNER_IMAGE,
+  CAPTURE_IMAGE,
+  SINKHOLE_IMAGE,
+  DEFAULT_LIMITS,
+  ensureImages,
+  cleanupOrphans,
+  openRunState,
+  createSandboxRunner,
+};
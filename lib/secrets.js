@@ -0,0 +1,295 @@
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+const { collectFiles } = require("./files");
+
+const MAX_FILES = 5000;
+const MAX_DEPTH = 20;
+const MAX_FILE_BYTES = 2 * 1024 * 1024;
+const MAX_FINDINGS = 200;
+const SEVERITY_ORDER = { critical: 4, high: 3, medium: 2, low: 1, info: 0 };
+
+// provider-specific formats; `group` is the capture holding the secret
+// (whole match otherwise), `valid` a shape the value must also have. kind
+// "exfiltration" marks endpoints that are mostly interesting as a place to
+// send data to. `assignment` patterns take any value after a key, so a bare
+// $VAR / ${VAR} reference there is not a secret.
+const PATTERNS = [
+  {
+    id: "npm-token",
+    provider: "npm",
+    severity: "critical",
+    re: /\bnpm_[A-Za-z0-9]{36}\b/g,
+  },
+  {
+    id: "npmrc-auth",
+    provider: "npm",
+    severity: "critical",
+    re: /(?:_authToken|_auth|_password)\s*=\s*["']?([^\s"']{8,})/g,
+    group: 1,
+    assignment: true,
+  },
+  {
+    id: "aws-access-key-id",
+    provider: "aws",
+    severity: "high",
+    re: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA)[0-9A-Z]{16}\b/g,
+  },
+  {
+    id: "aws-secret-access-key",
+    provider: "aws",
+    severity: "critical",
+    re: /aws_?secret_?(?:access_?)?key["']?\s*[:=]\s*["']?([A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])/gi,
+    group: 1,
+  },
+  {
+    id: "gcp-api-key",
+    provider: "gcp",
+    severity: "high",
+    re: /\bAIza[0-9A-Za-z_-]{35}\b/g,
+  },
+  {
+    id: "gcp-service-account",
+    provider: "gcp",
+    severity: "critical",
+    re: /"private_key_id"\s*:\s*"([0-9a-f]{40})"/g,
+    group: 1,
+  },
+  {
+    id: "private-key",
+    provider: "pki",
+    severity: "critical",
+    re: /-----BEGIN (?:RSA |EC |DSA |OPENSSH |PGP |ENCRYPTED )?PRIVATE KEY(?: BLOCK)?-----([\s\S]{0,8000}?)-----END/g,
+    group: 1,
+    // READMEs show the armor around "..."
+    valid: /[A-Za-z0-9+/=]{32,}/,
+  },
+  {
+    id: "github-token",
+    provider: "github",
+    severity: "critical",
+    re: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{60,})\b/g,
+  },
+  {
+    id: "gitlab-token",
+    provider: "gitlab",
+    severity: "critical",
+    re: /\bglpat-[A-Za-z0-9_-]{20,}/g,
+  },
+  {
+    id: "slack-token",
+    provider: "slack",
+    severity: "high",
+    re: /\bxox[abprs]-[A-Za-z0-9-]{10,}/g,
+  },
+  {
+    id: "stripe-key",
+    provider: "stripe",
+    severity: "critical",
+    re: /\b[rs]k_live_[0-9a-zA-Z]{24,}\b/g,
+  },
+  {
+    id: "sendgrid-key",
+    provider: "sendgrid",
+    severity: "high",
+    re: /\bSG\.[A-Za-z0-9_-]{22}\.[A-Za-z0-9_-]{43}\b/g,
+  },
+  {
+    id: "azure-storage-key",
+    provider: "azure",
+    severity: "high",
+    re: /AccountKey=([A-Za-z0-9+/]{86}==)/g,
+    group: 1,
+  },
+  {
+    id: "ci-token",
+    provider: "ci",
+    severity: "high",
+    re: /\b(?:CIRCLE_TOKEN|CIRCLECI_TOKEN|TRAVIS_API_TOKEN|CODECOV_TOKEN|COVERALLS_REPO_TOKEN|NETLIFY_AUTH_TOKEN|VERCEL_TOKEN|SNYK_TOKEN|SONAR_TOKEN)["']?\s*[:=]\s*["']?([A-Za-z0-9_-]{20,})/g,
+    group: 1,
+  },
+  {
+    id: "jwt",
+    provider: "jwt",
+    severity: "medium",
+    re: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g,
+  },
+  {
+    id: "slack-webhook",
+    provider: "slack",
+    severity: "high",
+    kind: "exfiltration",
+    re: /https:\/\/hooks\.slack\.com\/(?:services|workflows)\/[A-Za-z0-9_/]{20,}/g,
+  },
+  {
+    id: "discord-webhook",
+    provider: "discord",
+    severity: "high",
+    kind: "exfiltration",
+    re: /https:\/\/(?:canary\.|ptb\.)?discord(?:app)?\.com\/api\/webhooks\/\d+\/[A-Za-z0-9_-]+/g,
+  },
+  {
+    id: "telegram-bot-token",
+    provider: "telegram",
+    severity: "high",
+    kind: "exfiltration",
+    re: /\b\d{8,10}:AA[A-Za-z0-9_-]{33}\b/g,
+  },
+];
+
+// KEY=value / key: value in env-style files, judged by entropy alone
+const ASSIGNMENT_RE =
+  /^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_.-]*(?:key|secret|token|passw(?:or)?d|pwd|auth|credential)[A-Za-z0-9_]*)\s*[:=]\s*["']?([^\s"'#]{12,})/gim;
+const CONFIG_FILE =
+  /(^|\/)(\.env(\..+)?|\.npmrc|\.yarnrc(\.yml)?|.*\.(ini|cfg|conf|properties|toml|ya?ml))$/i;
+const MIN_ENTROPY = 3.5;
+
+// obvious placeholders, templates and documentation values
+const PLACEHOLDER =
+  /example|sample|dummy|placeholder|changeme|your[_-]|xxxx|\*\*\*|<[^>]*>|process\.env|^(.)\1+$/i;
+// the whole value is an environment reference; a `$` inside a value is
+// just another character
+const ENV_REF = /^\$(?:\{[A-Z_][A-Z0-9_]*\}|[A-Z_][A-Z0-9_]*)$/;
+
+function entropy(s) {
+  const counts = {};
+  for (const c of s) counts[c] = (counts[c] || 0) + 1;
+  let h = 0;
+  for (const n of Object.values(counts)) {
+    const p = n / s.length;
+    h -= p * Math.log2(p);
+  }
+  return Math.round(h * 100) / 100;
+}
+
+// enough to tell two findings apart, never enough to use the secret
+function mask(value) {
+  if (value.length <= 8) return "*".repeat(value.length);
+  const keep = value.length >= 20 ? 4 : 2;
+  return `${value.slice(0, keep)}${"*".repeat(
+    Math.min(value.length - keep - 2, 16)
+  )}${value.slice(-2)}`;
+}
+
+// lets the same secret be matched across packages without storing it
+function fingerprint(value) {
+  return crypto.createHash("sha256").update(value).digest("hex").slice(0, 16);
+}
+
+function lineOf(text, index) {
+  let line = 1;
+  for (let i = text.indexOf("\n"); i !== -1 && i < index; ) {
+    line++;
+    i = text.indexOf("\n", i + 1);
+  }
+  return line;
+}
+
+function scanText(text, rel) {
+  const found = [];
+  const add = (pattern, raw, index, extra = {}) => {
+    const value = raw.replace(/\s+/g, "");
+    if (value.length < 8 || PLACEHOLDER.test(value)) return;
+    if (pattern.assignment && ENV_REF.test(value)) return;
+    if (pattern.valid && !pattern.valid.test(value)) return;
+    found.push({
+      id: pattern.id,
+      provider: pattern.provider,
+      severity: pattern.severity,
+      kind: pattern.kind || "credential",
+      file: rel,
+      line: lineOf(text, index),
+      match: mask(value),
+      fingerprint: fingerprint(value),
+      ...extra,
+    });
+  };
+
+  for (const p of PATTERNS) {
+    p.re.lastIndex = 0;
+    for (const m of text.matchAll(p.re)) {
+      add(p, p.group ? m[p.group] : m[0], m.index);
+    }
+  }
+
+  if (CONFIG_FILE.test(rel)) {
+    const seen = new Set(found.map((f) => f.line));
+    for (const m of text.matchAll(ASSIGNMENT_RE)) {
+      const value = m[2];
+      const h = entropy(value);
+      const line = lineOf(text, m.index);
+      if (h < MIN_ENTROPY || seen.has(line)) continue;
+      add(
+        {
+          id: "high-entropy-secret",
+          provider: "generic",
+          severity: "medium",
+          assignment: true,
+        },
+        value,
+        m.index + m[0].indexOf(value),
+        { key: m[1], entropy: h }
+      );
+    }
+  }
+  return found;
+}
+
+// every file in the extracted tree, not just the .js ones; values are
+// masked and fingerprinted, never returned as found
+async function scanSecrets(realRoot) {
+  const files = await collectFiles(realRoot, () => true, MAX_FILES, MAX_DEPTH);
+  let pkg = {};
+  try {
+    pkg = JSON.parse(
+      await fs.readFile(path.join(realRoot, "package.json"), "utf8")
+    );
+  } catch (_) {}
+
+  const findings = [];
+  const skipped = [];
+  for (const file of files) {
+    const rel = path.relative(realRoot, file).split(path.sep).join("/");
+    try {
+      const { size } = await fs.stat(file);
+      if (size > MAX_FILE_BYTES) {
+        skipped.push({ file: rel, reason: "too large" });
+        continue;
+      }
+      const buf = await fs.readFile(file);
+      if (buf.subarray(0, 8000).includes(0)) {
+        skipped.push({ file: rel, reason: "binary" });
+        continue;
+      }
+      findings.push(...scanText(buf.toString("utf8"), rel));
+    } catch (e) {
+      skipped.push({ file: rel, reason: e.message });
+    }
+  }
+
+  // the same value counts once per file, under the first (most specific)
+  // pattern that caught it
+  const unique = [
+    ...new Map(
+      findings.reverse().map((f) => [`${f.file}:${f.fingerprint}`, f])
+    ).values(),
+  ].sort((a, b) => SEVERITY_ORDER[b.severity] - SEVERITY_ORDER[a.severity]);
+
+  const bySeverity = {};
+  for (const f of unique)
+    bySeverity[f.severity] = (bySeverity[f.severity] || 0) + 1;
+  return {
+    name: pkg.name || null,
+    version: pkg.version || null,
+    dir: realRoot,
+    filesScanned: files.length - skipped.length,
+    truncated: files.length >= MAX_FILES,
+    skipped,
+    bySeverity,
+    exfiltration: unique.some((f) => f.kind === "exfiltration"),
+    findings: unique.slice(0, MAX_FINDINGS),
+    totalFindings: unique.length,
+  };
+}
+
+module.exports = { PATTERNS, scanSecrets, scanText, mask };
@@ -0,0 +1,136 @@
+const fs = require("fs").promises;
+const { SENSITIVE_ENV } = require("./trace");
+
+// credentials worth flagging when they leave the sandbox
+const TOKEN_PATTERNS = [
+  { name: "npm-token", re: /\bnpm_[A-Za-z0-9]{36}\b/ },
+  { name: "github-token", re: /\bgh[pousr]_[A-Za-z0-9]{36,}\b/ },
+  { name: "aws-access-key", re: /\b(AKIA|ASIA)[0-9A-Z]{16}\b/ },
+  { name: "slack-token", re: /\bxox[abprs]-[A-Za-z0-9-]{10,}/ },
+  { name: "private-key", re: /-----BEGIN [A-Z ]*PRIVATE KEY-----/ },
+  { name: "npmrc-auth", re: /_authToken\s*=|_auth\s*=/ },
+];
+// variables every environment has; several together mean an env dump
+const COMMON_ENV = [
+  "PATH",
+  "HOME",
+  "USER",
+  "SHELL",
+  "PWD",
+  "HOSTNAME",
+  "NODE_VERSION",
+  "npm_config_user_agent",
+  "npm_lifecycle_event",
+];
+
+function bodyText(body) {
+  if (!body) return "";
+  return body.encoding === "base64"
+    ? Buffer.from(body.data, "base64").toString("latin1")
+    : body.data;
+}
+
+// long base64 runs are decoded once, since payloads often wrap the data
+function withDecoded(text) {
+  const decoded = (text.match(/[A-Za-z0-9+/]{40,}={0,2}/g) || [])
+    .slice(0, 20)
+    .map((b) => Buffer.from(b, "base64").toString("latin1"));
+  return [text, ...decoded].join("\n");
+}
+
+// what a request body / URL / header set gives away -> ["npm-token", ...]
+function exfilIndicators(text) {
+  if (!text) return [];
+  const t = withDecoded(text);
+  const found = TOKEN_PATTERNS.filter((p) => p.re.test(t)).map((p) => p.name);
+  const envNames = COMMON_ENV.filter((n) =>
+    new RegExp(`(^|[\\s"'&,{])${n}["']?\\s*[=:]`).test(t)
+  );
+  if (envNames.length >= 3) found.push("env-dump");
+  const assigned = t.match(/\b[A-Z][A-Z0-9_]{2,}(?=["']?\s*[=:])/g) || [];
+  if (assigned.some((n) => SENSITIVE_ENV.test(n))) found.push("sensitive-env");
+  if (/\/etc\/passwd|root:x:0:0:/.test(t)) found.push("passwd");
+  return found;
+}
+
+function parseLog(text) {
+  const events = [];
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    try {
+      events.push(JSON.parse(line));
+    } catch (_) {}
+  }
+  return events;
+}
+
+function requestUrl(e) {
+  const scheme = e.tls ? "https" : "http";
+  const host = e.host || e.servername || "unknown";
+  return /^https?:\/\//i.test(e.url) ? e.url : `${scheme}://${host}${e.url}`;
+}
+
+// sandbox/sinkhole.js JSON lines -> what the package asked for and sent
+function summarizeSinkhole(text) {
+  const events = parseLog(text);
+  const of = (type) => events.filter((e) => e.type === type);
+
+  const requests = of("http").map((e) => {
+    const url = requestUrl(e);
+    const headers = Object.entries(e.headers || {})
+      .map(([k, v]) => `${k}: ${v}`)
+      .join("\n");
+    const indicators = [
+      ...new Set(exfilIndicators([url, headers, bodyText(e.body)].join("\n"))),
+    ];
+    return {
+      method: e.method,
+      url,
+      tls: Boolean(e.tls),
+      userAgent: (e.headers || {})["user-agent"] || null,
+      contentType: (e.headers || {})["content-type"] || null,
+      bodyBytes: e.bodyBytes || 0,
+      indicators,
+    };
+  });
+  const tcp = of("tcp").map((e) => ({
+    bytes: e.bytes,
+    preview: bodyText(e.data).slice(0, 200),
+    indicators: exfilIndicators(bodyText(e.data)),
+  }));
+
+  return {
+    events: events.length,
+    dnsQueries: [...new Set(of("dns").map((e) => e.name))],
+    tlsServerNames: [...new Set(of("tls").map((e) => e.servername))],
+    // clients that verified our certificate and hung up
+    tlsRejected: of("tls-error").length,
+    requests,
+    // likely second stages: anything fetched rather than posted
+    downloadUrls: [
+      ...new Set(
+        requests
+          .filter((r) => r.method === "GET" && r.bodyBytes === 0)
+          .map((r) => r.url)
+      ),
+    ],
+    exfiltration: [
+      ...requests
+        .filter((r) => r.indicators.length)
+        .map((r) => ({
+          via: `${r.method} ${r.url}`,
+          indicators: r.indicators,
+        })),
+      ...tcp
+        .filter((c) => c.indicators.length)
+        .map((c) => ({ via: "tcp", indicators: c.indicators })),
+    ],
+    tcp,
+  };
+}
+
+async function readSinkholeLog(file) {
+  return summarizeSinkhole(await fs.readFile(file, "utf8"));
+}
+
+module.exports = { summarizeSinkhole, readSinkholeLog, exfilIndicators };
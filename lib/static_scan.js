@@ -0,0 +1,182 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { parseSource } = require("./ast");
+const { analyzeObfuscation } = require("./obfuscation");
+const {
+  analyzeCapabilities,
+  summarizeCapabilities,
+} = require("./capabilities");
+const { scanLifecycle } = require("./lifecycle");
+const {
+  collectFiles,
+  collectJsFiles,
+  writeScannerOutput,
+  removeScannerOutputs,
+} = require("./files");
+const rules = require("./rules");
+const { unpack, unpackedName } = require("./unpack");
+
+// worth a static unpacking pass even when the file doesn't look obfuscated:
+// eval-like calls, or an encoded literal being decoded (not every
+// digest("hex") / toString("base64"))
+const PAYLOAD_HINT =
+  /\b(?:eval|Function|runInThisContext|runInNewContext)\s*\(|\batob\s*\(\s*(["'`])[A-Za-z0-9+/=_-]{16,}\1\s*\)|\bBuffer\.from\s*\(\s*(["'`])[A-Za-z0-9+/=_-]{16,}\2\s*,\s*["'`](?:base64|base64url|hex)["'`]/;
+
+// runs the recovered source (and each eval layer) back through the source
+// analyzers; with `save` it is also written next to the original
+async function unpackSource(file, rel, code, ruleSet, save) {
+  const result = unpack(code, { file });
+  if (!result.worthSaving) return null;
+  const outputs = [
+    { layer: 0, depth: 0, kind: "file", code: result.code },
+    ...result.layers.map((l) => ({
+      layer: l.index,
+      depth: l.depth,
+      kind: l.kind,
+      code: l.code,
+    })),
+  ];
+  const files = [];
+  const capabilities = [];
+  const matches = [];
+  for (const out of outputs) {
+    const outRel = unpackedName(rel, out.layer);
+    const entry = {
+      file: outRel,
+      layer: out.layer,
+      depth: out.depth,
+      kind: out.kind,
+      saved: save,
+    };
+    if (save) {
+      try {
+        await writeScannerOutput(unpackedName(file, out.layer), out.code);
+      } catch (e) {
+        entry.saved = false;
+        entry.error = e.message;
+      }
+    }
+    const parsed = parseSource(out.code);
+    const verdict = analyzeObfuscation(out.code, parsed);
+    entry.score = verdict.score;
+    entry.obfuscated = verdict.obfuscated;
+    capabilities.push(...analyzeCapabilities(out.code, parsed.ast, outRel));
+    matches.push(
+      ...rules.matchSource(ruleSet, {
+        text: out.code,
+        ast: parsed.ast,
+        file: outRel,
+      })
+    );
+    files.push(entry);
+  }
+  return {
+    unpacked: {
+      files,
+      stats: result.stats,
+      depthLimited: result.layers.some((l) => l.truncated),
+    },
+    capabilities,
+    matches,
+  };
+}
+
+// obfuscation + capabilities + source/file rules over an extracted package.
+// `saveUnpacked` writes recovered sources into realRoot (replacing those of
+// an earlier scan); leave it off for trees the scanner doesn't own, like a
+// project's node_modules
+async function scanSources(
+  realRoot,
+  ruleSet = rules.getRuleSet(),
+  { saveUnpacked = false } = {}
+) {
+  const hasObfuscationRules = ruleSet.rules.some(
+    (r) => r.type === "obfuscation"
+  );
+  if (saveUnpacked) await removeScannerOutputs(realRoot);
+  const jsFiles = await collectJsFiles(realRoot);
+  const results = [];
+  const matches = [];
+  const capabilityEntries = [];
+  let score = 0;
+  for (const file of jsFiles) {
+    const rel = path.relative(realRoot, file);
+    try {
+      const code = await fs.readFile(file, "utf8");
+      const parsed = parseSource(code);
+      const verdict = analyzeObfuscation(code, parsed);
+      const obfMatches = rules.matchObfuscation(ruleSet, verdict, rel);
+      if (hasObfuscationRules) verdict.obfuscated = obfMatches.length > 0;
+      score = Math.max(score, verdict.score);
+      capabilityEntries.push(...analyzeCapabilities(code, parsed.ast, rel));
+      matches.push(
+        ...obfMatches,
+        ...rules.matchSource(ruleSet, {
+          text: code,
+          ast: parsed.ast,
+          file: rel,
+        })
+      );
+      const entry = { file: rel, ...verdict };
+      if (verdict.obfuscated || PAYLOAD_HINT.test(code)) {
+        try {
+          const recovered = await unpackSource(
+            file,
+            rel,
+            code,
+            ruleSet,
+            saveUnpacked
+          );
+          if (recovered) {
+            entry.unpacked = recovered.unpacked;
+            capabilityEntries.push(...recovered.capabilities);
+            matches.push(...recovered.matches);
+          }
+        } catch (e) {
+          entry.unpacked = { error: e.message };
+        }
+      }
+      results.push(entry);
+    } catch (e) {
+      results.push({ file: rel, error: e.message });
+    }
+  }
+  const allFiles = await collectFiles(realRoot, () => true, 2000, 8);
+  matches.push(
+    ...rules.matchFiles(
+      ruleSet,
+      allFiles.map((f) => path.relative(realRoot, f))
+    )
+  );
+  const pkgJson = JSON.parse(
+    await fs.readFile(path.join(realRoot, "package.json"), "utf8")
+  );
+  return {
+    dir: realRoot,
+    name: pkgJson.name,
+    version: pkgJson.version,
+    fileCount: jsFiles.length,
+    score,
+    obfuscated: results.some((r) => r.obfuscated),
+    results,
+    unpacked: results
+      .filter((r) => r.unpacked && r.unpacked.files)
+      .flatMap((r) => r.unpacked.files.map((u) => ({ source: r.file, ...u }))),
+    capabilities: {
+      ...summarizeCapabilities(capabilityEntries),
+      entries: capabilityEntries,
+    },
+    rules: rules.ruleReport(ruleSet, rules.applySuppression(ruleSet, matches)),
+  };
+}
+
+async function scanLifecycleWithRules(realRoot, ruleSet = rules.getRuleSet()) {
+  const result = await scanLifecycle(realRoot, ruleSet);
+  return {
+    dir: realRoot,
+    ...result,
+    rules: rules.ruleReport(ruleSet, result.findings),
+  };
+}
+
+module.exports = { scanSources, scanLifecycleWithRules };
@@ -0,0 +1,410 @@
+const fs = require("fs").promises;
+const fsSync = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { EXECUTABLE, detectType } = require("./artifacts");
+
+// caps for one archive; going over any of them aborts the extraction
+const LIMITS = {
+  maxFiles: Number(process.env.TARBALL_MAX_FILES) || 20000,
+  maxBytes: Number(process.env.TARBALL_MAX_BYTES) || 256 * 1024 * 1024,
+  maxFileBytes: Number(process.env.TARBALL_MAX_FILE_BYTES) || 64 * 1024 * 1024,
+  maxHeaderBytes: 1024 * 1024,
+};
+// unpacked / packed size above this is reported (source code packs ~5-10x)
+const SUSPICIOUS_RATIO = 100;
+const SEVERITY_ORDER = { critical: 4, high: 3, medium: 2, low: 1, info: 0 };
+const MAX_PATHS = 50;
+
+// dotfiles that routinely end up in published packages
+const COMMON_DOTFILES = new Set([
+  ".npmignore",
+  ".gitignore",
+  ".gitattributes",
+  ".gitkeep",
+  ".editorconfig",
+  ".travis.yml",
+  ".nvmrc",
+  ".browserslistrc",
+  ".jshintrc",
+  ".jscsrc",
+  ".eslintignore",
+  ".prettierignore",
+  ".nycrc",
+  ".airtap.yml",
+  ".zuul.yml",
+  ".documentup.json",
+]);
+const COMMON_DOTFILE =
+  /^\.(eslintrc|prettierrc|babelrc|mocharc|github|vscode|husky|circleci|changeset)/;
+
+function tarError(message) {
+  return new Error(`TARBALL_REJECTED: ${message}`);
+}
+
+function cString(buf, start, end) {
+  const field = buf.subarray(start, end);
+  const nul = field.indexOf(0);
+  return field.subarray(0, nul === -1 ? field.length : nul).toString("utf8");
+}
+
+// octal, or base-256 when the top bit is set (GNU, for sizes >= 8 GiB)
+function numeric(buf, start, end) {
+  const field = buf.subarray(start, end);
+  if (field[0] & 0x80) {
+    let n = field[0] & 0x7f;
+    for (let i = 1; i < field.length; i++) n = n * 256 + field[i];
+    return n;
+  }
+  const s = cString(buf, start, end).trim();
+  return s ? parseInt(s, 8) : 0;
+}
+
+function checksumOk(block) {
+  let sum = 0;
+  for (let i = 0; i < 512; i++) {
+    sum += i >= 148 && i < 156 ? 0x20 : block[i];
+  }
+  return sum === numeric(block, 148, 156);
+}
+
+function parseHeader(block) {
+  if (!checksumOk(block)) throw tarError("bad header checksum");
+  const prefix =
+    cString(block, 257, 262) === "ustar" ? cString(block, 345, 500) : "";
+  const name = cString(block, 0, 100);
+  return {
+    path: prefix ? `${prefix}/${name}` : name,
+    mode: numeric(block, 100, 108),
+    size: numeric(block, 124, 136),
+    type: String.fromCharCode(block[156] || 0x30),
+    linkpath: cString(block, 157, 257),
+  };
+}
+
+// "<len> key=value\n" records
+function parsePax(buf) {
+  const out = {};
+  let i = 0;
+  while (i < buf.length) {
+    const space = buf.indexOf(0x20, i);
+    const len = parseInt(buf.toString("utf8", i, space), 10);
+    if (space === -1 || !len) break;
+    const record = buf.toString("utf8", space + 1, i + len - 1);
+    const eq = record.indexOf("=");
+    if (eq > 0) out[record.slice(0, eq)] = record.slice(eq + 1);
+    i += len;
+  }
+  return out;
+}
+
+// archive path -> relative path, or the reason it is refused
+function normalizeEntry(name) {
+  if (name.includes("\0")) return { reason: "absolute-path" };
+  const p = name.replace(/\\/g, "/");
+  if (p.startsWith("/") || /^[a-zA-Z]:/.test(p)) {
+    return { reason: "absolute-path" };
+  }
+  const parts = p.split("/").filter((s) => s && s !== ".");
+  if (parts.includes("..")) return { reason: "path-traversal" };
+  return { rel: parts.join("/") };
+}
+
+// a file inside an archive can't see outside it, so a link whose target
+// leaves the package is the interesting case
+function linkEscapes(rel, target, hard) {
+  if (target.startsWith("/") || /^[a-zA-Z]:/.test(target)) return true;
+  const from = hard ? "" : path.posix.dirname(rel);
+  const resolved = path.posix.normalize(path.posix.join(from, target));
+  return resolved === ".." || resolved.startsWith("../");
+}
+
+function createFindings() {
+  const byId = new Map();
+  return {
+    add(id, severity, file, extra = {}) {
+      let f = byId.get(id);
+      if (!f) {
+        f = { id, severity, count: 0, paths: [], ...extra };
+        byId.set(id, f);
+      }
+      if (SEVERITY_ORDER[severity] > SEVERITY_ORDER[f.severity]) {
+        f.severity = severity;
+      }
+      f.count++;
+      if (file && f.paths.length < MAX_PATHS) f.paths.push(file);
+    },
+    list() {
+      return [...byId.values()].sort(
+        (a, b) => SEVERITY_ORDER[b.severity] - SEVERITY_ORDER[a.severity]
+      );
+    },
+  };
+}
+
+function fileFindings(findings, rel, head) {
+  const base = path.posix.basename(rel);
+  if (base === ".npmrc") {
+    // can hold registry tokens or point installs at another registry
+    findings.add("npmrc", "high", rel);
+  } else if (/^\.env(\..+)?$/.test(base)) {
+    findings.add("env-file", "high", rel);
+  } else if (
+    rel
+      .split("/")
+      .some(
+        (s) =>
+          s.startsWith(".") &&
+          !COMMON_DOTFILES.has(s) &&
+          !COMMON_DOTFILE.test(s)
+      )
+  ) {
+    findings.add("hidden-file", "low", rel);
+  }
+  const type = detectType(head, rel);
+  if (EXECUTABLE.has(type) || type === "wasm" || type === "node-addon") {
+    findings.add("binary", "medium", `${rel} (${type})`);
+  }
+}
+
+// the parent must resolve inside destDir before anything is created in it:
+// whatever already exists there could be a symlink
+async function safeParent(destDir, realDest, target, made) {
+  const dir = path.dirname(target);
+  if (made.has(dir)) return;
+  let existing = dir;
+  while (!fsSync.existsSync(existing) && existing !== destDir) {
+    existing = path.dirname(existing);
+  }
+  const real = await fs.realpath(existing);
+  if (real !== realDest && !real.startsWith(realDest + path.sep)) {
+    throw tarError(
+      `${path.relative(destDir, target)} resolves outside ${destDir}`
+    );
+  }
+  await fs.mkdir(dir, { recursive: true });
+  made.add(dir);
+}
+
+async function writeEntry(target, data, mode) {
+  try {
+    const st = await fs.lstat(target);
+    if (st.isDirectory()) return false;
+    await fs.unlink(target);
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e;
+  }
+  // no setuid/setgid/sticky, only the exec bit survives
+  await fs.writeFile(target, data, { mode: mode & 0o111 ? 0o755 : 0o644 });
+  return true;
+}
+
+// gzip or plain tar; nothing leaves destDir, links/devices are never
+// created (they are recorded instead), and LIMITS abort the extraction.
+// Returns what was written plus findings shaped like the other signals.
+async function extractTarball(file, destDir, { limits = {} } = {}) {
+  const caps = { ...LIMITS, ...limits };
+  await fs.mkdir(destDir, { recursive: true });
+  const dest = path.resolve(destDir);
+  const realDest = await fs.realpath(dest);
+  const compressedBytes = (await fs.stat(file)).size;
+
+  const fd = await fs.open(file, "r");
+  const magic = Buffer.alloc(2);
+  await fd.read(magic, 0, 2, 0);
+  await fd.close();
+  const raw = fsSync.createReadStream(file);
+  const gzipped = magic[0] === 0x1f && magic[1] === 0x8b;
+  const stream = gzipped ? raw.pipe(zlib.createGunzip()) : raw;
+  if (gzipped) raw.on("error", (e) => stream.destroy(e));
+
+  const findings = createFindings();
+  const seen = new Set();
+  const made = new Set();
+  const roots = new Set();
+  const skipped = [];
+  let files = 0;
+  let dirs = 0;
+  let bytes = 0;
+  let unpackedBytes = 0;
+  let entries = 0;
+
+  let pending = Buffer.alloc(0);
+  let entry = null; // header being read: { ..., remaining, pad, chunks }
+  let pax = {};
+  let longName = null;
+  let longLink = null;
+  let ended = false;
+
+  const skip = (rel, type, reason) => {
+    if (skipped.length < MAX_PATHS) skipped.push({ path: rel, type, reason });
+  };
+
+  async function finishEntry(e) {
+    const data = e.chunks ? Buffer.concat(e.chunks) : null;
+    // global pax headers only carry defaults we don't use
+    if (e.type === "x") pax = parsePax(data);
+    if (e.type === "x" || e.type === "g") return;
+    if (e.type === "L" || e.type === "K") {
+      const s = data.toString("utf8").replace(/\0+$/, "");
+      if (e.type === "L") longName = s;
+      else longLink = s;
+      return;
+    }
+
+    const name = pax.path || longName || e.path;
+    const linkpath = pax.linkpath || longLink || e.linkpath;
+    pax = {};
+    longName = longLink = null;
+    if (++entries > caps.maxFiles) {
+      throw tarError(`more than ${caps.maxFiles} entries`);
+    }
+
+    const { rel, reason } = normalizeEntry(name);
+    if (reason) {
+      findings.add(reason, "critical", name);
+      skip(name, e.type, reason);
+      return;
+    }
+    if (!rel) return;
+    roots.add(rel.split("/")[0]);
+    const target = path.join(dest, ...rel.split("/"));
+
+    if (e.type === "5") {
+      await safeParent(dest, realDest, path.join(target, "x"), made);
+      dirs++;
+      return;
+    }
+    if (e.type === "1" || e.type === "2") {
+      const hard = e.type === "1";
+      const kind = hard ? "hardlink" : "symlink";
+      const escapes = linkEscapes(rel, linkpath, hard);
+      findings.add(
+        escapes ? "link-outside-package" : kind,
+        escapes ? "critical" : "medium",
+        `${rel} -> ${linkpath}`
+      );
+      skip(
+        rel,
+        kind,
+        escapes ? "target outside package" : "links are not extracted"
+      );
+      return;
+    }
+    if (!["0", "7", "\0"].includes(e.type)) {
+      // character/block devices, fifos, vendor extensions
+      findings.add(
+        "special-file",
+        "high",
+        `${rel} (type ${JSON.stringify(e.type)})`
+      );
+      skip(rel, e.type, "unsupported entry type");
+      return;
+    }
+
+    if (seen.has(rel)) findings.add("duplicate-entry", "medium", rel);
+    seen.add(rel);
+    if (e.mode & 0o6000) findings.add("setuid", "medium", rel);
+    fileFindings(findings, rel, data.subarray(0, 4096));
+
+    await safeParent(dest, realDest, target, made);
+    if (await writeEntry(target, data, e.mode)) {
+      files++;
+      bytes += data.length;
+    } else {
+      findings.add("duplicate-entry", "medium", rel);
+      skip(rel, "file", "a directory already has this name");
+    }
+  }
+
+  function startEntry(header) {
+    const size = Number(pax.size || header.size);
+    const meta = ["x", "g", "L", "K"].includes(header.type);
+    const kept = meta || ["0", "7", "\0"].includes(header.type);
+    if (meta && size > caps.maxHeaderBytes) {
+      throw tarError(`extended header of ${size} bytes`);
+    }
+    if (kept && !meta && size > caps.maxFileBytes) {
+      throw tarError(
+        `${header.path}: ${size} bytes (limit ${caps.maxFileBytes})`
+      );
+    }
+    // data of links, dirs and devices is still decompressed to skip it
+    if (unpackedBytes + size > caps.maxBytes) {
+      throw tarError(`more than ${caps.maxBytes} bytes unpacked`);
+    }
+    // links, dirs and devices have nothing worth keeping
+    return {
+      ...header,
+      remaining: size,
+      pad: (512 - (size % 512)) % 512,
+      chunks: kept ? [] : null,
+    };
+  }
+
+  try {
+    for await (const chunk of stream) {
+      // every decompressed byte counts, whatever entry it belongs to
+      unpackedBytes += chunk.length;
+      if (unpackedBytes > caps.maxBytes) {
+        throw tarError(`more than ${caps.maxBytes} bytes unpacked`);
+      }
+      pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+      for (;;) {
+        if (entry) {
+          if (entry.remaining > 0) {
+            if (!pending.length) break;
+            const take = Math.min(entry.remaining, pending.length);
+            if (entry.chunks) entry.chunks.push(pending.subarray(0, take));
+            entry.remaining -= take;
+            pending = pending.subarray(take);
+            if (entry.remaining > 0) break;
+          }
+          if (pending.length < entry.pad) break;
+          pending = pending.subarray(entry.pad);
+          const done = entry;
+          entry = null;
+          await finishEntry(done);
+          continue;
+        }
+        if (pending.length < 512) break;
+        const block = pending.subarray(0, 512);
+        pending = pending.subarray(512);
+        if (block.every((b) => b === 0)) {
+          ended = true;
+          break;
+        }
+        entry = startEntry(parseHeader(block));
+      }
+      // nothing after the end-of-archive marker is read
+      if (ended) break;
+    }
+    raw.destroy();
+  } catch (e) {
+    raw.destroy();
+    throw e.message.startsWith("TARBALL_REJECTED") ? e : tarError(e.message);
+  }
+  if (entry) throw tarError("archive is truncated");
+
+  if (roots.size > 1) {
+    findings.add("multiple-roots", "low", null, {
+      roots: [...roots].slice(0, MAX_PATHS),
+    });
+  }
+  const ratio = compressedBytes ? unpackedBytes / compressedBytes : 0;
+  if (gzipped && ratio > SUSPICIOUS_RATIO && unpackedBytes > 10 * 1024 * 1024) {
+    findings.add("compression-ratio", "high", null, {
+      ratio: Math.round(ratio),
+    });
+  }
+  return {
+    files,
+    dirs,
+    bytes,
+    compressedBytes,
+    skipped,
+    findings: findings.list(),
+  };
+}
+
+module.exports = { LIMITS, extractTarball, normalizeEntry };
@@ -0,0 +1,291 @@
+const fs = require("fs");
+const net = require("net");
+const path = require("path");
+const axios = require("axios");
+
+// ascending severity; the worst verdict across providers wins
+const VERDICTS = ["unknown", "clean", "suspicious", "malicious"];
+const INTEL_DIR =
+  process.env.THREAT_INTEL_DIR || path.join(__dirname, "..", "intel");
+// feeds in blocklists/ mark hosts malicious, feeds in watchlists/ suspicious
+const FEED_DIRS = { blocklists: "malicious", watchlists: "suspicious" };
+const CACHE_COLLECTION = "reputationCache";
+const CACHE_TTL_SECONDS = {
+  malicious: 7 * 24 * 3600,
+  suspicious: 24 * 3600,
+  clean: 24 * 3600,
+  unknown: 3600,
+};
+const VT_MAX_LOOKUPS = Number(process.env.VT_MAX_LOOKUPS || 5);
+const VT_MIN_INTERVAL_MS = Number(process.env.VT_MIN_INTERVAL_MS || 1000);
+
+function normalizeHost(h) {
+  return String(h).toLowerCase().replace(/\.$/, "");
+}
+
+function worse(a, b) {
+  return VERDICTS.indexOf(b) > VERDICTS.indexOf(a) ? b : a;
+}
+
+// one feed line -> { host, exact }. URL feeds (URLhaus CSV/text dumps) name
+// a single host; hosts files and domain lists also cover subdomains
+function feedEntry(line) {
+  const l = line.replace(/\s#.*$/, "").trim();
+  if (!l || l.startsWith("#")) return null;
+  const url = /[a-z][a-z0-9+.-]*:\/\/[^\s",]+/i.exec(l);
+  if (url) {
+    try {
+      return { host: normalizeHost(new URL(url[0]).hostname), exact: true };
+    } catch (_) {
+      return null;
+    }
+  }
+  const parts = l.split(/\s+/);
+  const host =
+    parts.length > 1 && /^(0\.0\.0\.0|127\.0\.0\.1|::1?)$/.test(parts[0])
+      ? parts[1]
+      : parts[0];
+  if (!/^[a-z0-9_-]+(\.[a-z0-9_-]+)+\.?$/i.test(host)) return null;
+  return { host: normalizeHost(host), exact: false };
+}
+
+function loadFeeds(dir = INTEL_DIR) {
+  const entries = new Map();
+  const feeds = [];
+  for (const [sub, verdict] of Object.entries(FEED_DIRS)) {
+    const feedDir = path.join(dir, sub);
+    if (!fs.existsSync(feedDir)) continue;
+    for (const f of fs.readdirSync(feedDir).sort()) {
+      const file = path.join(feedDir, f);
+      if (f.startsWith(".") || !fs.statSync(file).isFile()) continue;
+      let count = 0;
+      for (const line of fs.readFileSync(file, "utf8").split(/\r?\n/)) {
+        const e = feedEntry(line);
+        if (!e) continue;
+        count++;
+        const prev = entries.get(e.host);
+        if (!prev || worse(prev.verdict, verdict) !== prev.verdict) {
+          entries.set(e.host, { verdict, feed: `${sub}/${f}`, exact: e.exact });
+        }
+      }
+      feeds.push({ feed: `${sub}/${f}`, verdict, entries: count });
+    }
+  }
+  return { dir, feeds, entries };
+}
+
+// local feeds on disk; a miss is "unknown", not "clean"
+function blocklistProvider(dir = INTEL_DIR) {
+  const { feeds, entries } = loadFeeds(dir);
+  return {
+    name: "blocklist",
+    cacheable: false,
+    feeds,
+    lookup: async (domain) => {
+      const host = normalizeHost(domain);
+      const hit = entries.get(host);
+      if (hit) {
+        return {
+          verdict: hit.verdict,
+          detail: { feed: hit.feed, entry: host },
+        };
+      }
+      // parent domains of non-URL entries; addresses match exactly
+      const labels = net.isIP(host) ? [] : host.split(".");
+      for (let i = 1; i < labels.length - 1; i++) {
+        const parent = labels.slice(i).join(".");
+        const e = entries.get(parent);
+        if (e && !e.exact) {
+          return {
+            verdict: e.verdict,
+            detail: { feed: e.feed, entry: parent },
+          };
+        }
+      }
+      return { verdict: "unknown", detail: null };
+    },
+  };
+}
+
+function verdictFromVtStats(stats) {
+  if (!stats) return "unknown";
+  const malicious = stats.malicious || 0;
+  const suspicious = stats.suspicious || 0;
+  if (malicious >= 2) return "malicious";
+  if (malicious + suspicious >= 1) return "suspicious";
+  if ((stats.harmless || 0) + (stats.undetected || 0) > 0) return "clean";
+  return "unknown";
+}
+
+// VirusTotal v3; the free API is rate limited, so each provider instance
+// makes at most maxLookups live calls and spaces them out
+function virusTotalProvider(
+  apiKey,
+  { maxLookups = VT_MAX_LOOKUPS, minIntervalMs = VT_MIN_INTERVAL_MS } = {}
+) {
+  let used = 0;
+  let last = 0;
+  return {
+    name: "virustotal",
+    cacheable: true,
+    lookup: async (domain) => {
+      if (used >= maxLookups) {
+        return { verdict: "unknown", detail: null, skipped: true };
+      }
+      used++;
+      const wait = last + minIntervalMs - Date.now();
+      if (wait > 0) await new Promise((r) => setTimeout(r, wait));
+      last = Date.now();
+      const kind = net.isIP(domain) ? "ip_addresses" : "domains";
+      try {
+        const response = await axios.get(
+          `https://www.virustotal.com/api/v3/${kind}/${encodeURIComponent(
+            domain
+          )}`,
+          { headers: { "x-apikey": apiKey } }
+        );
+        const stats = response.data?.data?.attributes?.last_analysis_stats;
+        return { verdict: verdictFromVtStats(stats), detail: { stats } };
+      } catch (err) {
+        if (err.response && err.response.status === 404) {
+          return { verdict: "unknown", detail: { notFound: true } };
+        }
+        throw err;
+      }
+    },
+  };
+}
+
+const indexed = new WeakSet();
+
+async function cacheCollection(db) {
+  const collection = db.collection(CACHE_COLLECTION);
+  if (!indexed.has(db)) {
+    indexed.add(db);
+    await collection.createIndex({ provider: 1, domain: 1 }, { unique: true });
+    await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+  }
+  return collection;
+}
+
+async function readCache(db, provider, domain) {
+  if (!db) return null;
+  try {
+    const collection = await cacheCollection(db);
+    const doc = await collection.findOne({
+      provider,
+      domain,
+      expiresAt: { $gt: new Date() },
+    });
+    return doc
+      ? { verdict: doc.verdict, detail: doc.detail, cached: true }
+      : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+async function writeCache(db, provider, domain, result) {
+  if (!db) return;
+  const ttl = CACHE_TTL_SECONDS[result.verdict] || CACHE_TTL_SECONDS.unknown;
+  try {
+    const collection = await cacheCollection(db);
+    await collection.updateOne(
+      { provider, domain },
+      {
+        $set: {
+          verdict: result.verdict,
+          detail: result.detail,
+          checkedAt: new Date(),
+          expiresAt: new Date(Date.now() + ttl * 1000),
+        },
+      },
+      { upsert: true }
+    );
+  } catch (err) {
+    console.error(`reputation cache write failed for ${domain}:`, err.message);
+  }
+}
+
+// providers are consulted in order; remote ones go through the Mongo cache
+function createThreatIntel({ db = null, providers }) {
+  async function lookup(domain) {
+    const host = normalizeHost(domain);
+    const sources = [];
+    for (const p of providers) {
+      let result = p.cacheable ? await readCache(db, p.name, host) : null;
+      if (!result) {
+        try {
+          result = await p.lookup(host);
+          if (p.cacheable && !result.skipped) {
+            await writeCache(db, p.name, host, result);
+          }
+        } catch (err) {
+          result = { verdict: "unknown", error: err.message };
+        }
+      }
+      sources.push({ source: p.name, ...result });
+      // nothing can outrank malicious; save the remote lookups
+      if (result.verdict === "malicious") break;
+    }
+    let verdict = "unknown";
+    let source = null;
+    for (const s of sources) {
+      if (worse(verdict, s.verdict) !== verdict) {
+        verdict = s.verdict;
+        source = s.source;
+      }
+    }
+    return { domain: host, verdict, source, sources };
+  }
+
+  // -> { domain: normalized verdict }
+  async function lookupMany(domains) {
+    const out = {};
+    for (const d of new Set((domains || []).filter(Boolean))) {
+      out[d] = await lookup(d);
+    }
+    return out;
+  }
+
+  return { providers: providers.map((p) => p.name), lookup, lookupMany };
+}
+
+let sharedBlocklist = null;
+
+function getBlocklistProvider() {
+  if (!sharedBlocklist) sharedBlocklist = blocklistProvider();
+  return sharedBlocklist;
+}
+
+function reloadBlocklistProvider() {
+  sharedBlocklist = blocklistProvider();
+  return sharedBlocklist;
+}
+
+// local feeds always; VirusTotal only with a key and when remote is allowed
+function defaultThreatIntel(
+  db,
+  { remote = true, maxLookups = VT_MAX_LOOKUPS } = {}
+) {
+  const providers = [getBlocklistProvider()];
+  if (remote && process.env.VIRUSTOTAL_API_KEY) {
+    providers.push(
+      virusTotalProvider(process.env.VIRUSTOTAL_API_KEY, { maxLookups })
+    );
+  }
+  return createThreatIntel({ db, providers });
+}
+
+module.exports = {
+  VERDICTS,
+  createThreatIntel,
+  defaultThreatIntel,
+  blocklistProvider,
+  virusTotalProvider,
+  getBlocklistProvider,
+  reloadBlocklistProvider,
+  verdictFromVtStats,
+  loadFeeds,
+  feedEntry,
+};
@@ -0,0 +1,132 @@
+const fs = require("fs").promises;
+
+// files an install has no business touching
+const SENSITIVE_FILES = [
+  /(^|\/)\.npmrc$/,
+  /(^|\/)\.yarnrc(\.yml)?$/,
+  /^\/etc\/(passwd|shadow|sudoers|hosts)$/,
+  /(^|\/)\.ssh(\/|$)/,
+  /(^|\/)\.aws\/(credentials|config)$/,
+  /(^|\/)\.docker\/config\.json$/,
+  /(^|\/)\.kube\/config$/,
+  /(^|\/)\.gitconfig$/,
+  /(^|\/)\.git-credentials$/,
+  /(^|\/)\.(bash|zsh)_history$/,
+  /(^|\/)\.env(\.[\w-]+)?$/,
+  /(^|\/)\.config\/gcloud\//,
+  /(^|\/)\.mozilla\/|\/google-chrome\//,
+];
+const SENSITIVE_ENV =
+  /TOKEN|SECRET|PASSW(OR)?D|API_?KEY|PRIVATE|CREDENTIAL|^AWS_|_AUTH$|^NPM_CONFIG__AUTH/i;
+
+function isSensitiveFile(p) {
+  return SENSITIVE_FILES.some((re) => re.test(p));
+}
+
+function parseEvents(text) {
+  const events = [];
+  let invalid = 0;
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    try {
+      events.push(JSON.parse(line));
+    } catch (_) {
+      // a process killed mid-write leaves a partial last line
+      invalid++;
+    }
+  }
+  return { events, invalid };
+}
+
+function uniqueBy(items, key) {
+  const seen = new Set();
+  return items.filter((i) => {
+    const k = key(i);
+    if (seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+}
+
+// trace_hook.js JSON lines -> ordered timeline with a per-category summary
+function buildTimeline(text) {
+  const { events, invalid } = parseEvents(text);
+  events.sort((a, b) => a.ts - b.ts);
+  const start = events.length ? events[0].ts : null;
+  const timeline = events.map((e) => ({ t: e.ts - start, ...e }));
+
+  const phases = {};
+  for (const e of events) {
+    const p = (phases[e.phase] = phases[e.phase] || {
+      start: e.ts,
+      end: e.ts,
+      events: 0,
+    });
+    p.end = e.ts;
+    p.events++;
+  }
+  for (const p of Object.values(phases)) {
+    p.start = new Date(p.start).toISOString();
+    p.end = new Date(p.end).toISOString();
+  }
+
+  const of = (type) => events.filter((e) => e.type === type);
+  const files = of("file");
+  const env = of("env");
+  const summary = {
+    processes: of("process-start").map((e) => ({
+      pid: e.pid,
+      ppid: e.ppid,
+      phase: e.phase,
+      argv: e.argv,
+    })),
+    spawned: of("spawn").map((e) => ({
+      phase: e.phase,
+      api: e.api,
+      command: e.command,
+      args: e.args,
+    })),
+    filesRead: [
+      ...new Set(files.filter((e) => e.op === "read").map((e) => e.path)),
+    ],
+    filesWritten: [
+      ...new Set(files.filter((e) => e.op === "write").map((e) => e.path)),
+    ],
+    sensitiveFiles: uniqueBy(
+      files
+        .filter((e) => isSensitiveFile(e.path))
+        .map((e) => ({ path: e.path, op: e.op, phase: e.phase })),
+      (f) => `${f.op}|${f.path}|${f.phase}`
+    ),
+    envRead: [
+      ...new Set(env.filter((e) => e.op === "read").map((e) => e.name)),
+    ],
+    envEnumerated: env.some((e) => e.op === "enumerate"),
+    dns: [...new Set(of("dns").map((e) => e.host))],
+    connections: uniqueBy(
+      of("connect").map((e) => ({
+        phase: e.phase,
+        protocol: e.protocol,
+        host: e.host || e.path || null,
+        port: e.port || null,
+      })),
+      (c) => `${c.phase}|${c.protocol}|${c.host}|${c.port}`
+    ),
+    tlsServerNames: [...new Set(of("tls").map((e) => e.servername))],
+  };
+  summary.sensitiveEnv = summary.envRead.filter((n) => SENSITIVE_ENV.test(n));
+
+  return { eventCount: timeline.length, invalid, phases, summary, timeline };
+}
+
+async function readTimeline(file) {
+  return buildTimeline(await fs.readFile(file, "utf8"));
+}
+
+module.exports = {
+  buildTimeline,
+  readTimeline,
+  isSensitiveFile,
+  SENSITIVE_FILES,
+  SENSITIVE_ENV,
+};
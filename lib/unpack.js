@@ -0,0 +1,993 @@
+const path = require("path");
+const walk = require("acorn-walk");
+const { parseSource } = require("./ast");
+
+// eval / new Function layers unwrapped below the file itself
+const MAX_DEPTH = Number(process.env.UNPACK_MAX_DEPTH || 5);
+// evaluator steps per layer; a decoder-heavy file needs a few per call
+const MAX_STEPS = 2000000;
+// longer results stay as they were instead of being inlined
+const MAX_INLINE = 256 * 1024;
+const MAX_VALUE = 4 * 1024 * 1024;
+const MIN_STRING_ARRAY = 5;
+
+const U = Symbol("unresolved");
+
+// x.js -> x.js.unpacked.js, eval layers x.js.unpacked.1.js, ...
+function unpackedName(file, layer = 0) {
+  return layer ? `${file}.unpacked.${layer}.js` : `${file}.unpacked.js`;
+}
+
+function isStringArray(node) {
+  return (
+    node &&
+    node.type === "ArrayExpression" &&
+    node.elements.length >= MIN_STRING_ARRAY &&
+    node.elements.every(
+      (e) => e && e.type === "Literal" && typeof e.value === "string"
+    )
+  );
+}
+
+function propName(member) {
+  if (member.type !== "MemberExpression") return null;
+  if (!member.computed && member.property.type === "Identifier") {
+    return member.property.name;
+  }
+  return member.property.type === "Literal" ? member.property.value : null;
+}
+
+// eval, (0, eval), globalThis.eval ... -> "eval"
+function calleeName(callee) {
+  if (callee.type === "Identifier") return callee.name;
+  if (callee.type === "SequenceExpression") {
+    return calleeName(callee.expressions[callee.expressions.length - 1]);
+  }
+  if (
+    callee.type === "MemberExpression" &&
+    callee.object.type === "Identifier" &&
+    ["window", "global", "globalThis", "self"].includes(callee.object.name)
+  ) {
+    return propName(callee);
+  }
+  return null;
+}
+
+// decoded payloads that are code or commands, not embedded binary (wasm,
+// lookup tables)
+function isText(v) {
+  const s =
+    typeof v === "string"
+      ? v
+      : v && v.buffer instanceof Buffer
+      ? v.buffer.toString("latin1")
+      : "";
+  return s.length > 0 && /^[\t\n\r\x20-\x7e]*$/.test(s.slice(0, 1024));
+}
+
+const isPrimitive = (v) =>
+  v === null || ["string", "number", "boolean", "undefined"].includes(typeof v);
+
+// ---------------------------------------------------------------------------
+// what the file declares: single-assignment constants, string arrays (plain
+// or behind an accessor function) and the functions that index into them
+
+function bindingNames(pattern, out) {
+  if (!pattern) return;
+  switch (pattern.type) {
+    case "Identifier":
+      out.push(pattern.name);
+      break;
+    case "ObjectPattern":
+      pattern.properties.forEach((p) =>
+        bindingNames(p.type === "RestElement" ? p.argument : p.value, out)
+      );
+      break;
+    case "ArrayPattern":
+      pattern.elements.forEach((e) => bindingNames(e, out));
+      break;
+    case "RestElement":
+      bindingNames(pattern.argument, out);
+      break;
+    case "AssignmentPattern":
+      bindingNames(pattern.left, out);
+      break;
+    default:
+      break;
+  }
+}
+
+function collectBindings(ast) {
+  const declared = new Map();
+  const writes = new Set();
+  const inits = new Map();
+  const functions = [];
+  const declare = (name) => declared.set(name, (declared.get(name) || 0) + 1);
+
+  walk.full(ast, (node) => {
+    switch (node.type) {
+      case "VariableDeclarator": {
+        const names = [];
+        bindingNames(node.id, names);
+        names.forEach(declare);
+        if (node.id.type === "Identifier" && node.init) {
+          inits.set(node.id.name, node.init);
+          if (/Function/.test(node.init.type)) {
+            functions.push({ name: node.id.name, node: node.init });
+          }
+        }
+        break;
+      }
+      case "FunctionDeclaration":
+      case "FunctionExpression":
+      case "ArrowFunctionExpression": {
+        if (node.id) declare(node.id.name);
+        const names = [];
+        node.params.forEach((p) => bindingNames(p, names));
+        names.forEach(declare);
+        if (node.type === "FunctionDeclaration" && node.id) {
+          functions.push({ name: node.id.name, node });
+        }
+        break;
+      }
+      case "CatchClause": {
+        const names = [];
+        bindingNames(node.param, names);
+        names.forEach(declare);
+        break;
+      }
+      case "ClassDeclaration":
+        if (node.id) declare(node.id.name);
+        break;
+      case "AssignmentExpression":
+        if (node.left.type === "Identifier") {
+          writes.add(node.left.name);
+          // _0xabc = function () { return arr; } inside the accessor
+          if (/Function/.test(node.right.type)) {
+            functions.push({ name: node.left.name, node: node.right });
+          }
+        }
+        break;
+      case "UpdateExpression":
+        if (node.argument.type === "Identifier") writes.add(node.argument.name);
+        break;
+      default:
+        break;
+    }
+  });
+
+  const constants = new Map();
+  for (const [name, init] of inits) {
+    if (declared.get(name) === 1 && !writes.has(name)) {
+      constants.set(name, init);
+    }
+  }
+  return { constants, inits, declared, functions };
+}
+
+function findStringArrays(bindings) {
+  const arrays = new Map();
+  for (const [name, init] of bindings.inits) {
+    if (isStringArray(init))
+      arrays.set(
+        name,
+        init.elements.map((e) => e.value)
+      );
+  }
+  // function _0xab() { const a = [...]; _0xab = function () { return a; };
+  // return _0xab(); }
+  for (const { name, node } of bindings.functions) {
+    if (arrays.has(name)) continue;
+    let found = null;
+    walk.full(node.body, (n) => {
+      if (!found && n.type === "VariableDeclarator" && isStringArray(n.init)) {
+        found = n.init;
+      }
+    });
+    if (found)
+      arrays.set(
+        name,
+        found.elements.map((e) => e.value)
+      );
+  }
+  return arrays;
+}
+
+function references(node, names) {
+  const hit = new Set();
+  walk.full(node, (n) => {
+    if (n.type === "Identifier" && names.has(n.name)) hit.add(n.name);
+  });
+  return [...hit];
+}
+
+// decoder: indexes a string array with (param - offset). Variants that also
+// base64/RC4-decode the element (charCodeAt / fromCharCode / % 256 inside)
+// are reported as unsupported rather than guessed at
+function findDecoders(bindings, arrays, ev) {
+  const decoders = new Map();
+  const unsupported = [];
+  const arrayNames = new Set(arrays.keys());
+  for (const { name, node } of bindings.functions) {
+    if (arrays.has(name) || decoders.has(name)) continue;
+    const refs = references(node.body, arrayNames);
+    if (refs.length !== 1) continue;
+    const params = new Set();
+    walk.full(node, (n) => {
+      if (/Function/.test(n.type)) {
+        n.params.forEach((p) => p.type === "Identifier" && params.add(p.name));
+      }
+    });
+    let offset = null;
+    let transforms = false;
+    walk.full(node.body, (n) => {
+      if (
+        offset === null &&
+        n.type === "BinaryExpression" &&
+        n.operator === "-" &&
+        n.left.type === "Identifier" &&
+        params.has(n.left.name)
+      ) {
+        const v = ev(n.right);
+        if (typeof v === "number") offset = v;
+      }
+      const p = n.type === "MemberExpression" ? propName(n) : null;
+      if (p === "charCodeAt" || p === "fromCharCode") transforms = true;
+      if (
+        n.type === "Identifier" &&
+        (n.name === "atob" || n.name === "decodeURIComponent")
+      ) {
+        transforms = true;
+      }
+    });
+    if (offset === null) continue;
+    if (transforms) unsupported.push(name);
+    else decoders.set(name, { array: refs[0], offset });
+  }
+  return { decoders, unsupported };
+}
+
+// ---------------------------------------------------------------------------
+// a small evaluator over literals and a whitelist of pure builtins; nothing
+// from the package is ever run
+
+const STRING_METHODS = new Set([
+  "split",
+  "slice",
+  "substr",
+  "substring",
+  "charAt",
+  "charCodeAt",
+  "concat",
+  "replace",
+  "replaceAll",
+  "toLowerCase",
+  "toUpperCase",
+  "trim",
+  "repeat",
+  "padStart",
+  "padEnd",
+  "indexOf",
+  "toString",
+  "at",
+]);
+const ARRAY_METHODS = new Set([
+  "join",
+  "reverse",
+  "slice",
+  "concat",
+  "indexOf",
+  "at",
+]);
+const BUFFER_ENCODINGS = new Set([
+  "base64",
+  "base64url",
+  "hex",
+  "utf8",
+  "utf-8",
+  "latin1",
+  "binary",
+  "ascii",
+]);
+
+function createEvaluator(ctx) {
+  let steps = 0;
+  const resolving = new Set();
+  const memo = new WeakMap();
+
+  // an array whose rotation couldn't be replayed is in the wrong order:
+  // anything read from it would be the wrong string
+  const array = (name) => (ctx.unrotated.has(name) ? U : ctx.arrays.get(name));
+
+  function constant(name) {
+    if (ctx.arrays.has(name)) return array(name);
+    if (name === "undefined") return undefined;
+    if (name === "NaN") return NaN;
+    if (name === "Infinity") return Infinity;
+    const init = ctx.constants.get(name);
+    if (!init || resolving.has(name)) return U;
+    resolving.add(name);
+    try {
+      return ev(init);
+    } finally {
+      resolving.delete(name);
+    }
+  }
+
+  function checked(v) {
+    if (typeof v === "string" && v.length > MAX_VALUE) return U;
+    if (typeof v === "number" && Number.isNaN(v)) return v;
+    return v;
+  }
+
+  function args(nodes) {
+    const out = [];
+    for (const a of nodes) {
+      if (a.type === "SpreadElement") return U;
+      const v = ev(a);
+      if (v === U) return U;
+      out.push(v);
+    }
+    return out;
+  }
+
+  function decode(decoder, argNodes) {
+    const a = args(argNodes.slice(0, 1));
+    if (a === U || typeof a[0] !== "number") return U;
+    const arr = array(decoder.array);
+    const v = arr !== U && arr && arr[a[0] - decoder.offset];
+    return typeof v === "string" ? v : U;
+  }
+
+  function callMethod(obj, method, a) {
+    if (typeof obj === "string" && STRING_METHODS.has(method)) {
+      // no regex arguments: a package-supplied pattern could backtrack forever
+      if (!a.every(isPrimitive)) return U;
+      if (method === "repeat" && obj.length * a[0] > MAX_VALUE) return U;
+      if (method.startsWith("pad") && a[0] > MAX_VALUE) return U;
+      return obj[method](...a);
+    }
+    if (typeof obj === "number" && method === "toString") {
+      return obj.toString(...a);
+    }
+    if (Array.isArray(obj) && ARRAY_METHODS.has(method)) {
+      if (!a.every(isPrimitive)) return U;
+      // reverse() would change the array other expressions resolve to
+      return method === "reverse" ? [...obj].reverse() : obj[method](...a);
+    }
+    if (obj && obj.buffer instanceof Buffer && method === "toString") {
+      const enc = a[0] === undefined ? "utf8" : a[0];
+      return BUFFER_ENCODINGS.has(enc) ? obj.buffer.toString(enc) : U;
+    }
+    return U;
+  }
+
+  function call(node) {
+    const { callee } = node;
+    const name =
+      callee.type === "Identifier"
+        ? ctx.aliases.get(callee.name) || callee.name
+        : null;
+    if (name && ctx.decoders.has(name))
+      return decode(ctx.decoders.get(name), node.arguments);
+    if (name && ctx.arrays.has(name) && !node.arguments.length)
+      return array(name);
+
+    const a = args(node.arguments);
+    if (a === U) return U;
+    if (name) {
+      const s = a[0];
+      switch (name) {
+        case "atob":
+          return typeof s === "string"
+            ? Buffer.from(s, "base64").toString("latin1")
+            : U;
+        case "btoa":
+          return typeof s === "string"
+            ? Buffer.from(s, "latin1").toString("base64")
+            : U;
+        case "decodeURIComponent":
+        case "decodeURI":
+        case "encodeURIComponent":
+        case "unescape":
+        case "escape":
+          return typeof s === "string" ? global[name](s) : U;
+        case "parseInt":
+          return parseInt(s, a[1]);
+        case "parseFloat":
+          return parseFloat(s);
+        case "String":
+          return isPrimitive(s) ? String(s) : U;
+        case "Number":
+          return isPrimitive(s) ? Number(s) : U;
+        default:
+          return U;
+      }
+    }
+    if (callee.type !== "MemberExpression") return U;
+    const method = callee.computed ? ev(callee.property) : callee.property.name;
+    if (typeof method !== "string") return U;
+    if (callee.object.type === "Identifier") {
+      const obj = callee.object.name;
+      if (obj === "String" && method === "fromCharCode") {
+        return a.every((x) => typeof x === "number")
+          ? String.fromCharCode(...a)
+          : U;
+      }
+      if (obj === "Buffer" && method === "from") {
+        if (typeof a[0] === "string") {
+          const enc = a[1] === undefined ? "utf8" : a[1];
+          return BUFFER_ENCODINGS.has(enc)
+            ? { buffer: Buffer.from(a[0], enc) }
+            : U;
+        }
+        if (Array.isArray(a[0]) && a[0].every((x) => typeof x === "number")) {
+          return { buffer: Buffer.from(a[0]) };
+        }
+        return U;
+      }
+    }
+    const obj = ev(callee.object);
+    return obj === U ? U : callMethod(obj, method, a);
+  }
+
+  function binary(op, l, r) {
+    if (!isPrimitive(l) && !Array.isArray(l)) return U;
+    if (!isPrimitive(r) && !Array.isArray(r)) return U;
+    switch (op) {
+      case "+":
+        return l + r;
+      case "-":
+        return l - r;
+      case "*":
+        return l * r;
+      case "/":
+        return l / r;
+      case "%":
+        return l % r;
+      case "**":
+        return l ** r;
+      case "|":
+        return l | r;
+      case "&":
+        return l & r;
+      case "^":
+        return l ^ r;
+      case "<<":
+        return l << r;
+      case ">>":
+        return l >> r;
+      case ">>>":
+        return l >>> r;
+      // loose on purpose: the package's own == / != is what's being evaluated
+      case "==":
+        return l == r;
+      case "!=":
+        return l != r;
+      case "===":
+        return l === r;
+      case "!==":
+        return l !== r;
+      case "<":
+        return l < r;
+      case ">":
+        return l > r;
+      case "<=":
+        return l <= r;
+      case ">=":
+        return l >= r;
+      default:
+        return U;
+    }
+  }
+
+  function evaluate(node) {
+    switch (node.type) {
+      case "Literal":
+        if (node.regex) return U;
+        return typeof node.value === "bigint" ? U : node.value;
+      case "TemplateLiteral": {
+        let s = node.quasis[0].value.cooked;
+        for (let i = 0; i < node.expressions.length; i++) {
+          const v = ev(node.expressions[i]);
+          if (v === U || !isPrimitive(v)) return U;
+          s += String(v) + node.quasis[i + 1].value.cooked;
+        }
+        return s;
+      }
+      case "ArrayExpression": {
+        if (node.elements.some((e) => !e)) return U;
+        const a = args(node.elements);
+        return a === U || !a.every(isPrimitive) ? U : a;
+      }
+      case "Identifier":
+        return constant(node.name);
+      case "UnaryExpression": {
+        if (node.operator === "void") return undefined;
+        const v = ev(node.argument);
+        if (v === U || (v && typeof v === "object" && !Array.isArray(v)))
+          return U;
+        switch (node.operator) {
+          case "-":
+            return -v;
+          case "+":
+            return +v;
+          case "!":
+            return !v;
+          case "~":
+            return ~v;
+          case "typeof":
+            return Array.isArray(v) ? "object" : typeof v;
+          default:
+            return U;
+        }
+      }
+      case "BinaryExpression": {
+        const l = ev(node.left);
+        if (l === U) return U;
+        const r = ev(node.right);
+        return r === U ? U : binary(node.operator, l, r);
+      }
+      case "LogicalExpression": {
+        const l = ev(node.left);
+        if (l === U) return U;
+        if (node.operator === "&&") return l ? ev(node.right) : l;
+        if (node.operator === "||") return l ? l : ev(node.right);
+        return l === null || l === undefined ? ev(node.right) : l;
+      }
+      case "ConditionalExpression": {
+        const t = ev(node.test);
+        return t === U ? U : ev(t ? node.consequent : node.alternate);
+      }
+      case "SequenceExpression": {
+        const a = args(node.expressions);
+        return a === U ? U : a[a.length - 1];
+      }
+      case "MemberExpression": {
+        const obj = ev(node.object);
+        if (obj === U) return U;
+        const prop = node.computed ? ev(node.property) : node.property.name;
+        if (
+          prop === "length" &&
+          (typeof obj === "string" || Array.isArray(obj))
+        ) {
+          return obj.length;
+        }
+        if (obj && obj.buffer instanceof Buffer && prop === "length")
+          return obj.buffer.length;
+        if (
+          (typeof obj === "string" || Array.isArray(obj)) &&
+          typeof prop === "number"
+        ) {
+          const v = obj[prop];
+          return v === undefined ? U : v;
+        }
+        return U;
+      }
+      case "CallExpression":
+        return call(node);
+      case "ParenthesizedExpression":
+        return ev(node.expression);
+      default:
+        return U;
+    }
+  }
+
+  function ev(node) {
+    if (!node || ++steps > MAX_STEPS) return U;
+    if (ctx.cache && memo.has(node)) return memo.get(node);
+    let v;
+    try {
+      v = checked(evaluate(node));
+    } catch (_) {
+      v = U;
+    }
+    if (ctx.cache) memo.set(node, v);
+    return v;
+  }
+
+  return { ev, steps: () => steps };
+}
+
+// ---------------------------------------------------------------------------
+// string-array rotation: obfuscator.io shifts the array until a checksum of
+// decoded parseInt()s matches (newer), or a fixed number of times (older)
+
+function findRotations(ast, arrays) {
+  const found = [];
+  walk.full(ast, (node) => {
+    if (node.type !== "CallExpression") return;
+    const fn = node.callee;
+    if (!/Function/.test(fn.type) || node.arguments.length < 2) return;
+    const target = node.arguments[0];
+    if (target.type !== "Identifier" || !arrays.has(target.name)) return;
+    let rotates = false;
+    walk.full(fn.body, (n) => {
+      if (
+        n.type === "CallExpression" &&
+        propName(n.callee) === "push" &&
+        n.arguments[0] &&
+        n.arguments[0].type === "CallExpression" &&
+        propName(n.arguments[0].callee) === "shift"
+      ) {
+        rotates = true;
+      }
+    });
+    if (!rotates) return;
+    // if (v === <second param>) break;  ->  the checksum expression for v
+    const checkParam =
+      fn.params[1] && fn.params[1].type === "Identifier"
+        ? fn.params[1].name
+        : null;
+    let checksum = null;
+    const inits = new Map();
+    walk.full(fn.body, (n) => {
+      if (
+        n.type === "VariableDeclarator" &&
+        n.id.type === "Identifier" &&
+        n.init
+      ) {
+        inits.set(n.id.name, n.init);
+      }
+    });
+    walk.full(fn.body, (n) => {
+      if (
+        checksum ||
+        n.type !== "BinaryExpression" ||
+        !/^[!=]==?$/.test(n.operator)
+      )
+        return;
+      const [a, b] = [n.left, n.right];
+      if (a.type !== "Identifier" || b.type !== "Identifier") return;
+      if (b.name === checkParam && inits.has(a.name))
+        checksum = inits.get(a.name);
+      else if (a.name === checkParam && inits.has(b.name))
+        checksum = inits.get(b.name);
+    });
+    found.push({ array: target.name, value: node.arguments[1], checksum });
+  });
+  return found;
+}
+
+function applyRotation(rotation, ctx, ev) {
+  const arr = ctx.arrays.get(rotation.array);
+  const value = ev(rotation.value);
+  if (typeof value !== "number") return false;
+  if (!rotation.checksum) {
+    // while (--n) arr.push(arr.shift()) with n = value + 1
+    const n = value % arr.length;
+    arr.push(...arr.splice(0, n));
+    return true;
+  }
+  for (let i = 0; i < arr.length; i++) {
+    if (ev(rotation.checksum) === value) return true;
+    arr.push(arr.shift());
+  }
+  return false;
+}
+
+// ---------------------------------------------------------------------------
+// rewriting: resolved expressions are spliced back into the original text,
+// so everything else keeps its formatting
+
+// children that are bindings, labels or plain keys, never values
+const SKIP = {
+  VariableDeclarator: ["id"],
+  FunctionDeclaration: ["id", "params"],
+  FunctionExpression: ["id", "params"],
+  ArrowFunctionExpression: ["params"],
+  ClassDeclaration: ["id"],
+  ClassExpression: ["id"],
+  CatchClause: ["param"],
+  LabeledStatement: ["label"],
+  BreakStatement: ["label"],
+  ContinueStatement: ["label"],
+  ImportDeclaration: ["specifiers"],
+  ExportNamedDeclaration: ["specifiers"],
+  MetaProperty: ["meta", "property"],
+};
+// children that are written to: their insides can change, they can't
+const TARGETS = {
+  AssignmentExpression: ["left"],
+  UpdateExpression: ["argument"],
+  ForInStatement: ["left"],
+  ForOfStatement: ["left"],
+};
+const REPLACEABLE = new Set([
+  "CallExpression",
+  "BinaryExpression",
+  "UnaryExpression",
+  "LogicalExpression",
+  "ConditionalExpression",
+  "MemberExpression",
+  "TemplateLiteral",
+  "Literal",
+]);
+const EVAL_CALLEES = new Set([
+  "eval",
+  "Function",
+  "setTimeout",
+  "setInterval",
+  "setImmediate",
+]);
+const VM_METHODS = new Set([
+  "runInThisContext",
+  "runInNewContext",
+  "runInContext",
+  "compileFunction",
+  "Script",
+]);
+
+function literalText(v) {
+  if (typeof v === "string")
+    return v.length > MAX_INLINE ? null : JSON.stringify(v);
+  if (typeof v === "number") {
+    if (!Number.isFinite(v)) return null;
+    return v < 0 || Object.is(v, -0) ? `(${v})` : String(v);
+  }
+  if (typeof v === "boolean") return String(v);
+  return null;
+}
+
+function childEntries(node) {
+  const out = [];
+  for (const key of Object.keys(node)) {
+    if (key === "loc" || key === "type" || key === "start" || key === "end")
+      continue;
+    const v = node[key];
+    if (Array.isArray(v))
+      v.forEach((c) => c && typeof c.type === "string" && out.push([key, c]));
+    else if (v && typeof v.type === "string") out.push([key, v]);
+  }
+  return out;
+}
+
+// code arguments of eval-like calls: eval(x), Function(..., body),
+// setTimeout("code"), vm.runInThisContext(x), new vm.Script(x)
+function evalTarget(node) {
+  if (node.type !== "CallExpression" && node.type !== "NewExpression")
+    return null;
+  const name = calleeName(node.callee);
+  const method =
+    node.callee.type === "MemberExpression" ? propName(node.callee) : null;
+  if (!node.arguments.length) return null;
+  if (name === "Function") {
+    return {
+      kind: "Function",
+      code: node.arguments[node.arguments.length - 1],
+      params: node.arguments.slice(0, -1),
+    };
+  }
+  if (name && EVAL_CALLEES.has(name) && node.type === "CallExpression") {
+    return { kind: name, code: node.arguments[0], params: [] };
+  }
+  if (method && VM_METHODS.has(method)) {
+    return { kind: `vm.${method}`, code: node.arguments[0], params: [] };
+  }
+  return null;
+}
+
+function rewrite(ast, code, ev, onLayer, stats) {
+  const edits = [];
+  const literalOk = (node, v) => {
+    if (node.type === "Literal") {
+      // only string literals written with escapes are worth rewriting
+      return typeof v === "string" && /\\[xu]/.test(node.raw);
+    }
+    if (typeof v === "string") return true;
+    return typeof v === "number" || typeof v === "boolean";
+  };
+
+  function visit(node, replaceable) {
+    const target = evalTarget(node);
+    if (target) {
+      const body = ev(target.code);
+      const params = target.params.map(ev);
+      if (
+        typeof body === "string" &&
+        params.every((p) => typeof p === "string")
+      ) {
+        const src =
+          target.kind === "Function"
+            ? `(function anonymous(${params.join(",")}\n) {\n${body}\n})`
+            : body;
+        const ref = onLayer(src, target.kind);
+        edits.push([
+          target.code.start,
+          target.code.end,
+          `/* unpacked: ${ref} */ ""`,
+        ]);
+        stats.layers++;
+        for (const [, child] of childEntries(node)) {
+          if (child !== target.code) visit(child, true);
+        }
+        return;
+      }
+      stats.unresolvedEval++;
+    }
+
+    if (replaceable && REPLACEABLE.has(node.type)) {
+      const v = ev(node);
+      const text = v !== U && literalOk(node, v) ? literalText(v) : null;
+      if (text !== null) {
+        edits.push([node.start, node.end, text]);
+        if (node.type === "CallExpression") stats.resolvedCalls++;
+        else stats.folded++;
+        return;
+      }
+    }
+    // obj["\x70ush"] / obj[_0x1(0x1a)] -> obj.push
+    if (node.type === "MemberExpression" && node.computed) {
+      const p = ev(node.property);
+      if (typeof p === "string" && /^[A-Za-z_$][\w$]*$/.test(p)) {
+        edits.push([
+          node.object.end,
+          node.end,
+          `${node.optional ? "?." : "."}${p}`,
+        ]);
+        if (node.property.type === "Literal") stats.folded++;
+        else stats.resolvedCalls++;
+        visit(node.object, true);
+        return;
+      }
+    }
+
+    const skip = SKIP[node.type] || [];
+    const targets = TARGETS[node.type] || [];
+    for (const [key, child] of childEntries(node)) {
+      if (skip.includes(key)) continue;
+      if (
+        (node.type === "Property" ||
+          node.type === "MethodDefinition" ||
+          node.type === "PropertyDefinition") &&
+        key === "key" &&
+        !node.computed
+      )
+        continue;
+      if (
+        node.type === "MemberExpression" &&
+        key === "property" &&
+        !node.computed
+      )
+        continue;
+      if (node.type === "Property" && node.shorthand) continue;
+      visit(
+        child,
+        !targets.includes(key) &&
+          !(node.type === "UnaryExpression" && node.operator === "delete")
+      );
+    }
+  }
+
+  visit(ast, false);
+  // outermost edits win; nested ones were never recorded
+  edits.sort((a, b) => b[0] - a[0]);
+  let out = code;
+  for (const [start, end, text] of edits) {
+    out = out.slice(0, start) + text + out.slice(end);
+  }
+  return { code: out, edits: edits.length };
+}
+
+// ---------------------------------------------------------------------------
+
+function newStats() {
+  return {
+    stringArrays: 0,
+    decoders: 0,
+    unsupportedDecoders: 0,
+    rotations: 0,
+    unresolvedRotations: 0,
+    resolvedCalls: 0,
+    folded: 0,
+    decodedPayloads: 0,
+    layers: 0,
+    unresolvedEval: 0,
+  };
+}
+
+function unpackLayer(code, depth, out, label) {
+  const stats = newStats();
+  const parsed = parseSource(code);
+  if (!parsed.ast) return { code, stats, error: parsed.error };
+
+  const bindings = collectBindings(parsed.ast);
+  const arrays = findStringArrays(bindings);
+  const ctx = {
+    constants: bindings.constants,
+    arrays,
+    decoders: new Map(),
+    aliases: new Map(),
+    unrotated: new Set(),
+    cache: false,
+  };
+  const { ev } = createEvaluator(ctx);
+
+  const { decoders, unsupported } = findDecoders(bindings, arrays, ev);
+  ctx.decoders = decoders;
+  // const _0x3c = _0x1f;  (every function gets its own alias)
+  for (const [name, init] of bindings.inits) {
+    if (
+      init.type === "Identifier" &&
+      (decoders.has(init.name) || arrays.has(init.name))
+    ) {
+      ctx.aliases.set(name, init.name);
+    }
+  }
+  stats.stringArrays = arrays.size;
+  stats.decoders = decoders.size;
+  stats.unsupportedDecoders = unsupported.length;
+  for (const r of findRotations(parsed.ast, arrays)) {
+    if (applyRotation(r, ctx, ev)) {
+      stats.rotations++;
+    } else {
+      stats.unresolvedRotations++;
+      ctx.unrotated.add(r.array);
+    }
+  }
+
+  // from here on the arrays are final
+  ctx.cache = true;
+  // Buffer.from(x, "base64" | "hex") and atob(x) that resolved
+  walk.full(parsed.ast, (n) => {
+    if (n.type !== "CallExpression") return;
+    const decodes =
+      calleeName(n.callee) === "atob" ||
+      (propName(n.callee) === "from" &&
+        n.callee.object.name === "Buffer" &&
+        n.arguments.length > 1 &&
+        ["base64", "base64url", "hex"].includes(ev(n.arguments[1])));
+    if (decodes && isText(ev(n))) stats.decodedPayloads++;
+  });
+
+  const result = rewrite(
+    parsed.ast,
+    code,
+    ev,
+    (src, kind) => {
+      const layer = {
+        index: out.length + 1,
+        depth: depth + 1,
+        kind,
+        code: src,
+      };
+      out.push(layer);
+      if (depth + 1 < MAX_DEPTH) {
+        const inner = unpackLayer(src, depth + 1, out, label);
+        layer.code = inner.code;
+        layer.stats = inner.stats;
+        if (inner.error) layer.error = inner.error;
+      } else {
+        layer.truncated = true;
+      }
+      return label(layer.index);
+    },
+    stats
+  );
+  return { code: result.code, stats, changed: result.edits > 0 };
+}
+
+// code -> { code, stats, layers: [{ index, depth, kind, code, stats }] };
+// `worthSaving` separates real unpacking from incidental constant folding;
+// a decoder only counts once calls through it were actually resolved.
+// With `file`, unwrapped eval calls point at the layer file they went to
+function unpack(code, { file } = {}) {
+  const layers = [];
+  const label = (i) =>
+    file ? unpackedName(path.basename(file), i) : `layer ${i}`;
+  const main = unpackLayer(code, 0, layers, label);
+  const s = main.stats;
+  return {
+    code: main.code,
+    changed: Boolean(main.changed),
+    error: main.error || null,
+    stats: s,
+    layers,
+    worthSaving:
+      layers.length > 0 ||
+      (s.decoders > 0 && s.resolvedCalls > 0) ||
+      s.decodedPayloads > 0,
+  };
+}
+
+module.exports = { unpack, unpackedName, MAX_DEPTH };
@@ -0,0 +1,299 @@
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+const registry = require("./registry");
+const { scanSources, scanLifecycleWithRules } = require("./static_scan");
+const { LIFECYCLE_SCRIPTS, SEVERITY_ORDER } = require("./lifecycle");
+
+const DEP_FIELDS = [
+  "dependencies",
+  "optionalDependencies",
+  "peerDependencies",
+  "bundleDependencies",
+];
+const BINARY_RE = /\.(node|exe|dll|so|dylib|wasm|sh|bat|cmd|ps1)$/i;
+// capabilities that matter most when they show up in a patch release
+const CAPABILITY_WEIGHT = {
+  child_process: 25,
+  eval: 20,
+  network: 20,
+  dynamic_require: 15,
+  env: 10,
+  fs_write: 10,
+};
+const OBFUSCATION_JUMP = 20;
+const MAX_TREE_FILES = 5000;
+const MAX_TREE_DEPTH = 20;
+
+function bandFor(weight) {
+  if (weight >= 35) return "critical";
+  if (weight >= 25) return "high";
+  if (weight >= 15) return "medium";
+  if (weight > 0) return "low";
+  return "info";
+}
+
+function delta(kind, weight, description, detail) {
+  return { kind, severity: bandFor(weight), weight, description, detail };
+}
+
+// every file, node_modules included: collectFiles skips it, but here it
+// holds bundleDependencies, which ship inside the tarball
+async function hashTree(root) {
+  const hashes = new Map();
+  const visit = async (dir, depth) => {
+    if (depth > MAX_TREE_DEPTH) return;
+    for (const e of await fs.readdir(dir, { withFileTypes: true })) {
+      if (hashes.size >= MAX_TREE_FILES) return;
+      const full = path.join(dir, e.name);
+      if (e.isDirectory()) {
+        await visit(full, depth + 1);
+      } else if (e.isFile()) {
+        hashes.set(
+          path.relative(root, full).split(path.sep).join("/"),
+          crypto
+            .createHash("sha256")
+            .update(await fs.readFile(full))
+            .digest("hex")
+        );
+      }
+    }
+  };
+  await visit(root, 0);
+  return hashes;
+}
+
+function diffTrees(a, b) {
+  const added = [];
+  const removed = [];
+  const changed = [];
+  for (const [f, h] of b) {
+    if (!a.has(f)) added.push(f);
+    else if (a.get(f) !== h) changed.push(f);
+  }
+  for (const f of a.keys()) if (!b.has(f)) removed.push(f);
+  return { added, removed, changed };
+}
+
+function depsOf(pkgJson) {
+  const out = {};
+  for (const field of DEP_FIELDS) {
+    let deps = pkgJson[field] || {};
+    // bundleDependencies may be an array of names
+    if (Array.isArray(deps)) {
+      deps = Object.fromEntries(deps.map((d) => [d, "*"]));
+    }
+    for (const [name, range] of Object.entries(deps)) {
+      out[`${field}:${name}`] = { field, name, range };
+    }
+  }
+  return out;
+}
+
+function diffDependencies(fromPkg, toPkg) {
+  const a = depsOf(fromPkg);
+  const b = depsOf(toPkg);
+  const added = [];
+  const removed = [];
+  const changed = [];
+  for (const [k, dep] of Object.entries(b)) {
+    if (!a[k]) added.push(dep);
+    else if (a[k].range !== dep.range)
+      changed.push({ ...dep, from: a[k].range });
+  }
+  for (const [k, dep] of Object.entries(a)) if (!b[k]) removed.push(dep);
+  return { added, removed, changed };
+}
+
+function diffScripts(fromPkg, toPkg) {
+  const a = fromPkg.scripts || {};
+  const b = toPkg.scripts || {};
+  const added = [];
+  const changed = [];
+  const removed = [];
+  for (const name of LIFECYCLE_SCRIPTS) {
+    if (b[name] && !a[name]) added.push({ name, command: b[name] });
+    else if (b[name] && a[name] !== b[name]) {
+      changed.push({ name, from: a[name], to: b[name] });
+    } else if (a[name] && !b[name]) removed.push({ name, command: a[name] });
+  }
+  return { added, changed, removed };
+}
+
+function diffCapabilities(fromScan, toScan) {
+  const a = fromScan.capabilities;
+  const b = toScan.capabilities;
+  return {
+    added: b.found.filter((c) => !a.found.includes(c)),
+    addedAtImport: b.importTime.filter((c) => !a.importTime.includes(c)),
+    counts: Object.fromEntries(
+      Object.keys({ ...a.counts, ...b.counts }).map((c) => [
+        c,
+        { from: a.counts[c] || 0, to: b.counts[c] || 0 },
+      ])
+    ),
+  };
+}
+
+function diffObfuscation(fromScan, toScan) {
+  const before = new Map(fromScan.results.map((r) => [r.file, r.score || 0]));
+  const files = [];
+  for (const r of toScan.results) {
+    const prev = before.has(r.file) ? before.get(r.file) : null;
+    const jump = (r.score || 0) - (prev || 0);
+    if (jump >= OBFUSCATION_JUMP) {
+      files.push({ file: r.file, from: prev, to: r.score });
+    }
+  }
+  return { from: fromScan.score, to: toScan.score, files };
+}
+
+function findingKey(f) {
+  return `${f.ruleId}|${f.source}`;
+}
+
+function rankDeltas(report) {
+  const deltas = [];
+  const { scripts, dependencies, capabilities, obfuscation, files } = report;
+
+  for (const s of scripts.added) {
+    deltas.push(delta("lifecycle-script-added", 40, `new ${s.name} script`, s));
+  }
+  for (const s of scripts.changed) {
+    deltas.push(
+      delta("lifecycle-script-changed", 30, `${s.name} script changed`, s)
+    );
+  }
+  for (const f of report.lifecycleFindings.added) {
+    const w = SEVERITY_ORDER[f.severity] >= SEVERITY_ORDER.high ? 35 : 15;
+    deltas.push(
+      delta("lifecycle-finding-added", w, `${f.ruleId}: ${f.description}`, f)
+    );
+  }
+  for (const d of dependencies.added) {
+    deltas.push(
+      delta("dependency-added", 15, `new ${d.field} entry ${d.name}`, d)
+    );
+  }
+  for (const c of capabilities.added) {
+    const w = CAPABILITY_WEIGHT[c] || 10;
+    const atImport = capabilities.addedAtImport.includes(c);
+    deltas.push(
+      delta(
+        "capability-added",
+        atImport ? w + 10 : w,
+        `now uses ${c}${atImport ? " at import time" : ""}`,
+        { capability: c, importTime: atImport }
+      )
+    );
+  }
+  for (const f of obfuscation.files) {
+    deltas.push(
+      delta(
+        "obfuscation-increase",
+        f.from === null ? 35 : 30,
+        `${f.file} obfuscation score ${f.from === null ? "new" : f.from} -> ${
+          f.to
+        }`,
+        f
+      )
+    );
+  }
+  const binaries = files.added.filter((f) => BINARY_RE.test(f));
+  if (binaries.length > 0) {
+    deltas.push(
+      delta(
+        "binary-added",
+        20,
+        `${binaries.length} executable/native files added`,
+        {
+          files: binaries,
+        }
+      )
+    );
+  }
+  if (files.added.length > 0) {
+    deltas.push(
+      delta(
+        "files-added",
+        Math.min(10, files.added.length),
+        `${files.added.length} files added`,
+        { count: files.added.length }
+      )
+    );
+  }
+  for (const d of dependencies.changed) {
+    deltas.push(
+      delta("dependency-changed", 2, `${d.name} ${d.from} -> ${d.range}`, d)
+    );
+  }
+  if (files.removed.length > 0) {
+    deltas.push(
+      delta("files-removed", 0, `${files.removed.length} files removed`, {
+        count: files.removed.length,
+      })
+    );
+  }
+  return deltas.sort((a, b) => b.weight - a.weight);
+}
+
+// download `from` and `to` of pkgName into baseDir/<safe>/versions/<ver>/
+// and report what changed between them, most suspicious first
+async function diffVersions(pkgName, from, to, baseDir) {
+  const meta = await registry.fetchPackument(pkgName);
+  const toVer = to || (meta["dist-tags"] && meta["dist-tags"].latest);
+  const fromVer = from || registry.previousVersion(meta, toVer);
+  if (!toVer || !fromVer) {
+    throw new Error("NO_VERSION_PAIR");
+  }
+  const versionsDir = path.join(
+    baseDir,
+    registry.safeName(pkgName),
+    "versions"
+  );
+
+  const sides = [];
+  for (const ver of [fromVer, toVer]) {
+    const fetched = await registry.fetchVersion(
+      pkgName,
+      meta,
+      ver,
+      path.join(versionsDir, ver)
+    );
+    const pkgJson = JSON.parse(
+      await fs.readFile(path.join(fetched.root, "package.json"), "utf8")
+    );
+    sides.push({
+      ...fetched,
+      pkgJson,
+      tree: await hashTree(fetched.root),
+      sources: await scanSources(fetched.root),
+      lifecycle: await scanLifecycleWithRules(fetched.root),
+    });
+  }
+  const [a, b] = sides;
+
+  const before = new Set(a.lifecycle.findings.map(findingKey));
+  const report = {
+    pkg: pkgName,
+    from: fromVer,
+    to: toVer,
+    published: {
+      from: meta.time && meta.time[fromVer],
+      to: meta.time && meta.time[toVer],
+    },
+    files: diffTrees(a.tree, b.tree),
+    dependencies: diffDependencies(a.pkgJson, b.pkgJson),
+    scripts: diffScripts(a.pkgJson, b.pkgJson),
+    lifecycleFindings: {
+      added: b.lifecycle.findings.filter((f) => !before.has(findingKey(f))),
+    },
+    capabilities: diffCapabilities(a.sources, b.sources),
+    obfuscation: diffObfuscation(a.sources, b.sources),
+  };
+  report.deltas = rankDeltas(report);
+  report.suspicionScore = report.deltas.reduce((sum, d) => sum + d.weight, 0);
+  return report;
+}
+
+module.exports = { diffVersions, rankDeltas };
@@ -0,0 +1,62 @@
+const fs = require("fs");
+const path = require("path");
+const { safeName } = require("./lib/registry");
+const { checkPackageProvenance } = require("./lib/provenance");
+
+const target = process.argv[2];
+const source = process.argv[3];
+const baseDir = process.env.DOWNLOAD_DIR || "downloaded_packages";
+
+if (!target) {
+  console.error(
+    "Usage: node provenance_check.js <package|download dir|packages.txt> [repo clone or archive]"
+  );
+  console.error(
+    "  (without a clone/archive the repository is cloned into <dir>/repo)"
+  );
+  process.exit(1);
+}
+
+// a list file, a download dir, or a package name under DOWNLOAD_DIR
+function targets() {
+  if (fs.existsSync(target) && fs.statSync(target).isFile()) {
+    return fs
+      .readFileSync(target, "utf8")
+      .split(/\r?\n/)
+      .map((l) => l.trim())
+      .filter(Boolean)
+      .map((pkg) => path.join(baseDir, safeName(pkg)));
+  }
+  return [
+    fs.existsSync(target) ? target : path.join(baseDir, safeName(target)),
+  ];
+}
+
+(async () => {
+  const dirs = targets();
+  if (source && dirs.length > 1) {
+    console.error("a repo clone/archive only applies to a single package");
+    process.exit(1);
+  }
+  for (const dir of dirs) {
+    try {
+      const report = await checkPackageProvenance(dir, {
+        source: source && path.resolve(source),
+      });
+      const outPath = path.join(report.dir, "provenance.json");
+      fs.writeFileSync(outPath, JSON.stringify(report, null, 2), "utf8");
+      const c = report.comparison;
+      console.log(
+        `${report.name}@${report.version}: ${
+          c
+            ? `${c.counts.onlyInTarball} only in tarball, ${c.counts.differs} differ, ${c.counts.explained} explained`
+            : report.error
+        }; provenance ${report.provenance.present ? "present" : "absent"}`
+      );
+      for (const s of report.signals) console.log(`  [${s.severity}] ${s.id}`);
+    } catch (e) {
+      console.error(`provenance check failed for ${dir}: ${e.message}`);
+      process.exitCode = 1;
+    }
+  }
+})();
@@ -0,0 +1,21 @@
+// Import phase of a sandbox run: load the installed package the way a
+// consumer would. Copied into the install dir so bare specifiers resolve
+// against its node_modules; runs under trace_hook.js.
+const name = process.argv[2];
+
+try {
+  require(name);
+  console.log(`[import] required ${name}`);
+} catch (err) {
+  // ESM-only packages (or ones without a "require" export) need import()
+  if (
+    err.code === "ERR_REQUIRE_ESM" ||
+    err.code === "ERR_PACKAGE_PATH_NOT_EXPORTED"
+  ) {
+    import(name)
+      .then(() => console.log(`[import] imported ${name}`))
+      .catch((e) => console.error(`[import] ${name} failed: ${e.message}`));
+  } else {
+    console.error(`[import] ${name} failed: ${err.message}`);
+  }
+}
@@ -0,0 +1,225 @@
+// Fake internet for the sandbox network (SANDBOX_SINKHOLE=1). Every DNS
+// name resolves to this container, HTTP(S) gets a 200, any other TCP port
+// is accepted, and everything the package sends is appended as JSON lines
+// to $SINKHOLE_LOG. Receives untrusted input, so node builtins only.
+const fs = require("fs");
+const os = require("os");
+const net = require("net");
+const tls = require("tls");
+const http = require("http");
+const https = require("https");
+const dgram = require("dgram");
+const { execFileSync } = require("child_process");
+
+const LOG = process.env.SINKHOLE_LOG || "/log/sinkhole.jsonl";
+const CERT_DIR = process.env.SINKHOLE_CERT_DIR || "/sinkhole";
+const HTTP_PORTS = [80, 8000, 8080];
+const HTTPS_PORTS = [443, 8443];
+// every other TCP port is redirected here
+const CATCH_ALL_PORT = 10000;
+const MAX_BODY = 64 * 1024;
+const MAX_EVENTS = 5000;
+// the log is a host file: past this many bytes nothing more is written
+const MAX_LOG_BYTES = 32 * 1024 * 1024;
+
+let count = 0;
+let written = 0;
+function log(type, data) {
+  if (count >= MAX_EVENTS) return;
+  const line = JSON.stringify({ ts: Date.now(), type, ...data }) + "\n";
+  if (written + line.length > MAX_LOG_BYTES) {
+    count = MAX_EVENTS;
+    fs.appendFileSync(
+      LOG,
+      JSON.stringify({ ts: Date.now(), type: "log-limit", bytes: written }) +
+        "\n"
+    );
+    return;
+  }
+  count++;
+  written += line.length;
+  fs.appendFileSync(LOG, line);
+}
+
+function ownAddress() {
+  for (const list of Object.values(os.networkInterfaces())) {
+    for (const a of list || []) {
+      if (a.family === "IPv4" && !a.internal) return a.address;
+    }
+  }
+  throw new Error("no IPv4 address");
+}
+
+// text when it is printable UTF-8, base64 otherwise
+function encodeBody(buf) {
+  const text = buf.toString("utf8");
+  if (!text.includes("\ufffd") && !/[\x00-\x08\x0e-\x1f]/.test(text)) {
+    return { encoding: "utf8", data: text };
+  }
+  return { encoding: "base64", data: buf.toString("base64") };
+}
+
+// collect at most MAX_BODY bytes of a stream, remembering the real size
+function collect(stream, done) {
+  const chunks = [];
+  let size = 0;
+  let kept = 0;
+  stream.on("data", (c) => {
+    size += c.length;
+    if (kept < MAX_BODY) {
+      const part = c.subarray(0, MAX_BODY - kept);
+      chunks.push(part);
+      kept += part.length;
+    }
+  });
+  let finished = false;
+  const finish = () => {
+    if (finished) return;
+    finished = true;
+    done(Buffer.concat(chunks), size);
+  };
+  stream.on("end", finish);
+  stream.on("close", finish);
+  stream.on("error", finish);
+}
+
+// traffic to any address lands here: the package's default route points at
+// this container and these rules hand it to the local listeners
+function redirectAll() {
+  const direct = [53, ...HTTP_PORTS, ...HTTPS_PORTS].join(",");
+  const rules = [
+    ["-p", "udp", "--dport", "53", "-j", "REDIRECT"],
+    ["-p", "tcp", "-m", "multiport", "--dports", direct, "-j", "REDIRECT"],
+    ["-p", "tcp", "-j", "REDIRECT", "--to-ports", String(CATCH_ALL_PORT)],
+  ];
+  for (const rule of rules) {
+    execFileSync("iptables", ["-t", "nat", "-A", "PREROUTING", ...rule]);
+  }
+}
+
+function parseQuestion(msg) {
+  let off = 12;
+  const labels = [];
+  while (off < msg.length && msg[off] !== 0) {
+    const len = msg[off];
+    if (len & 0xc0 || off + 1 + len > msg.length) return null;
+    labels.push(msg.toString("latin1", off + 1, off + 1 + len));
+    off += 1 + len;
+  }
+  if (off + 5 > msg.length) return null;
+  return {
+    name: labels.join("."),
+    qtype: msg.readUInt16BE(off + 1),
+    end: off + 5,
+  };
+}
+
+// A (and ANY) get our address; everything else an empty NOERROR
+function dnsAnswer(msg, q, address) {
+  const withAnswer = q.qtype === 1 || q.qtype === 255;
+  const header = Buffer.alloc(12);
+  msg.copy(header, 0, 0, 2);
+  header.writeUInt16BE(0x8180 | (msg.readUInt16BE(2) & 0x0100), 2);
+  header.writeUInt16BE(1, 4);
+  header.writeUInt16BE(withAnswer ? 1 : 0, 6);
+  const question = msg.subarray(12, q.end);
+  if (!withAnswer) return Buffer.concat([header, question]);
+  const answer = Buffer.alloc(16);
+  answer.writeUInt16BE(0xc00c, 0);
+  answer.writeUInt16BE(1, 2);
+  answer.writeUInt16BE(1, 4);
+  answer.writeUInt32BE(60, 6);
+  answer.writeUInt16BE(4, 10);
+  address.split(".").forEach((b, i) => (answer[12 + i] = Number(b)));
+  return Buffer.concat([header, question, answer]);
+}
+
+function startDns(address) {
+  const server = dgram.createSocket("udp4");
+  server.on("message", (msg, rinfo) => {
+    if (msg.length < 12) return;
+    const q = parseQuestion(msg);
+    if (!q) return;
+    log("dns", {
+      name: q.name.toLowerCase(),
+      qtype: q.qtype,
+      client: rinfo.address,
+    });
+    server.send(dnsAnswer(msg, q, address), rinfo.port, rinfo.address);
+  });
+  server.bind(53);
+}
+
+function handleHttp(secure) {
+  return (req, res) => {
+    collect(req, (body, size) => {
+      log("http", {
+        tls: secure,
+        port: req.socket.localPort,
+        servername: secure ? req.socket.servername || null : null,
+        method: req.method,
+        url: req.url,
+        host: req.headers.host || null,
+        headers: req.headers,
+        bodyBytes: size,
+        truncated: size > body.length,
+        body: size ? encodeBody(body) : null,
+      });
+    });
+    res.writeHead(200, { "content-type": "text/plain" });
+    res.end("ok\n");
+  };
+}
+
+function startHttp() {
+  for (const port of HTTP_PORTS) {
+    http.createServer(handleHttp(false)).listen(port);
+  }
+  const key = fs.readFileSync(`${CERT_DIR}/key.pem`);
+  const cert = fs.readFileSync(`${CERT_DIR}/cert.pem`);
+  const context = tls.createSecureContext({ key, cert });
+  for (const port of HTTPS_PORTS) {
+    const server = https.createServer(
+      {
+        key,
+        cert,
+        // logged before the handshake: clients that verify the self-signed
+        // certificate give up right after their ClientHello
+        SNICallback: (servername, cb) => {
+          log("tls", { port, servername });
+          cb(null, context);
+        },
+      },
+      handleHttp(true)
+    );
+    server.on("tlsClientError", (err) =>
+      log("tls-error", { port, error: err.code || err.message })
+    );
+    server.listen(port);
+  }
+}
+
+function startCatchAll() {
+  net
+    .createServer((socket) => {
+      socket.setTimeout(10000, () => socket.destroy());
+      collect(socket, (data, size) => {
+        log("tcp", {
+          // REDIRECT hides the port the package dialled; the capture has it
+          port: null,
+          client: socket.remoteAddress,
+          bytes: size,
+          truncated: size > data.length,
+          data: size ? encodeBody(data) : null,
+        });
+      });
+    })
+    .listen(CATCH_ALL_PORT);
+}
+
+const address = ownAddress();
+redirectAll();
+startDns(address);
+startHttp();
+startCatchAll();
+console.log(`sinkhole ready on ${address}`);
@@ -0,0 +1,253 @@
+// Preloaded into every node process in the sandbox (NODE_OPTIONS=--require).
+// Appends one JSON line per event to $TRACE_FILE: spawned processes, file
+// reads/writes, env vars read, DNS lookups and outbound connections.
+// Runs inside the untrusted container, so it only depends on node builtins.
+const fs = require("fs");
+const TRACE_FILE = process.env.TRACE_FILE;
+const PHASE = process.env.TRACE_PHASE || "unknown";
+const MAX_EVENTS = 2000;
+// /out is a host directory: the file as a whole (every process appends to
+// it) and each line are capped, and logging stops at the cap
+const MAX_BYTES = 16 * 1024 * 1024;
+const MAX_LINE = 16 * 1024;
+
+if (TRACE_FILE) {
+  const appendFileSync = fs.appendFileSync;
+  const statSync = fs.statSync;
+  const traceSize = () => {
+    try {
+      return statSync(TRACE_FILE).size;
+    } catch (_) {
+      return 0;
+    }
+  };
+  // npm itself reads and writes thousands of files; for the npm CLI process
+  // only record what it spawns (lifecycle scripts), everything else is noise
+  const launcher = /npm-cli\.js$|npx-cli\.js$|\/bin\/np[mx]$/.test(
+    process.argv[1] || ""
+  );
+  let count = 0;
+  let internal = 0;
+
+  const emit = (type, data) => {
+    if (internal > 0 || count >= MAX_EVENTS) return;
+    count++;
+    internal++;
+    try {
+      const head = {
+        ts: Date.now(),
+        phase: PHASE,
+        pid: process.pid,
+        ppid: process.ppid,
+        type,
+      };
+      let line = JSON.stringify({ ...head, ...data });
+      if (line.length > MAX_LINE) {
+        line = JSON.stringify({ ...head, truncated: line.length });
+      }
+      if (traceSize() + line.length >= MAX_BYTES) {
+        count = MAX_EVENTS;
+        return;
+      }
+      appendFileSync(TRACE_FILE, line + "\n");
+    } catch (_) {
+    } finally {
+      internal--;
+    }
+  };
+
+  // call the real function without tracing what it does internally
+  const quiet = (fn, self, args) => {
+    internal++;
+    try {
+      return fn.apply(self, args);
+    } finally {
+      internal--;
+    }
+  };
+
+  const wrap = (obj, name, before) => {
+    const orig = obj && obj[name];
+    if (typeof orig !== "function") return;
+    obj[name] = function (...args) {
+      if (internal === 0) {
+        try {
+          before(args);
+        } catch (_) {}
+      }
+      return quiet(orig, this, args);
+    };
+  };
+
+  emit("process-start", {
+    argv: process.argv.slice(0, 6),
+    cwd: process.cwd(),
+  });
+
+  const cp = require("child_process");
+  for (const name of [
+    "spawn",
+    "spawnSync",
+    "execFile",
+    "execFileSync",
+    "fork",
+  ]) {
+    wrap(cp, name, (args) =>
+      emit("spawn", {
+        api: `child_process.${name}`,
+        command: String(args[0]),
+        args: Array.isArray(args[1]) ? args[1].map(String).slice(0, 20) : [],
+      })
+    );
+  }
+  for (const name of ["exec", "execSync"]) {
+    wrap(cp, name, (args) =>
+      emit("spawn", {
+        api: `child_process.${name}`,
+        command: String(args[0]).slice(0, 1000),
+        args: [],
+      })
+    );
+  }
+
+  if (!launcher) {
+    const pathArg = (p) =>
+      typeof p === "string"
+        ? p
+        : Buffer.isBuffer(p)
+        ? p.toString()
+        : p instanceof URL
+        ? p.pathname
+        : null;
+    // reads done by the module loader are just require() doing its job;
+    // only the first frame outside this file says who called
+    const fromLoader = () => {
+      const frames = (new Error().stack || "").split("\n").slice(1);
+      const caller = frames.find((f) => !f.includes(__filename));
+      return Boolean(caller && caller.includes("node:internal/modules"));
+    };
+    const writeFlag = (flags) => /[wa+]/.test(String(flags || "r"));
+
+    const fileOp = (op, getPath) => (args) => {
+      const p = pathArg(getPath(args));
+      if (!p) return;
+      if (op === "read" && fromLoader()) return;
+      emit("file", { op, path: p });
+    };
+    const openOp = (args) => {
+      const p = pathArg(args[0]);
+      if (!p) return;
+      const op = writeFlag(args[1]) ? "write" : "read";
+      if (op === "read" && fromLoader()) return;
+      emit("file", { op, path: p });
+    };
+
+    const READS = ["readFile", "readFileSync", "createReadStream"];
+    const WRITES = [
+      "writeFile",
+      "writeFileSync",
+      "appendFile",
+      "appendFileSync",
+      "createWriteStream",
+      "copyFile",
+      "copyFileSync",
+      "rename",
+      "renameSync",
+      "unlink",
+      "unlinkSync",
+      "rm",
+      "rmSync",
+      "chmod",
+      "chmodSync",
+      "symlink",
+      "symlinkSync",
+    ];
+    const readOp = fileOp("read", (a) => a[0]);
+    const writeOp = fileOp("write", (a) => a[0]);
+    // copy/rename/symlink write their second argument
+    const writeDestOp = fileOp("write", (a) => a[1]);
+    const listOp = fileOp("list", (a) => a[0]);
+    for (const target of [fs, fs.promises]) {
+      for (const name of READS) wrap(target, name, readOp);
+      for (const name of WRITES) {
+        const dest = /^(copyFile|rename|symlink)/.test(name);
+        wrap(target, name, dest ? writeDestOp : writeOp);
+      }
+      wrap(target, "open", openOp);
+      wrap(target, "openSync", openOp);
+      wrap(target, "readdir", listOp);
+      wrap(target, "readdirSync", listOp);
+    }
+
+    // each variable once per process; enumerating the whole env is one
+    // event and covers every variable after it
+    const seenEnv = new Set();
+    process.env = new Proxy(process.env, {
+      get(target, key) {
+        if (internal === 0 && typeof key === "string" && !seenEnv.has(key)) {
+          seenEnv.add(key);
+          emit("env", { op: "read", name: key });
+        }
+        return Reflect.get(target, key);
+      },
+      ownKeys(target) {
+        const keys = Reflect.ownKeys(target);
+        if (internal === 0 && keys.some((k) => !seenEnv.has(k))) {
+          emit("env", { op: "enumerate" });
+          for (const k of keys) seenEnv.add(k);
+        }
+        return keys;
+      },
+    });
+
+    const dns = require("dns");
+    wrap(dns, "lookup", (args) => emit("dns", { host: String(args[0]) }));
+    wrap(dns.promises, "lookup", (args) =>
+      emit("dns", { host: String(args[0]) })
+    );
+
+    const net = require("net");
+    wrap(net.Socket.prototype, "connect", (args) => {
+      let opts = args[0];
+      if (Array.isArray(opts)) opts = opts[0];
+      if (typeof opts !== "object" || opts === null) {
+        opts =
+          typeof opts === "string" && isNaN(Number(opts))
+            ? { path: opts }
+            : {
+                port: opts,
+                host: typeof args[1] === "string" ? args[1] : null,
+              };
+      }
+      if (opts.path) emit("connect", { protocol: "unix", path: opts.path });
+      else {
+        emit("connect", {
+          protocol: "tcp",
+          host: opts.host || "localhost",
+          port: Number(opts.port),
+        });
+      }
+    });
+    const tls = require("tls");
+    wrap(tls, "connect", (args) => {
+      const opts = typeof args[0] === "object" ? args[0] : args[2] || {};
+      if (opts.servername) emit("tls", { servername: opts.servername });
+    });
+    const dgram = require("dgram");
+    // send(msg, port, host) or send(msg, offset, length, port, host);
+    // connected sockets pass no port at all
+    wrap(dgram.Socket.prototype, "send", (args) => {
+      const long = typeof args[2] === "number";
+      const port = long ? args[3] : args[1];
+      const host = long ? args[4] : args[2];
+      if (typeof port !== "number") return;
+      emit("connect", {
+        protocol: "udp",
+        host: typeof host === "string" ? host : null,
+        port,
+      });
+    });
+  }
+
+  process.on("exit", (code) => emit("process-exit", { code }));
+}
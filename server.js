@@ -4,27 +4,54 @@ const fs = require("fs").promises;
 const fsSync = require("fs");
 const path = require("path");
 const express = require("express");
-const axios = require("axios");
 const { exec } = require("child_process");
 const util = require("util");
 const { MongoClient } = require("mongodb");
+const { mongoUrl, dbName } = require("./lib/db");
+const rules = require("./lib/rules");
+const { CAPABILITIES } = require("./lib/capabilities");
+const { scanSources, scanLifecycleWithRules } = require("./lib/static_scan");
+const { diffVersions } = require("./lib/version_diff");
+const { findAdvisories, matchInstalled } = require("./lib/advisories");
+const { readProjectLockfile } = require("./lib/lockfile");
+const { scanDependencyTree } = require("./lib/dependency_scan");
+const { analyzePcaps } = require("./lib/c2_pcap");
+const { noiseFilter, unexpectedDomains } = require("./lib/c2_baseline");
+const {
+  defaultThreatIntel,
+  getBlocklistProvider,
+  reloadBlocklistProvider,
+} = require("./lib/threat_intel");
+const { getNameAnalyzer, reloadNameAnalyzer } = require("./lib/name_analysis");
+const { analyzeDownloaded, analyzeFromRegistry } = require("./lib/metadata");
+const { checkPackageProvenance } = require("./lib/provenance");
+const { scorePackageDir, reloadRiskModel } = require("./lib/risk_score");
+const { createJobQueue } = require("./lib/jobs");
+const { scanPackage } = require("./lib/package_scan");
+const { scanSecrets } = require("./lib/secrets");
+const { analyzeArtifacts } = require("./lib/artifacts");
+const { iocReport } = require("./lib/ioc");
+const { isScannerOutput } = require("./lib/files");
 
 const execAsync = util.promisify(exec);
 
 const app = express();
 const PORT = 3050;
+app.use(express.json({ limit: "50mb" }));
 
-const VIRUSTOTAL_API_KEY = process.env.VIRUSTOTAL_API_KEY;
-const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
+// skip `npm audit` (needs the registry) and use only the local advisory store
+const OFFLINE_ADVISORIES = process.env.OFFLINE_ADVISORIES === "1";
 
-const mongoUrl = "mongodb://localhost:27017";
-const dbName = "supplyChainSecurity";
 let db;
+// scans submitted through /jobs; needs MongoDB
+let jobQueue = null;
 
 MongoClient.connect(mongoUrl, { useUnifiedTopology: true })
   .then((client) => {
     db = client.db(dbName);
     console.log("Connected to MongoDB successfully");
+    jobQueue = createJobQueue(db, { baseDir: __dirname });
+    jobQueue.start();
   })
   .catch((err) => console.error("MongoDB connection error:", err));
 
@@ -40,71 +67,198 @@ async function saveScanResult(type, data) {
   }
 }
 
-async function checkGitHubSecurityAdvisory(packageName, version) {
-  const query = `
-    query {
-      securityVulnerabilities(
-        first: 10,
-        ecosystem: NPM,
-        package: "${packageName}"
-      ) {
-        nodes {
-          advisory {
-            summary
-            severity
-          }
-          vulnerableVersionRange
-        }
-      }
-    }
-  `;
+// npm audit / npm ls exit non-zero when they find problems but still print JSON
+async function npmJson(command, cwd) {
   try {
-    const response = await axios.post(
-      "https://api.github.com/graphql",
-      { query },
-      { headers: { Authorization: `Bearer ${GITHUB_TOKEN}` } }
-    );
-    return response.data;
-  } catch (error) {
-    console.error(
-      `Error querying GitHub Advisory for ${packageName}:`,
-      error.message
-    );
-    return null;
+    const { stdout } = await execAsync(command, {
+      cwd,
+      maxBuffer: 64 * 1024 * 1024,
+    });
+    return JSON.parse(stdout);
+  } catch (err) {
+    if (err.stdout) return JSON.parse(err.stdout);
+    throw err;
+  }
+}
+
+// flattened `npm ls --all` tree: [{ name, version }]
+async function installedPackages(cwd) {
+  const tree = await npmJson("npm ls --all --json", cwd);
+  const seen = new Map();
+  const visit = (deps) => {
+    for (const [name, info] of Object.entries(deps || {})) {
+      if (!info.version) continue;
+      const key = `${name}@${info.version}`;
+      if (seen.has(key)) continue;
+      seen.set(key, { name, version: info.version });
+      visit(info.dependencies);
+    }
+  };
+  visit(tree.dependencies);
+  return Array.from(seen.values());
+}
+
+function isOffline(req) {
+  return OFFLINE_ADVISORIES || req.query.offline === "1";
+}
+
+// npm audit v6 has `advisories`, v7+ has `vulnerabilities`
+function auditAdvisories(auditResults) {
+  if (auditResults.advisories) {
+    return Object.values(auditResults.advisories).map((a) => ({
+      name: a.module_name,
+      severity: a.severity,
+    }));
   }
+  return Object.values(auditResults.vulnerabilities || {}).map((v) => ({
+    name: v.name,
+    severity: v.severity,
+  }));
+}
+
+async function sendDependencyTreeScan(res, source) {
+  const ruleSet = rules.getRuleSet();
+  const result = await scanDependencyTree(db, source);
+  result.rules = rules.ruleReport(
+    ruleSet,
+    rules.matchAdvisories(
+      ruleSet,
+      result.dependencies.flatMap((d) =>
+        d.advisories.map((a) => ({ name: d.name, severity: a.severity }))
+      )
+    )
+  );
+  await saveScanResult("dependencyTreeScan", result);
+  res.json(result);
 }
 
 // ---------------- 1. npm 漏洞扫描（不动你现有的） ----------------
+// ?path=<project dir> scans that project's lockfile (package-lock v1-v3,
+// yarn.lock, pnpm-lock.yaml); &obfuscation=scan also scans its node_modules.
+// Without path this audits the server's own install as before.
 app.get("/scan/npm", async (req, res) => {
   try {
-    const { stdout } = await execAsync("npm audit --json");
-    let auditResults = JSON.parse(stdout);
-
-    if (auditResults.advisories) {
-      let enriched = [];
-      for (let id in auditResults.advisories) {
-        let adv = auditResults.advisories[id];
-        let version =
-          adv.findings && adv.findings[0] && adv.findings[0].version;
-        let ghData = await checkGitHubSecurityAdvisory(
-          adv.module_name,
-          version
-        );
-        enriched.push({ npmAdvisory: adv, githubAdvisory: ghData });
+    if (req.query.path) {
+      const projectDir = path.resolve(req.query.path);
+      const found = await readProjectLockfile(projectDir);
+      if (!found) {
+        return res
+          .status(400)
+          .json({ error: "no lockfile found", dir: projectDir });
+      }
+      return await sendDependencyTreeScan(res, {
+        filename: found.file,
+        content: found.content,
+        pkgJson: found.pkgJson,
+        projectDir,
+        scanInstalled: req.query.obfuscation === "scan",
+      });
+    }
+
+    const ruleSet = rules.getRuleSet();
+    const localAdvisories = await matchInstalled(
+      db,
+      await installedPackages(process.cwd())
+    );
+    const localFlat = localAdvisories.flatMap((p) =>
+      p.advisories.map((a) => ({ name: p.name, severity: a.severity }))
+    );
+
+    let auditResults = null;
+    if (!isOffline(req)) {
+      auditResults = await npmJson("npm audit --json");
+      if (auditResults.advisories) {
+        let enriched = [];
+        for (let id in auditResults.advisories) {
+          let adv = auditResults.advisories[id];
+          let version =
+            adv.findings && adv.findings[0] && adv.findings[0].version;
+          enriched.push({
+            npmAdvisory: adv,
+            localAdvisories: await findAdvisories(db, adv.module_name, version),
+          });
+        }
+        auditResults.enriched = enriched;
       }
-      auditResults.enriched = enriched;
     }
-    await saveScanResult("npmScan", auditResults);
-    res.json({ auditResults });
+
+    const scan = {
+      offline: isOffline(req),
+      auditResults,
+      localAdvisories,
+      rules: rules.ruleReport(
+        ruleSet,
+        rules.matchAdvisories(
+          ruleSet,
+          auditResults ? auditAdvisories(auditResults) : localFlat
+        )
+      ),
+    };
+    await saveScanResult("npmScan", scan);
+    res.json(scan);
   } catch (err) {
     console.error("Error during npm scan:", err);
     res.status(500).json({ error: "npm scan failed", details: err.message });
   }
 });
 
+// body: { filename: "yarn.lock", content: "<lockfile text>", packageJson }
+app.post("/scan/npm", async (req, res) => {
+  try {
+    const { filename, content, packageJson } = req.body || {};
+    if (typeof content !== "string" || !content.trim()) {
+      return res.status(400).json({ error: "lockfile content is required" });
+    }
+    await sendDependencyTreeScan(res, {
+      filename,
+      content,
+      pkgJson: packageJson || null,
+    });
+  } catch (err) {
+    console.error("Error during lockfile scan:", err);
+    res
+      .status(500)
+      .json({ error: "lockfile scan failed", details: err.message });
+  }
+});
+
+// offline C2 analysis of saved captures: ?pcap=<file.pcap or dir of them>;
+// reputation covers unexpected domains and public endpoints
+async function pcapC2Report(target, ruleSet, intel) {
+  const captures = await analyzePcaps(path.resolve(target));
+  for (const c of captures) {
+    if (c.error) {
+      c.rules = rules.ruleReport(ruleSet, []);
+      continue;
+    }
+    c.reputation = await intel.lookupMany([
+      ...c.unexpectedDomains,
+      ...c.connections.filter((x) => x.scope === "public").map((x) => x.ip),
+    ]);
+    c.rules = rules.ruleReport(ruleSet, [
+      ...rules.matchDomains(ruleSet, c.domains),
+      ...Object.values(c.reputation).flatMap((r) =>
+        rules.matchReputation(ruleSet, r)
+      ),
+    ]);
+  }
+  return captures;
+}
+
 // ---------------- 2. C2 检测（不动） ----------------
 app.get("/scan/c2", async (req, res) => {
   try {
+    if (req.query.pcap) {
+      const captures = await pcapC2Report(
+        req.query.pcap,
+        rules.getRuleSet(),
+        defaultThreatIntel(db, { remote: !isOffline(req) })
+      );
+      const c2Data = { source: "pcap", target: req.query.pcap, captures };
+      await saveScanResult("c2PcapScan", c2Data);
+      return res.json(c2Data);
+    }
+
     const networkInterface = "en0";
     const { stdout } = await execAsync(
       `tshark -i ${networkInterface} -a duration:10 -Y "dns" -T fields -e dns.qry.name`
@@ -115,46 +269,26 @@ app.get("/scan/c2", async (req, res) => {
       .filter((d) => d);
     domains = Array.from(new Set(domains));
 
+    const ruleSet = rules.getRuleSet();
     if (domains.length === 0) {
-      return res.json({ message: "No DNS queries captured", domains: [] });
-    }
-
-    const maxQueries = 5;
-    const selectedDomains = domains.slice(0, maxQueries);
-
-    const queryVirusTotal = async (domain) => {
-      try {
-        await new Promise((resolve) => setTimeout(resolve, 1000));
-        const response = await axios.get(
-          `https://www.virustotal.com/api/v3/domains/${domain}`,
-          {
-            headers: { "x-apikey": VIRUSTOTAL_API_KEY },
-          }
-        );
-        return { domain, reputation: response.data };
-      } catch (error) {
-        console.error(
-          `Error querying VirusTotal for ${domain}:`,
-          error.message
-        );
-        return { domain, error: error.message };
-      }
-    };
-
-    const results = await Promise.allSettled(
-      selectedDomains.map(queryVirusTotal)
-    );
-
-    const finalResults = results.map((result) =>
-      result.status === "fulfilled"
-        ? result.value
-        : {
-            domain: result.reason?.domain || "unknown",
-            error: result.reason?.message || "Unknown error",
-          }
-    );
+      return res.json({
+        message: "No DNS queries captured",
+        domains: [],
+        rules: rules.ruleReport(ruleSet, []),
+      });
+    }
 
-    const c2Data = { domains: finalResults };
+    const intel = defaultThreatIntel(db, { remote: !isOffline(req) });
+    const reputation = await intel.lookupMany(domains);
+    const matches = rules.matchDomains(ruleSet, domains);
+    for (const r of Object.values(reputation)) {
+      matches.push(...rules.matchReputation(ruleSet, r));
+    }
+    const c2Data = {
+      providers: intel.providers,
+      domains: Object.values(reputation),
+      rules: rules.ruleReport(ruleSet, matches),
+    };
     await saveScanResult("c2Scan", c2Data);
     res.json(c2Data);
   } catch (err) {
@@ -164,42 +298,95 @@ app.get("/scan/c2", async (req, res) => {
 });
 
 // ---------------- 3. 风险分数（不动） ----------------
+// ?pcap=<file or dir> counts domains from saved captures instead of tshark
+// ?dir=<download dir> scores that one package instead (config/risk_model.yaml):
+// static scans, advisories, metadata, provenance and its record in ?c2=
+// (default c2_results); ?reload=1 rereads the model
 app.get("/scan/score", async (req, res) => {
   try {
+    if (req.query.dir) {
+      const model = req.query.reload === "1" ? reloadRiskModel() : undefined;
+      const packageScore = await scorePackageDir(path.resolve(req.query.dir), {
+        c2Dir: path.resolve(__dirname, req.query.c2 || "c2_results"),
+        db,
+        model,
+      });
+      await saveScanResult("packageRiskScore", packageScore);
+      return res.json(packageScore);
+    }
+
     let vulnerabilityCount = 0;
     let c2Count = 0;
     let githubHighRiskCount = 0;
+    let packageNameCount = 0;
 
-    let { stdout: npmStdout } = await execAsync("npm audit --json");
-    let auditResults = JSON.parse(npmStdout);
-    if (auditResults.metadata && auditResults.metadata.vulnerabilities) {
-      vulnerabilityCount = Object.values(
-        auditResults.metadata.vulnerabilities
-      ).reduce((sum, count) => sum + count, 0);
-    }
-    if (auditResults.advisories) {
-      for (let id in auditResults.advisories) {
-        let adv = auditResults.advisories[id];
-        if (adv.severity === "high" || adv.severity === "critical") {
-          githubHighRiskCount++;
-        }
+    const ruleSet = rules.getRuleSet();
+    const weights = rules.scoringWeights(ruleSet, {
+      vulnerability: 1,
+      c2Domain: 2,
+      advisory: 3,
+      packageName: 4,
+    });
+
+    const installed = await installedPackages(process.cwd());
+    let advisoryList;
+    if (isOffline(req)) {
+      const local = await matchInstalled(db, installed);
+      advisoryList = local.flatMap((p) =>
+        p.advisories.map((a) => ({ name: p.name, severity: a.severity }))
+      );
+      vulnerabilityCount = advisoryList.length;
+    } else {
+      let auditResults = await npmJson("npm audit --json");
+      if (auditResults.metadata && auditResults.metadata.vulnerabilities) {
+        vulnerabilityCount = Object.values(
+          auditResults.metadata.vulnerabilities
+        ).reduce((sum, count) => sum + count, 0);
       }
+      advisoryList = auditAdvisories(auditResults);
     }
+    const advisoryMatches = rules.matchAdvisories(ruleSet, advisoryList);
+    githubHighRiskCount = advisoryMatches.length;
 
-    let { stdout: tsharkStdout } = await execAsync(
-      'tshark -a duration:10 -Y "dns" -T fields -e dns.qry.name'
+    // typosquats / dependency confusion among the installed names
+    const nameMatches = rules.matchNames(
+      ruleSet,
+      getNameAnalyzer().analyzeMany([...new Set(installed.map((p) => p.name))])
     );
-    let domains = tsharkStdout.split("\n").filter((line) => line.trim() !== "");
+    packageNameCount = nameMatches.length;
+
+    let domains;
+    if (req.query.pcap) {
+      const captures = await analyzePcaps(path.resolve(req.query.pcap));
+      domains = captures.flatMap((c) => c.unexpectedDomains || []);
+    } else {
+      let { stdout: tsharkStdout } = await execAsync(
+        'tshark -a duration:10 -Y "dns" -T fields -e dns.qry.name'
+      );
+      domains = tsharkStdout.split("\n").filter((line) => line.trim() !== "");
+    }
     domains = Array.from(new Set(domains));
-    c2Count = domains.length;
+    // only domains outside the baseline/allowlist count toward the score
+    const unexpected = unexpectedDomains(domains, noiseFilter(null));
+    c2Count = unexpected.length;
 
     const riskScore =
-      vulnerabilityCount + c2Count * 2 + githubHighRiskCount * 3;
+      vulnerabilityCount * weights.vulnerability +
+      c2Count * weights.c2Domain +
+      githubHighRiskCount * weights.advisory +
+      packageNameCount * weights.packageName;
     const scoreResult = {
       vulnerabilityCount,
       c2Count,
       githubHighRiskCount,
+      packageNameCount,
       riskScore,
+      weights,
+      rules: rules.ruleReport(ruleSet, [
+        ...advisoryMatches,
+        ...nameMatches,
+        ...rules.matchDomains(ruleSet, domains),
+      ]),
     };
     await saveScanResult("riskScore", scoreResult);
     res.json(scoreResult);
@@ -228,66 +415,104 @@ app.get("/report", async (req, res) => {
   }
 });
 
-// --------- replace existing /scan/obfuscation with this ---------
-function isObfuscated(code) {
-  const lines = code.split("\n");
-  if (lines.length === 1 && code.length > 1000) return true;
-  const avg = code.length / lines.length;
-  if (avg > 200) return true;
-  return false;
-}
+// e.g. /report/capabilities?capability=child_process&importTime=1&list=packages.txt
+app.get("/report/capabilities", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ error: "MongoDB not connected" });
+    }
+    const { capability } = req.query;
+    if (!CAPABILITIES.includes(capability)) {
+      return res
+        .status(400)
+        .json({ error: "unknown capability", capabilities: CAPABILITIES });
+    }
+    const field =
+      req.query.importTime === "1"
+        ? "data.capabilities.importTime"
+        : "data.capabilities.found";
+    const docs = await db
+      .collection("scanResults")
+      .find({ type: "obfuscationScan", [field]: capability })
+      .sort({ timestamp: -1 })
+      .project({
+        "data.name": 1,
+        "data.version": 1,
+        "data.dir": 1,
+        timestamp: 1,
+      })
+      .toArray();
+
+    let wanted = null;
+    if (req.query.list) {
+      const listPath = path.resolve(__dirname, req.query.list);
+      wanted = new Set(
+        (await fs.readFile(listPath, "utf8"))
+          .split(/\r?\n/)
+          .map((l) => l.trim())
+          .filter(Boolean)
+      );
+    }
 
-async function collectJsFiles(
-  root,
-  maxFiles = 200,
-  maxDepth = 4,
-  curDepth = 0,
-  acc = []
-) {
-  if (curDepth > maxDepth || acc.length >= maxFiles) return acc;
-  const entries = await fs.readdir(root, { withFileTypes: true });
-  for (const e of entries) {
-    if (acc.length >= maxFiles) break;
-    const full = path.join(root, e.name);
-    if (e.isDirectory()) {
-      if (e.name === "node_modules") continue;
-      await collectJsFiles(full, maxFiles, maxDepth, curDepth + 1, acc);
-    } else if (e.isFile() && e.name.endsWith(".js")) {
-      acc.push(full);
+    // newest scan per package
+    const seen = new Set();
+    const packages = [];
+    for (const d of docs) {
+      const name = d.data.name || d.data.dir;
+      if (seen.has(name) || (wanted && !wanted.has(name))) continue;
+      seen.add(name);
+      packages.push({
+        name,
+        version: d.data.version,
+        dir: d.data.dir,
+        scannedAt: d.timestamp,
+      });
     }
+    res.json({
+      capability,
+      importTime: req.query.importTime === "1",
+      count: packages.length,
+      packages,
+    });
+  } catch (err) {
+    console.error("Error retrieving capability report:", err);
+    res
+      .status(500)
+      .json({ error: "Capability report failed", details: err.message });
+  }
+});
+
+// --------- replace existing /scan/obfuscation with this ---------
+// accepts either the package dir itself or the dir holding package/
+function resolvePackageRoot(dir) {
+  const targetDir = dir ? path.resolve(dir) : path.join(__dirname, "package");
+  if (fsSync.existsSync(path.join(targetDir, "package.json"))) {
+    return { targetDir, realRoot: targetDir };
+  }
+  const alt = path.join(targetDir, "package");
+  if (fsSync.existsSync(path.join(alt, "package.json"))) {
+    return { targetDir, realRoot: alt };
   }
-  return acc;
+  return { targetDir, realRoot: null };
 }
 
 app.get("/scan/obfuscation", async (req, res) => {
   try {
-    const targetDir = req.query.dir
-      ? path.resolve(req.query.dir)
-      : path.join(__dirname, "package");
-    let pkgJsonPath = path.join(targetDir, "package.json");
-    if (!fsSync.existsSync(pkgJsonPath)) {
-      const alt = path.join(targetDir, "package", "package.json");
-      if (fsSync.existsSync(alt)) pkgJsonPath = alt;
-      else
-        return res
-          .status(400)
-          .json({ error: "package.json not found", dir: targetDir });
-    }
-    const realRoot = path.dirname(pkgJsonPath);
-    const jsFiles = await collectJsFiles(realRoot);
-    const results = [];
-    for (const file of jsFiles) {
-      try {
-        const code = await fs.readFile(file, "utf8");
-        results.push({
-          file: path.relative(realRoot, file),
-          obfuscated: isObfuscated(code),
-        });
-      } catch (e) {
-        results.push({ file: path.relative(realRoot, file), error: e.message });
-      }
+    const { targetDir, realRoot } = resolvePackageRoot(req.query.dir);
+    if (!realRoot) {
+      return res
+        .status(400)
+        .json({ error: "package.json not found", dir: targetDir });
+    }
+    const payload = await scanSources(realRoot, rules.getRuleSet(), {
+      saveUnpacked: true,
+    });
+    for (const u of payload.unpacked.filter((f) => f.saved)) {
+      u.href = `/scan/obfuscation/unpacked?${new URLSearchParams({
+        dir: realRoot,
+        file: u.file,
+      })}`;
     }
-    const payload = { dir: realRoot, fileCount: jsFiles.length, results };
     await saveScanResult("obfuscationScan", payload);
     res.json(payload);
   } catch (err) {
@@ -298,6 +523,420 @@ app.get("/scan/obfuscation", async (req, res) => {
   }
 });
 
+// recovered source written by the obfuscation scan (payload.unpacked[].href)
+app.get("/scan/obfuscation/unpacked", async (req, res) => {
+  try {
+    const { targetDir, realRoot } = resolvePackageRoot(req.query.dir);
+    if (!realRoot) {
+      return res
+        .status(400)
+        .json({ error: "package.json not found", dir: targetDir });
+    }
+    const file = path.resolve(realRoot, String(req.query.file || ""));
+    if (
+      !file.startsWith(realRoot + path.sep) ||
+      !(await isScannerOutput(file))
+    ) {
+      return res
+        .status(400)
+        .json({ error: "not a file written by the obfuscation scan" });
+    }
+    res.type("text/plain").send(await fs.readFile(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      return res.status(404).json({ error: "unpacked file not found" });
+    }
+    console.error("Error reading unpacked file:", err.message);
+    res
+      .status(500)
+      .json({ error: "Reading unpacked file failed", details: err.message });
+  }
+});
+
+app.get("/scan/lifecycle", async (req, res) => {
+  try {
+    const { targetDir, realRoot } = resolvePackageRoot(req.query.dir);
+    if (!realRoot) {
+      return res
+        .status(400)
+        .json({ error: "package.json not found", dir: targetDir });
+    }
+    const payload = await scanLifecycleWithRules(realRoot);
+    await saveScanResult("lifecycleScan", payload);
+    res.json(payload);
+  } catch (err) {
+    console.error("Error during lifecycle scan:", err.message);
+    res
+      .status(500)
+      .json({ error: "Lifecycle scan failed", details: err.message });
+  }
+});
+
+// tokens, keys and webhook URLs in every file of the package (values are
+// masked): ?dir= a package or download dir
+app.get("/scan/secrets", async (req, res) => {
+  try {
+    const { targetDir, realRoot } = resolvePackageRoot(req.query.dir);
+    if (!realRoot) {
+      return res
+        .status(400)
+        .json({ error: "package.json not found", dir: targetDir });
+    }
+    const payload = await scanSecrets(realRoot);
+    await saveScanResult("secretsScan", payload);
+    res.json(payload);
+  } catch (err) {
+    console.error("Error during secrets scan:", err.message);
+    res
+      .status(500)
+      .json({ error: "Secrets scan failed", details: err.message });
+  }
+});
+
+// native binaries, wasm, archives and shell/PowerShell/batch scripts:
+// ?dir= a package or download dir
+app.get("/scan/artifacts", async (req, res) => {
+  try {
+    const { targetDir, realRoot } = resolvePackageRoot(req.query.dir);
+    if (!realRoot) {
+      return res
+        .status(400)
+        .json({ error: "package.json not found", dir: targetDir });
+    }
+    const payload = await analyzeArtifacts(realRoot);
+    await saveScanResult("artifactScan", payload);
+    res.json(payload);
+  } catch (err) {
+    console.error("Error during artifact scan:", err.message);
+    res
+      .status(500)
+      .json({ error: "Artifact scan failed", details: err.message });
+  }
+});
+
+// URLs, domains, IPs, webhooks, paste links and wallets in the package
+// (base64/hex literals decoded), matched against its dynamic record in ?c2=
+// (default c2_results) and checked like /scan/c2; ?offline=1 skips remote
+// reputation providers
+app.get("/scan/ioc", async (req, res) => {
+  try {
+    const { targetDir, realRoot } = resolvePackageRoot(req.query.dir);
+    if (!realRoot) {
+      return res
+        .status(400)
+        .json({ error: "package.json not found", dir: targetDir });
+    }
+    const payload = await iocReport(realRoot, {
+      c2Dir: path.resolve(__dirname, req.query.c2 || "c2_results"),
+      intel: defaultThreatIntel(db, { remote: !isOffline(req) }),
+    });
+    await saveScanResult("iocScan", payload);
+    res.json(payload);
+  } catch (err) {
+    console.error("Error during IOC scan:", err.message);
+    res.status(500).json({ error: "IOC scan failed", details: err.message });
+  }
+});
+
+// /scan/diff?pkg=left-pad&from=1.2.0&to=1.3.0 (to defaults to latest,
+// from to the release before it)
+app.get("/scan/diff", async (req, res) => {
+  try {
+    const { pkg, from, to } = req.query;
+    if (!pkg) {
+      return res.status(400).json({ error: "pkg is required" });
+    }
+    const report = await diffVersions(
+      pkg,
+      from,
+      to,
+      path.join(__dirname, "downloaded_packages")
+    );
+    await saveScanResult("versionDiff", report);
+    res.json(report);
+  } catch (err) {
+    console.error("Error during version diff:", err.message);
+    res
+      .status(500)
+      .json({ error: "Version diff failed", details: err.message });
+  }
+});
+
+// typosquatting / dependency confusion: /scan/name?name=lodahs&name=@acme/x
+// or ?list=packages.txt; ?reload=1 rereads the popular-package list and
+// config/internal_scopes.yaml
+app.get("/scan/name", async (req, res) => {
+  try {
+    let names = [].concat(req.query.name || []);
+    if (req.query.list) {
+      const listPath = path.resolve(__dirname, req.query.list);
+      names = names.concat(
+        (await fs.readFile(listPath, "utf8"))
+          .split(/\r?\n/)
+          .map((l) => l.trim())
+          .filter(Boolean)
+      );
+    }
+    if (names.length === 0) {
+      return res.status(400).json({ error: "name or list is required" });
+    }
+    const analyzer =
+      req.query.reload === "1" ? reloadNameAnalyzer() : getNameAnalyzer();
+    const ruleSet = rules.getRuleSet();
+    const results = analyzer.analyzeMany([...new Set(names)]);
+    const payload = {
+      reference: analyzer.reference,
+      internal: analyzer.internal,
+      flagged: results.filter((r) => r.score > 0).length,
+      results,
+      rules: rules.ruleReport(ruleSet, rules.matchNames(ruleSet, results)),
+    };
+    await saveScanResult("nameScan", payload);
+    res.json(payload);
+  } catch (err) {
+    console.error("Error during name scan:", err.message);
+    res.status(500).json({ error: "Name scan failed", details: err.message });
+  }
+});
+
+// fetch + verify + extract + every static analyzer in one call. body:
+// { spec: "name@version" } | { tarball: "<local .tgz>" } | { url: "<tarball>" }
+// plus optional registry (mirror URL), integrity (SRI, checked for
+// tarball/url), refresh (download again), rescan (ignore the cached report).
+// Tarballs are cached by sha512 in package_cache/ (PACKAGE_CACHE).
+app.post("/scan/package", async (req, res) => {
+  try {
+    const payload = await scanPackage(req.body || {}, { db });
+    await saveScanResult("packageScan", payload);
+    res.json(payload);
+  } catch (err) {
+    console.error("Error during package scan:", err.message);
+    res
+      .status(err.status || 500)
+      .json({ error: "Package scan failed", details: err.message });
+  }
+});
+
+// publishing signals from the packument: ?dir= a download-packages.js dir
+// (uses its packument.json and tarball), or ?pkg=name[&version=] live
+app.get("/scan/metadata", async (req, res) => {
+  try {
+    let payload;
+    if (req.query.dir) {
+      payload = await analyzeDownloaded(path.resolve(req.query.dir));
+    } else if (req.query.pkg) {
+      payload = await analyzeFromRegistry(req.query.pkg, req.query.version);
+    } else {
+      return res.status(400).json({ error: "dir or pkg is required" });
+    }
+    await saveScanResult("metadataScan", payload);
+    res.json(payload);
+  } catch (err) {
+    console.error("Error during metadata scan:", err.message);
+    res
+      .status(500)
+      .json({ error: "Metadata scan failed", details: err.message });
+  }
+});
+
+// tarball vs repository at the same version, plus npm provenance when
+// published: ?dir=<download dir>[&repo=<local clone or archive>]; without
+// repo the repository URL is cloned into <dir>/repo
+app.get("/scan/provenance", async (req, res) => {
+  try {
+    if (!req.query.dir) {
+      return res.status(400).json({ error: "dir is required" });
+    }
+    const payload = await checkPackageProvenance(path.resolve(req.query.dir), {
+      source: req.query.repo ? path.resolve(req.query.repo) : null,
+    });
+    await saveScanResult("provenanceScan", payload);
+    res.json(payload);
+  } catch (err) {
+    console.error("Error during provenance scan:", err.message);
+    res
+      .status(500)
+      .json({ error: "Provenance scan failed", details: err.message });
+  }
+});
+
+// e.g. /report/metadata?signal=maintainer-change&severity=high&list=packages.txt
+app.get("/report/metadata", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({ error: "MongoDB not connected" });
+    }
+    const { signal, severity } = req.query;
+    // filtered after picking the newest scan, so a package whose latest
+    // scan no longer has the signal isn't reported from an older one
+    const docs = await db
+      .collection("scanResults")
+      .find({ type: "metadataScan" })
+      .sort({ timestamp: -1 })
+      .project({
+        "data.name": 1,
+        "data.version": 1,
+        "data.signals": 1,
+        timestamp: 1,
+      })
+      .toArray();
+
+    let wanted = null;
+    if (req.query.list) {
+      const listPath = path.resolve(__dirname, req.query.list);
+      wanted = new Set(
+        (await fs.readFile(listPath, "utf8"))
+          .split(/\r?\n/)
+          .map((l) => l.trim())
+          .filter(Boolean)
+      );
+    }
+
+    // newest scan per package
+    const seen = new Set();
+    const packages = [];
+    for (const d of docs) {
+      const name = d.data.name;
+      if (seen.has(name) || (wanted && !wanted.has(name))) continue;
+      seen.add(name);
+      const signals = (d.data.signals || []).filter(
+        (s) =>
+          (!signal || s.id === signal) && (!severity || s.severity === severity)
+      );
+      if ((signal || severity) && !signals.length) continue;
+      packages.push({
+        name,
+        version: d.data.version,
+        signals,
+        scannedAt: d.timestamp,
+      });
+    }
+    res.json({
+      signal: signal || null,
+      severity: severity || null,
+      count: packages.length,
+      packages,
+    });
+  } catch (err) {
+    console.error("Error retrieving metadata report:", err);
+    res
+      .status(500)
+      .json({ error: "Metadata report failed", details: err.message });
+  }
+});
+
+app.get("/rules", (req, res) => {
+  const ruleSet =
+    req.query.reload === "1" ? rules.reloadRuleSet() : rules.getRuleSet();
+  res.json({
+    dir: ruleSet.dir,
+    packs: ruleSet.packs,
+    rules: ruleSet.rules.map((r) => ({
+      id: r.id,
+      pack: r.pack,
+      packVersion: r.packVersion,
+      type: r.type,
+      severity: r.severity,
+      description: r.description || "",
+    })),
+    errors: ruleSet.errors,
+  });
+});
+
+// local threat-intel feeds; ?domain=x looks one up, ?reload=1 rereads intel/
+app.get("/intel", async (req, res) => {
+  try {
+    const blocklist =
+      req.query.reload === "1"
+        ? reloadBlocklistProvider()
+        : getBlocklistProvider();
+    const intel = defaultThreatIntel(db, { remote: !isOffline(req) });
+    res.json({
+      providers: intel.providers,
+      feeds: blocklist.feeds,
+      lookup: req.query.domain ? await intel.lookup(req.query.domain) : null,
+    });
+  } catch (err) {
+    console.error("Error during intel lookup:", err.message);
+    res
+      .status(500)
+      .json({ error: "Intel lookup failed", details: err.message });
+  }
+});
+
+// ---------------- jobs ----------------
+// body: { scans: ["obfuscation", "lifecycle", ...] and one of
+//   package: "name[@version]", packages: [...], list: "packages.txt",
+//   lockfile: "<project dir or lockfile>"; maxAttempts, concurrency }
+// Packages are downloaded into downloaded_packages/ when missing.
+app.post("/jobs", async (req, res) => {
+  try {
+    if (!jobQueue) {
+      return res.status(500).json({ error: "MongoDB not connected" });
+    }
+    const job = await jobQueue.submit(req.body || {});
+    res.status(202).json(job);
+  } catch (err) {
+    console.error("Error submitting job:", err.message);
+    res.status(400).json({ error: "Job rejected", details: err.message });
+  }
+});
+
+app.get("/jobs", async (req, res) => {
+  try {
+    if (!jobQueue) {
+      return res.status(500).json({ error: "MongoDB not connected" });
+    }
+    res.json(await jobQueue.list({ limit: req.query.limit }));
+  } catch (err) {
+    console.error("Error listing jobs:", err.message);
+    res.status(500).json({ error: "Job list failed", details: err.message });
+  }
+});
+
+app.get("/jobs/:id", async (req, res) => {
+  try {
+    if (!jobQueue) {
+      return res.status(500).json({ error: "MongoDB not connected" });
+    }
+    const job = await jobQueue.get(req.params.id);
+    if (!job) return res.status(404).json({ error: "job not found" });
+    res.json(job);
+  } catch (err) {
+    console.error("Error reading job:", err.message);
+    res.status(500).json({ error: "Job lookup failed", details: err.message });
+  }
+});
+
+// ?skip=&limit= (at most 200 packages per page)
+app.get("/jobs/:id/results", async (req, res) => {
+  try {
+    if (!jobQueue) {
+      return res.status(500).json({ error: "MongoDB not connected" });
+    }
+    const page = await jobQueue.results(req.params.id, req.query);
+    if (!page) return res.status(404).json({ error: "job not found" });
+    res.json(page);
+  } catch (err) {
+    console.error("Error reading job results:", err.message);
+    res.status(500).json({ error: "Job results failed", details: err.message });
+  }
+});
+
+app.post("/jobs/:id/cancel", async (req, res) => {
+  try {
+    if (!jobQueue) {
+      return res.status(500).json({ error: "MongoDB not connected" });
+    }
+    const job = await jobQueue.cancel(req.params.id);
+    if (!job) return res.status(404).json({ error: "job not found" });
+    res.json(job);
+  } catch (err) {
+    console.error("Error cancelling job:", err.message);
+    res.status(500).json({ error: "Job cancel failed", details: err.message });
+  }
+});
+
 app.listen(PORT, () => {
   console.log(
     `Security scanning service started. Access it at http://localhost:${PORT}`
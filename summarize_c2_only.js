@@ -1,38 +1,153 @@
 const fs = require("fs");
 const path = require("path");
+const rules = require("./lib/rules");
+const {
+  noiseFilter,
+  unexpectedDomains,
+  isBaselineFile,
+} = require("./lib/c2_baseline");
+const {
+  VERDICTS,
+  createThreatIntel,
+  getBlocklistProvider,
+  verdictFromVtStats,
+} = require("./lib/threat_intel");
 
-const dir = path.join(__dirname, "c2_results");
+// per-package files written next to the record that aren't records
+const SIDE_FILES = /\.(network|trace)\.json$/;
+
+const dir = path.resolve(process.argv[2] || path.join(__dirname, "c2_results"));
 if (!fs.existsSync(dir)) {
-  console.error("c2_results directory not found");
+  console.error(`${dir} directory not found`);
   process.exit(1);
 }
 
-const files = fs.readdirSync(dir).filter((f) => f.endsWith(".json"));
+const ruleSet = rules.getRuleSet();
+const noise = noiseFilter(dir);
+// offline: stored verdicts first, then the local feeds
+const intel = createThreatIntel({ providers: [getBlocklistProvider()] });
+const files = fs
+  .readdirSync(dir)
+  .filter(
+    (f) =>
+      f.endsWith(".json") &&
+      !f.startsWith(".") &&
+      !SIDE_FILES.test(f) &&
+      !isBaselineFile(f)
+  );
 let total = 0;
 let withDns = 0;
-let withFlagged = 0;
-
-for (const f of files) {
-  total++;
-  const data = JSON.parse(fs.readFileSync(path.join(dir, f), "utf8"));
-  const domains = Array.isArray(data.domains) ? data.domains : [];
-  if (domains.length > 0) withDns++;
-
-  let flaggedHere = 0;
-  const vt = data.vt || {};
-  for (const d of domains) {
-    const r = vt[d];
-    const stats = r?.data?.attributes?.last_analysis_stats;
-    if (stats) {
-      const positives = (stats.malicious || 0) + (stats.suspicious || 0);
-      if (positives > 0) flaggedHere++;
+let withUnexpected = 0;
+const unexpectedCounts = {};
+const withVerdict = Object.fromEntries(VERDICTS.map((v) => [v, 0]));
+let withSensitiveAccess = 0;
+let withDownloads = 0;
+let withExfiltration = 0;
+let withRuleMatch = 0;
+const byRule = {};
+
+// normalized reputation for a record's unexpected domains; legacy records
+// only have raw VirusTotal responses under `vt`
+async function recordReputation(data, unexpected) {
+  const stored = data.reputation || {};
+  const out = [];
+  for (const d of unexpected) {
+    if (stored[d]) {
+      out.push(stored[d]);
+      continue;
     }
+    const stats = data.vt?.[d]?.data?.attributes?.last_analysis_stats;
+    out.push(
+      stats
+        ? {
+            domain: d,
+            verdict: verdictFromVtStats(stats),
+            source: "virustotal",
+          }
+        : await intel.lookup(d)
+    );
   }
-  if (flaggedHere > 0) withFlagged++;
+  return out;
 }
 
-console.log("---- C2 scan summary ----");
-console.log(`Total C2 result files: ${total}`);
-console.log(`Packages with any DNS/TLS event: ${withDns}`);
-console.log(`Packages with VT-flagged domains: ${withFlagged}`);
-console.log("(Note: if VT was not configured, flagged will be 0)");
+(async () => {
+  for (const f of files) {
+    total++;
+    const data = JSON.parse(fs.readFileSync(path.join(dir, f), "utf8"));
+    const domains = Array.isArray(data.domains) ? data.domains : [];
+    if (domains.length > 0) withDns++;
+    // records written before baseline subtraction don't carry the field
+    const unexpected = Array.isArray(data.unexpectedDomains)
+      ? data.unexpectedDomains
+      : unexpectedDomains(domains, noise);
+    if (unexpected.length > 0) withUnexpected++;
+    for (const d of unexpected) {
+      unexpectedCounts[d] = (unexpectedCounts[d] || 0) + 1;
+    }
+
+    // worst verdict per package
+    let worst = "unknown";
+    const reputation = await recordReputation(data, unexpected);
+    for (const r of reputation) {
+      if (VERDICTS.indexOf(r.verdict) > VERDICTS.indexOf(worst)) {
+        worst = r.verdict;
+      }
+    }
+    if (unexpected.length > 0) withVerdict[worst]++;
+
+    const trace = data.trace;
+    if (
+      trace &&
+      (trace.sensitiveFiles.length > 0 || trace.sensitiveEnv.length > 0)
+    ) {
+      withSensitiveAccess++;
+    }
+    // only sinkholed runs see what would have been sent
+    if (data.sinkhole) {
+      if (data.sinkhole.downloadUrls.length > 0) withDownloads++;
+      if (data.sinkhole.exfiltration.length > 0) withExfiltration++;
+    }
+
+    const matches = [
+      ...rules.matchDomains(ruleSet, domains),
+      ...reputation.flatMap((r) => rules.matchReputation(ruleSet, r)),
+    ];
+    if (matches.length > 0) withRuleMatch++;
+    for (const m of matches) byRule[m.ruleId] = (byRule[m.ruleId] || 0) + 1;
+  }
+
+  console.log("---- C2 scan summary ----");
+  console.log(`Total C2 result files: ${total}`);
+  console.log(
+    `Baseline: ${noise.baseline.length} domains, allowlist: ${noise.allowlist.length} patterns`
+  );
+  console.log(`Packages with any DNS/TLS event (incl. noise): ${withDns}`);
+  console.log(`Packages with unexpected domains: ${withUnexpected}`);
+  const topUnexpected = Object.entries(unexpectedCounts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 10);
+  for (const [d, n] of topUnexpected) console.log(`  ${d}: ${n}`);
+  console.log(
+    `Packages by worst verdict: malicious ${withVerdict.malicious}, suspicious ${withVerdict.suspicious}, clean ${withVerdict.clean}, unknown ${withVerdict.unknown}`
+  );
+  console.log(
+    `Packages touching sensitive files/env at runtime: ${withSensitiveAccess}`
+  );
+  console.log(
+    `Sinkhole: packages fetching second stages ${withDownloads}, sending secrets/env ${withExfiltration}`
+  );
+  console.log(
+    `Packages matching domain/reputation rules: ${withRuleMatch}`,
+    byRule
+  );
+  console.log(
+    `Rule packs: ${ruleSet.packs.map((p) => `${p.id}@${p.version}`).join(", ")}`
+  );
+  console.log(
+    `Intel: ${
+      getBlocklistProvider()
+        .feeds.map((f) => `${f.feed} (${f.entries})`)
+        .join(", ") || "no local feeds"
+    }`
+  );
+})();
@@ -2,12 +2,20 @@ const fs = require("fs");
 const path = require("path");
 
 const dir = path.join(__dirname, "results");
-const files = fs.readdirSync(dir).filter((f) => f.endsWith(".json"));
+const all = fs.readdirSync(dir);
+// other scan types write <safe>.<type>.json next to the obfuscation results
+const OTHER_SCANS =
+  /\.(lifecycle|secrets|artifacts|ioc|metadata|provenance|score)(\.error)?\.json$/;
+const files = all.filter((f) => f.endsWith(".json") && !OTHER_SCANS.test(f));
 
 let total = 0,
   ok = 0,
   errors = 0,
-  obfuscated = 0;
+  obfuscated = 0,
+  minifiedOnly = 0,
+  unpacked = 0;
+const capabilityCounts = {};
+const importTimeCounts = {};
 for (const f of files) {
   total++;
   const data = JSON.parse(fs.readFileSync(path.join(dir, f), "utf8"));
@@ -17,8 +25,195 @@ for (const f of files) {
   }
   const hasErr = data.results.some((r) => r.error);
   const hasObf = data.results.some((r) => r.obfuscated === true);
+  const hasMin = data.results.some((r) => r.minified === true);
+  const caps = data.capabilities || {};
+  for (const c of caps.found || [])
+    capabilityCounts[c] = (capabilityCounts[c] || 0) + 1;
+  for (const c of caps.importTime || [])
+    importTimeCounts[c] = (importTimeCounts[c] || 0) + 1;
   if (hasErr) errors++;
   if (hasObf) obfuscated++;
+  else if (hasMin) minifiedOnly++;
+  if ((data.unpacked || []).length > 0) unpacked++;
   if (!hasErr) ok++;
 }
-console.log({ total, ok, errors, obfuscated });
+console.log({ total, ok, errors, obfuscated, minifiedOnly, unpacked });
+if (Object.keys(capabilityCounts).length > 0) {
+  console.log({ capabilities: capabilityCounts, atImport: importTimeCounts });
+}
+
+const lifecycleFiles = all.filter((f) => f.endsWith(".lifecycle.json"));
+if (lifecycleFiles.length > 0) {
+  let withScripts = 0,
+    withHighRisk = 0;
+  const byRule = {};
+  for (const f of lifecycleFiles) {
+    const data = JSON.parse(fs.readFileSync(path.join(dir, f), "utf8"));
+    if (Object.keys(data.scripts || {}).length > 0) withScripts++;
+    const findings = data.findings || [];
+    if (
+      findings.some((x) => x.severity === "high" || x.severity === "critical")
+    )
+      withHighRisk++;
+    for (const x of findings) byRule[x.ruleId] = (byRule[x.ruleId] || 0) + 1;
+  }
+  console.log({
+    lifecycleScanned: lifecycleFiles.length,
+    withScripts,
+    withHighRisk,
+    byRule,
+  });
+}
+
+const secretsFiles = all.filter((f) => f.endsWith(".secrets.json"));
+if (secretsFiles.length > 0) {
+  let withSecrets = 0,
+    withExfiltration = 0;
+  const byPattern = {};
+  // the same masked secret showing up in several packages
+  const shared = {};
+  for (const f of secretsFiles) {
+    const data = JSON.parse(fs.readFileSync(path.join(dir, f), "utf8"));
+    const findings = data.findings || [];
+    if (findings.length) withSecrets++;
+    if (data.exfiltration) withExfiltration++;
+    for (const id of new Set(findings.map((x) => x.id)))
+      byPattern[id] = (byPattern[id] || 0) + 1;
+    for (const fp of new Set(findings.map((x) => x.fingerprint)))
+      (shared[fp] = shared[fp] || []).push(data.name || f);
+  }
+  console.log({
+    secretsScanned: secretsFiles.length,
+    withSecrets,
+    withExfiltration,
+    byPattern,
+    sharedSecrets: Object.entries(shared)
+      .filter(([, pkgs]) => pkgs.length > 1)
+      .map(([fingerprint, packages]) => ({ fingerprint, packages })),
+  });
+}
+
+const artifactFiles = all.filter((f) => f.endsWith(".artifacts.json"));
+if (artifactFiles.length > 0) {
+  let withExecutables = 0,
+    unexplained = 0,
+    withChains = 0;
+  const byType = {};
+  const byFinding = {};
+  for (const f of artifactFiles) {
+    const data = JSON.parse(fs.readFileSync(path.join(dir, f), "utf8"));
+    const findings = data.findings || [];
+    if ((data.artifacts || []).some((a) => "explained" in a)) withExecutables++;
+    if (findings.some((x) => x.id === "unexplained-executable")) unexplained++;
+    if (findings.some((x) => /^download-.*exec$/.test(x.id))) withChains++;
+    for (const [type, n] of Object.entries(data.byType || {}))
+      byType[type] = (byType[type] || 0) + n;
+    for (const id of new Set(findings.map((x) => x.id)))
+      byFinding[id] = (byFinding[id] || 0) + 1;
+  }
+  console.log({
+    artifactsScanned: artifactFiles.length,
+    withExecutables,
+    unexplained,
+    withChains,
+    byType,
+    byFinding,
+  });
+}
+
+const iocFiles = all.filter((f) => f.endsWith(".ioc.json"));
+if (iocFiles.length > 0) {
+  let withDynamic = 0,
+    withFlagged = 0;
+  const byType = {};
+  const seen = { both: 0, staticOnly: 0, dynamicOnly: 0 };
+  const flagged = [];
+  for (const f of iocFiles) {
+    const data = JSON.parse(fs.readFileSync(path.join(dir, f), "utf8"));
+    const corr = data.correlation || {};
+    if (corr.dynamic) withDynamic++;
+    for (const k of Object.keys(seen)) seen[k] += (corr[k] || []).length;
+    for (const [type, n] of Object.entries(data.counts || {}))
+      byType[type] = (byType[type] || 0) + n;
+    if ((data.flagged || []).length) {
+      withFlagged++;
+      flagged.push({ name: data.name, hosts: data.flagged });
+    }
+  }
+  console.log({
+    iocScanned: iocFiles.length,
+    withDynamic,
+    withFlagged,
+    byType,
+    hosts: seen,
+    flagged: flagged.slice(0, 10),
+  });
+}
+
+const metadataFiles = all.filter((f) => f.endsWith(".metadata.json"));
+if (metadataFiles.length > 0) {
+  let withHighRisk = 0,
+    integrityMismatch = 0;
+  const bySignal = {};
+  for (const f of metadataFiles) {
+    const data = JSON.parse(fs.readFileSync(path.join(dir, f), "utf8"));
+    const signals = data.signals || [];
+    if (signals.some((s) => s.severity === "high" || s.severity === "critical"))
+      withHighRisk++;
+    if (signals.some((s) => s.id === "integrity-mismatch")) integrityMismatch++;
+    for (const id of new Set(signals.map((s) => s.id)))
+      bySignal[id] = (bySignal[id] || 0) + 1;
+  }
+  console.log({
+    metadataScanned: metadataFiles.length,
+    withHighRisk,
+    integrityMismatch,
+    bySignal,
+  });
+}
+
+const provenanceFiles = all.filter((f) => f.endsWith(".provenance.json"));
+if (provenanceFiles.length > 0) {
+  let compared = 0,
+    withProvenance = 0,
+    withHighRisk = 0;
+  const bySignal = {};
+  for (const f of provenanceFiles) {
+    const data = JSON.parse(fs.readFileSync(path.join(dir, f), "utf8"));
+    const signals = data.signals || [];
+    if (data.comparison) compared++;
+    if (data.provenance && data.provenance.present) withProvenance++;
+    if (signals.some((s) => s.severity === "high" || s.severity === "critical"))
+      withHighRisk++;
+    for (const id of new Set(signals.map((s) => s.id)))
+      bySignal[id] = (bySignal[id] || 0) + 1;
+  }
+  console.log({
+    provenanceScanned: provenanceFiles.length,
+    compared,
+    withProvenance,
+    withHighRisk,
+    bySignal,
+  });
+}
+
+const scoreFiles = all.filter((f) => f.endsWith(".score.json"));
+if (scoreFiles.length > 0) {
+  const byBand = {};
+  const topFactors = {};
+  const scored = [];
+  for (const f of scoreFiles) {
+    const data = JSON.parse(fs.readFileSync(path.join(dir, f), "utf8"));
+    byBand[data.band] = (byBand[data.band] || 0) + 1;
+    scored.push({ name: data.name, score: data.score, band: data.band });
+    const top = (data.explanation || [])[0];
+    if (top) topFactors[top.factor] = (topFactors[top.factor] || 0) + 1;
+  }
+  scored.sort((a, b) => b.score - a.score);
+  console.log({
+    scored: scoreFiles.length,
+    byBand,
+    topFactors,
+    highest: scored.slice(0, 10),
+  });
+}